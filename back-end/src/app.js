@@ -5,18 +5,52 @@ require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
 const express = require("express");
 const cors = require("cors");
 
+const requestLogger = require("./logging/requestLogger");
 const errorHandler = require("./errors/errorHandler");
 const notFound = require("./errors/notFound");
+const asyncErrorBoundary = require("./errors/asyncErrorBoundary");
+const authenticate = require("./auth/authenticate");
+const validateRequest = require("./openapi/validateRequest");
+const openapiRouter = require("./openapi/openapi.router");
+const authRouter = require("./auth/auth.router");
+const staffUsersRouter = require("./staffUsers/staffUsers.router");
+const webhooksRouter = require("./webhooks/webhooks.router");
+const eventsRouter = require("./events/events.router");
 const reservationsRouter = require("./reservations/reservations.router");
 const tablesRouter = require("./tables/tables.router");
+const settingsRouter = require("./settings/settings.router");
+const closuresRouter = require("./closures/closures.router");
+const availabilityRouter = require("./availability/availability.router");
+const guestsRouter = require("./guests/guests.router");
+const waitlistRouter = require("./waitlist/waitlist.router");
+const walkInsRouter = require("./walkIns/walkIns.router");
 
 const app = express();
 
-app.use(cors());
+app.use(requestLogger);
+app.use(cors({ exposedHeaders: ["X-Request-Id"] }));
 app.use(express.json());
 
+app.use("/docs", openapiRouter);
+
+app.use("/auth", validateRequest, authRouter);
+
+// everything else is for logged-in staff only, who are told about invalid
+// input once they have logged in
+app.use(asyncErrorBoundary(authenticate));
+app.use(validateRequest);
+
 app.use("/reservations", reservationsRouter);
 app.use("/tables", tablesRouter);
+app.use("/settings", settingsRouter);
+app.use("/closures", closuresRouter);
+app.use("/availability", availabilityRouter);
+app.use("/guests", guestsRouter);
+app.use("/waitlist", waitlistRouter);
+app.use("/walk-ins", walkInsRouter);
+app.use("/staff-users", staffUsersRouter);
+app.use("/webhooks", webhooksRouter);
+app.use("/events", eventsRouter);
 
 app.use(notFound);
 app.use(errorHandler);
@@ -0,0 +1,73 @@
+const staffUsersService = require("../staffUsers/staffUsers.service");
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+const authenticate = require("./authenticate");
+const { verifyPassword } = require("./passwords");
+const { issueToken, TOKEN_LIFETIME_SECONDS } = require("./tokens");
+const { permissionsOf } = require("./permissions");
+
+/**
+
+ ***VALIDATION***
+
+*/
+
+/**
+ * Validation for the credentials, which puts the staff user in res.locals.
+ * A wrong username and a wrong password get the same 401.
+ */
+async function hasValidCredentials(req, res, next) {
+  const { username, password } = req.body.data;
+  const staffUser = await staffUsersService.readWithPasswordHash(username);
+
+  if (staffUser && (await verifyPassword(password, staffUser.password_hash))) {
+    res.locals.staffUser = await staffUsersService.read(
+      staffUser.staff_user_id
+    );
+    return next();
+  }
+
+  next({
+    status: 401,
+    message: `Invalid username or password.`,
+  });
+}
+
+/**
+
+ ***HANDLERS***
+
+*/
+
+/**
+ * The staff user along with the permissions of its role, so that the front
+ * end can hide what the staff user cannot do
+ */
+function withPermissions(staffUser) {
+  return { ...staffUser, permissions: permissionsOf(staffUser.role) };
+}
+
+/**
+ * Login handler: a token for the staff user, and the staff user
+ */
+function login(req, res) {
+  const { staffUser } = res.locals;
+  res.json({
+    data: {
+      token: issueToken(staffUser),
+      expires_in: TOKEN_LIFETIME_SECONDS,
+      staff_user: withPermissions(staffUser),
+    },
+  });
+}
+
+/**
+ * Read handler for the logged-in staff user
+ */
+function readCurrent(req, res) {
+  res.json({ data: withPermissions(res.locals.staffUser) });
+}
+
+module.exports = {
+  login: [asyncErrorBoundary(hasValidCredentials), login],
+  readCurrent: [asyncErrorBoundary(authenticate), readCurrent],
+};
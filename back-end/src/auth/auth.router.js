@@ -0,0 +1,15 @@
+/**
+ * Defines the router for logging in.
+ *
+ * @type {Router}
+ */
+
+const router = require("express").Router();
+const controller = require("./auth.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+
+router.route("/login").post(controller.login).all(methodNotAllowed);
+
+router.route("/me").get(controller.readCurrent).all(methodNotAllowed);
+
+module.exports = router;
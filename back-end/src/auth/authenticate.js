@@ -0,0 +1,43 @@
+const staffUsersService = require("../staffUsers/staffUsers.service");
+const { verifyToken } = require("./tokens");
+
+/**
+ * The token the request carries as "Authorization: Bearer <token>". The
+ * browser's EventSource cannot set headers, so a request for an event stream
+ * may carry it as "?access_token=<token>" instead.
+ */
+function tokenOf(req) {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (scheme === "Bearer") return token;
+
+  const isEventStream = (req.get("Accept") || "").includes("text/event-stream");
+  return isEventStream ? req.query.access_token : undefined;
+}
+
+/**
+ * Middleware that lets only logged-in staff through: the request must carry
+ * a valid token from /auth/login. Puts the staff user in
+ * res.locals.staffUser, and their ID in the request's logs, or responds
+ * with a 401.
+ */
+async function authenticate(req, res, next) {
+  const token = tokenOf(req);
+  const claims = typeof token === "string" ? verifyToken(token) : undefined;
+  const staffUser =
+    claims && (await staffUsersService.read(claims.staff_user_id));
+
+  if (!staffUser) {
+    return next({
+      status: 401,
+      message: `Please log in.`,
+    });
+  }
+
+  res.locals.staffUser = staffUser;
+  req.log = res.log = req.log.child({
+    staff_user_id: staffUser.staff_user_id,
+  });
+  next();
+}
+
+module.exports = authenticate;
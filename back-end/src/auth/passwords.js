@@ -0,0 +1,31 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+/**
+ * Hashes a password with a random salt, as "scrypt$<salt>$<hash>"
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+/**
+ * Whether the password matches a hash made by hashPassword
+ */
+async function verifyPassword(password, password_hash) {
+  const [scheme, salt, expected] = password_hash.split("$");
+  if (scheme !== "scrypt" || !salt || !expected) return false;
+
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return crypto.timingSafeEqual(hash, Buffer.from(expected, "hex"));
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+};
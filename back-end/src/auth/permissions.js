@@ -0,0 +1,79 @@
+/**
+ * The roles of staff users, from the least to the most trusted.
+ */
+const ROLES = ["host", "server", "manager", "admin"];
+
+const EVERYONE = ROLES;
+const FRONT_OF_HOUSE = ["host", "manager", "admin"];
+const MANAGERS = ["manager", "admin"];
+
+/**
+ * Each permission maps to the roles that have it. Servers can look things up
+ * and finish tables, hosts also book and seat parties, managers also change
+ * the floor plan, the settings, the webhooks and past reservations, and
+ * admins also manage staff users.
+ */
+const PERMISSIONS = {
+  "reservations:read": EVERYONE,
+  "reservations:create": FRONT_OF_HOUSE,
+  "reservations:edit": FRONT_OF_HOUSE,
+  "reservations:edit-past": MANAGERS,
+  "reservations:change-status": FRONT_OF_HOUSE,
+  "reservations:delete": MANAGERS,
+  "tables:read": EVERYONE,
+  "tables:seat": FRONT_OF_HOUSE,
+  "tables:finish": EVERYONE,
+  "tables:create": MANAGERS,
+  "tables:delete": MANAGERS,
+  "waitlist:read": EVERYONE,
+  "waitlist:edit": FRONT_OF_HOUSE,
+  "guests:read": EVERYONE,
+  "guests:edit": FRONT_OF_HOUSE,
+  "guests:delete": MANAGERS,
+  "settings:read": EVERYONE,
+  "settings:edit": MANAGERS,
+  "webhooks:manage": MANAGERS,
+  "staff:manage": ["admin"],
+};
+
+/**
+ * The permissions of a role, e.g. to tell the front end what to show.
+ */
+function permissionsOf(role) {
+  return Object.keys(PERMISSIONS).filter((permission) =>
+    PERMISSIONS[permission].includes(role)
+  );
+}
+
+/**
+ * Whether the staff user's role has the permission.
+ */
+function hasPermission(staffUser, permission) {
+  return Boolean(staffUser) && PERMISSIONS[permission].includes(staffUser.role);
+}
+
+/**
+ * Validation for the logged-in staff user's role (has the permission)
+ */
+function requirePermission(permission) {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return function (req, res, next) {
+    const { staffUser } = res.locals;
+    if (hasPermission(staffUser, permission)) return next();
+
+    next({
+      status: 403,
+      message: `A ${staffUser.role} is not allowed to do this (${permission}).`,
+    });
+  };
+}
+
+module.exports = {
+  ROLES,
+  permissionsOf,
+  hasPermission,
+  requirePermission,
+};
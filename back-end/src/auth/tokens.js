@@ -0,0 +1,59 @@
+const crypto = require("crypto");
+
+/**
+ * Secret the tokens are signed with. Set AUTH_SECRET so that tokens survive a
+ * restart and work on every instance; otherwise a random one is used.
+ */
+const AUTH_SECRET =
+  process.env.AUTH_SECRET || crypto.randomBytes(32).toString("hex");
+
+/**
+ * How long a token is valid: a long shift
+ */
+const TOKEN_LIFETIME_SECONDS = 12 * 60 * 60;
+
+function signatureOf(payload) {
+  return crypto
+    .createHmac("sha256", AUTH_SECRET)
+    .update(payload)
+    .digest("base64url");
+}
+
+/**
+ * A signed token for the staff user, as "<payload>.<signature>", where the
+ * payload holds the 'staff_user_id' and the expiry time
+ */
+function issueToken({ staff_user_id }) {
+  const exp = Math.floor(Date.now() / 1000) + TOKEN_LIFETIME_SECONDS;
+  const payload = Buffer.from(JSON.stringify({ staff_user_id, exp })).toString(
+    "base64url"
+  );
+  return `${payload}.${signatureOf(payload)}`;
+}
+
+/**
+ * The payload of a token issued by issueToken, or nothing if the token is
+ * malformed, tampered with or expired
+ */
+function verifyToken(token = "") {
+  const [payload, signature = ""] = token.split(".");
+  const actual = Buffer.from(signature);
+  const expected = Buffer.from(signatureOf(payload));
+
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    return;
+  }
+
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  if (claims.exp * 1000 <= Date.now()) return;
+  return claims;
+}
+
+module.exports = {
+  TOKEN_LIFETIME_SECONDS,
+  issueToken,
+  verifyToken,
+};
@@ -0,0 +1,30 @@
+const availabilityService = require("./availability.service");
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+
+/**
+
+ ***HANDLERS***
+
+*/
+
+/**
+ * List handler for the bookable time slots of a date and party size
+ */
+async function list(req, res) {
+  const { date, people } = req.query;
+  const data = await availabilityService.listSlots(date, Number(people));
+  res.json({ data });
+}
+
+/**
+ * List handler for the pacing load of each interval of a date
+ */
+async function listPacing(req, res) {
+  const data = await availabilityService.listPacingLoad(req.query.date);
+  res.json({ data });
+}
+
+module.exports = {
+  list: asyncErrorBoundary(list),
+  listPacing: asyncErrorBoundary(listPacing),
+};
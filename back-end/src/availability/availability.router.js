@@ -0,0 +1,22 @@
+/**
+ * Defines the router for availability resources.
+ *
+ * @type {Router}
+ */
+
+const router = require("express").Router();
+const controller = require("./availability.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { requirePermission } = require("../auth/permissions");
+
+router
+  .route("/")
+  .get(requirePermission("reservations:read"), controller.list)
+  .all(methodNotAllowed);
+
+router
+  .route("/pacing")
+  .get(requirePermission("reservations:read"), controller.listPacing)
+  .all(methodNotAllowed);
+
+module.exports = router;
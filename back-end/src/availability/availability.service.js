@@ -0,0 +1,357 @@
+const reservationsService = require("../reservations/reservations.service");
+const tablesService = require("../tables/tables.service");
+const settingsService = require("../settings/settings.service");
+const { ACTIVE_STATUSES } = require("../reservations/reservationStatus");
+const {
+  zonedDateTime,
+  timeToMinutes,
+  minutesToTime,
+} = require("../utils/restaurantTime");
+
+/**
+ * Length of a bookable time slot, in minutes
+ */
+const SLOT_INTERVAL_MINUTES = 15;
+
+/**
+ * Starting times (in minutes) of every slot in the service periods
+ */
+function slotTimes(servicePeriods) {
+  const times = new Set();
+  servicePeriods.forEach(({ open_time, close_time }) => {
+    const close = timeToMinutes(close_time);
+    for (
+      let time = timeToMinutes(open_time);
+      time <= close;
+      time += SLOT_INTERVAL_MINUTES
+    ) {
+      times.add(time);
+    }
+  });
+  return [...times].sort((a, b) => a - b);
+}
+
+/**
+ * The tables to seat a party of `people` at, out of the `free` ones: the
+ * smallest table that fits the party. Only a party larger than every one of
+ * the restaurant's `tables` is seated across combined tables: the largest
+ * free tables until the rest of the party fits at the smallest that fits it.
+ *
+ * @returns {[table]|null}
+ * null if the free tables cannot seat the party
+ */
+function tablesFor(people, free, tables = free) {
+  const bySize = [...free].sort((a, b) => a.capacity - b.capacity);
+  const fitting = bySize.find(({ capacity }) => capacity >= people);
+  if (fitting) return [fitting];
+  if (tables.some(({ capacity }) => capacity >= people)) return null;
+
+  const combined = [];
+  let unseatedPeople = people;
+  while (bySize.length) {
+    const largest = bySize.pop();
+    combined.push(largest);
+    unseatedPeople -= largest.capacity;
+
+    if (unseatedPeople <= 0) return combined;
+
+    const rest = bySize.find(({ capacity }) => capacity >= unseatedPeople);
+    if (rest) return [...combined, rest];
+  }
+  return null;
+}
+
+/**
+ * Number of parties that cannot be given a table, or tables combined, out of
+ * the `free` ones at the same moment.
+ *
+ * Parties are placed largest first at the tables of tablesFor(), which
+ * seats as many parties as possible.
+ */
+function countUnseated(parties, free, tables = free) {
+  let unused = [...free];
+  return [...parties]
+    .sort((a, b) => b.people - a.people)
+    .filter(({ people }) => {
+      const seatedAt = tablesFor(people, unused, tables);
+      if (!seatedAt) return true;
+      unused = unused.filter((table) => !seatedAt.includes(table));
+      return false;
+    }).length;
+}
+
+/**
+ * Pacing limit of the service period a time (in minutes) falls in, or the
+ * limit shared by every period
+ */
+function pacingLimitFor(start, servicePeriods, pacingLimits) {
+  const servicePeriod = servicePeriods
+    .filter(
+      ({ open_time, close_time }) =>
+        timeToMinutes(open_time) <= start && start <= timeToMinutes(close_time)
+    )
+    .pop();
+  const serviceName = servicePeriod && servicePeriod.service_name;
+
+  return (
+    pacingLimits.find(({ service_name }) => service_name === serviceName) ||
+    pacingLimits.find(({ service_name }) => service_name === null)
+  );
+}
+
+/**
+ * Parties and covers arriving in the pacing interval of a time (in minutes)
+ */
+function pacingLoad(start, parties) {
+  const intervalStart = start - (start % SLOT_INTERVAL_MINUTES);
+  const arrivals = parties.filter(
+    (party) =>
+      party.start >= intervalStart &&
+      party.start < intervalStart + SLOT_INTERVAL_MINUTES
+  );
+  return {
+    time: minutesToTime(intervalStart),
+    parties: arrivals.length,
+    covers: arrivals.reduce((covers, { people }) => covers + people, 0),
+  };
+}
+
+/**
+ * Checks a party arriving at a time (in minutes) against the pacing limit
+ * of its interval, returning the reason when the kitchen would be over it
+ */
+function checkPacing(start, { people, parties, servicePeriods, pacingLimits }) {
+  const limit = pacingLimitFor(start, servicePeriods, pacingLimits);
+  if (!limit) return null;
+
+  const load = pacingLoad(start, parties);
+
+  if (limit.max_parties !== null && load.parties + 1 > limit.max_parties) {
+    return `The ${load.time} interval already has ${load.parties} of ${limit.max_parties} arriving parties.`;
+  }
+
+  if (limit.max_covers !== null && load.covers + people > limit.max_covers) {
+    return `The ${load.time} interval already has ${load.covers} of ${limit.max_covers} arriving covers.`;
+  }
+
+  return null;
+}
+
+/**
+ * Checks a party arriving at a time (in minutes) against the parties
+ * already booked for the date
+ */
+function checkSlot(start, context) {
+  const { date, people, duration, parties, tables, allowance, now } = context;
+  const time = minutesToTime(start);
+
+  if (
+    now &&
+    (date < now.date || (date === now.date && start < timeToMinutes(now.time)))
+  ) {
+    return {
+      time,
+      available: false,
+      code: "past",
+      reason: `This time has already passed.`,
+    };
+  }
+
+  if (!tablesFor(people, tables)) {
+    return {
+      time,
+      available: false,
+      code: "no_table",
+      reason: `No table can seat a party of ${people}, even combined.`,
+    };
+  }
+
+  const pacingReason = checkPacing(start, context);
+
+  if (pacingReason) {
+    return {
+      time,
+      available: false,
+      code: "pacing",
+      reason: pacingReason,
+    };
+  }
+
+  const end = start + duration;
+  const newParty = { people, start, end };
+
+  // the tables in use only change when a party arrives, so checking the
+  // slot's start and every arrival during the visit covers the whole visit
+  const checkpoints = [
+    start,
+    ...parties
+      .map((party) => party.start)
+      .filter((arrival) => arrival > start && arrival < end),
+  ];
+
+  for (const checkpoint of checkpoints) {
+    const seated = parties.filter(
+      (party) => party.start <= checkpoint && checkpoint < party.end
+    );
+    if (countUnseated([...seated, newParty], tables) > allowance) {
+      return {
+        time,
+        available: false,
+        code: "fully_booked",
+        reason: `Every table that can seat a party of ${people} is taken at ${minutesToTime(
+          checkpoint
+        )}.`,
+        blocked_by: seated.map(({ reservation_id }) => reservation_id),
+      };
+    }
+  }
+
+  return { time, available: true };
+}
+
+/**
+ * Loads the schedule, the tables and the active parties of a date, leaving
+ * out the reservation being changed (if any)
+ */
+async function loadContext(date, people, reservation_id, duration_minutes) {
+  const [schedule, reservations, tables, turnTimes, pacingLimits, capacity] =
+    await Promise.all([
+      settingsService.readSchedule(date),
+      reservationsService.listByDate(date),
+      tablesService.list(),
+      settingsService.listTurnTimes(),
+      settingsService.listPacingLimits(),
+      settingsService.readCapacity(),
+    ]);
+
+  const parties = reservations
+    .filter(({ status }) => ACTIVE_STATUSES.includes(status))
+    .filter((reservation) => reservation.reservation_id !== reservation_id)
+    .map((reservation) => {
+      const start = timeToMinutes(reservation.reservation_time);
+      const end =
+        start + reservationsService.durationOf(reservation, turnTimes);
+      return {
+        reservation_id: reservation.reservation_id,
+        people: reservation.people,
+        start,
+        end,
+      };
+    });
+
+  return {
+    date,
+    people,
+    duration:
+      duration_minutes || settingsService.durationFor(people, turnTimes),
+    parties,
+    tables,
+    closure: schedule.closure,
+    servicePeriods: schedule.servicePeriods,
+    pacingLimits,
+    allowance: capacity.overbooking_allowance,
+  };
+}
+
+/**
+ *
+ * @param date
+ * a YYYY-MM-DD date
+ * @param people
+ * the party size
+ * @returns {Promise<{date, people, duration_minutes, closed, reason, slots}>}
+ * every slot of the date, with the reason for each unavailable slot
+ */
+async function listSlots(date, people) {
+  const context = {
+    ...(await loadContext(date, people)),
+    now: zonedDateTime(),
+  };
+  const { closure, servicePeriods } = context;
+
+  if (closure || !servicePeriods.length) {
+    return {
+      date,
+      people,
+      closed: true,
+      reason: closure
+        ? `The restaurant is closed for ${closure.closure_name}.`
+        : `The restaurant is closed on this day of the week.`,
+      slots: [],
+    };
+  }
+
+  return {
+    date,
+    people,
+    duration_minutes: context.duration,
+    closed: false,
+    slots: slotTimes(servicePeriods).map((start) => checkSlot(start, context)),
+  };
+}
+
+/**
+ *
+ * @param date
+ * a YYYY-MM-DD date
+ * @returns {Promise<[{time, service_name, parties, covers, max_parties, max_covers}]>}
+ * the arriving parties and covers of every pacing interval with arrivals,
+ * next to the limit that applies to it
+ */
+async function listPacingLoad(date) {
+  const { parties, servicePeriods, pacingLimits } = await loadContext(date, 0);
+  const intervals = [
+    ...new Set(
+      parties.map(({ start }) => start - (start % SLOT_INTERVAL_MINUTES))
+    ),
+  ].sort((a, b) => a - b);
+
+  return intervals.map((start) => {
+    const limit = pacingLimitFor(start, servicePeriods, pacingLimits) || {};
+    const {
+      service_name = null,
+      max_parties = null,
+      max_covers = null,
+    } = limit;
+    return {
+      ...pacingLoad(start, parties),
+      service_name,
+      max_parties,
+      max_covers,
+    };
+  });
+}
+
+/**
+ *
+ * @param reservation
+ * a reservation with 'reservation_date', 'reservation_time', 'people' and
+ * an optional 'duration_minutes', and a 'reservation_id' when an existing
+ * reservation is being changed
+ * @returns {Promise<{time, available, code, reason}>}
+ * whether the tables can take the reservation, with the reason if not
+ */
+async function checkReservation({
+  reservation_id,
+  reservation_date,
+  reservation_time,
+  people,
+  duration_minutes,
+}) {
+  const context = await loadContext(
+    reservation_date,
+    people,
+    reservation_id,
+    duration_minutes
+  );
+  return checkSlot(timeToMinutes(reservation_time), context);
+}
+
+module.exports = {
+  SLOT_INTERVAL_MINUTES,
+  tablesFor,
+  countUnseated,
+  listSlots,
+  listPacingLoad,
+  checkReservation,
+};
@@ -0,0 +1,130 @@
+const closuresService = require("./closures.service");
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+
+/**
+
+ ***VALIDATION***
+
+*/
+
+/**
+ * Validation for the dates and custom hours (in order, and custom hours
+ * need both times)
+ */
+function hasConsistentInputs(req, res, next) {
+  const {
+    start_date,
+    end_date,
+    open_time = null,
+    close_time = null,
+  } = req.body.data;
+
+  if (start_date > end_date) {
+    return next({
+      status: 400,
+      message: `The start_date must not be after the end_date.`,
+    });
+  }
+
+  if ((open_time === null) !== (close_time === null)) {
+    return next({
+      status: 400,
+      message: `Custom hours need both an open_time and a close_time.`,
+    });
+  }
+
+  if (open_time !== null && open_time.slice(0, 5) >= close_time.slice(0, 5)) {
+    return next({
+      status: 400,
+      message: `The open_time must be before the close_time.`,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validation for closure existence
+ */
+async function closureExists(req, res, next) {
+  const { closure_id } = req.params;
+  const closure = await closuresService.read(closure_id);
+  if (closure) {
+    res.locals.closure = closure;
+    return next();
+  }
+  next({
+    status: 404,
+    message: `Closure ID ${closure_id} does not exist.`,
+  });
+}
+
+/**
+
+ ***HANDLERS***
+
+*/
+
+/**
+ * Create handler for closure resources
+ */
+async function create(req, res) {
+  const data = await closuresService.create(req.body.data);
+  res.status(201).json({ data });
+}
+
+/**
+ * Read handler for closure resources
+ */
+function read(req, res) {
+  const { closure: data } = res.locals;
+  res.json({ data });
+}
+
+/**
+ * Update handler for closure resources
+ */
+async function update(req, res) {
+  const { open_time = null, close_time = null } = req.body.data;
+  const updatedClosure = {
+    ...res.locals.closure,
+    ...req.body.data,
+    open_time,
+    close_time,
+    closure_id: res.locals.closure.closure_id,
+  };
+  const data = await closuresService.update(updatedClosure);
+  res.json({ data });
+}
+
+/**
+ * Destroy handler for closure resources
+ */
+async function destroy(req, res) {
+  const { closure } = res.locals;
+  await closuresService.delete(closure.closure_id);
+  res.sendStatus(204);
+}
+
+/**
+ * List handler for closure resources with optional from (YYYY-MM-DD) query
+ */
+async function list(req, res) {
+  const { from } = req.query;
+  const data = from
+    ? await closuresService.listFromDate(from)
+    : await closuresService.list();
+  res.json({ data });
+}
+
+module.exports = {
+  create: [hasConsistentInputs, asyncErrorBoundary(create)],
+  read: [asyncErrorBoundary(closureExists), read],
+  update: [
+    asyncErrorBoundary(closureExists),
+    hasConsistentInputs,
+    asyncErrorBoundary(update),
+  ],
+  delete: [asyncErrorBoundary(closureExists), asyncErrorBoundary(destroy)],
+  list: asyncErrorBoundary(list),
+};
@@ -0,0 +1,25 @@
+/**
+ * Defines the router for closure resources.
+ *
+ * @type {Router}
+ */
+
+const router = require("express").Router();
+const controller = require("./closures.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { requirePermission } = require("../auth/permissions");
+
+router
+  .route("/")
+  .get(requirePermission("settings:read"), controller.list)
+  .post(requirePermission("settings:edit"), controller.create)
+  .all(methodNotAllowed);
+
+router
+  .route("/:closure_id")
+  .get(requirePermission("settings:read"), controller.read)
+  .put(requirePermission("settings:edit"), controller.update)
+  .delete(requirePermission("settings:edit"), controller.delete)
+  .all(methodNotAllowed);
+
+module.exports = router;
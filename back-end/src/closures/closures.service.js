@@ -0,0 +1,53 @@
+const knex = require("../db/connection");
+
+function list() {
+  return knex("closures").select("*").orderBy("start_date");
+}
+
+function listFromDate(date) {
+  return knex("closures")
+    .select("*")
+    .where("end_date", ">=", date)
+    .orderBy("start_date");
+}
+
+function listByDate(date) {
+  return knex("closures")
+    .select("*")
+    .where("start_date", "<=", date)
+    .andWhere("end_date", ">=", date)
+    .orderBy("start_date");
+}
+
+function create(closure) {
+  return knex("closures")
+    .insert(closure)
+    .returning("*")
+    .then((createdRecords) => createdRecords[0]);
+}
+
+function read(closure_id) {
+  return knex("closures").select("*").where({ closure_id }).first();
+}
+
+function update(updatedClosure) {
+  return knex("closures")
+    .select("*")
+    .where({ closure_id: updatedClosure.closure_id })
+    .update(updatedClosure, "*")
+    .then((updatedRecords) => updatedRecords[0]);
+}
+
+function destroy(closure_id) {
+  return knex("closures").where({ closure_id }).del();
+}
+
+module.exports = {
+  list,
+  listFromDate,
+  listByDate,
+  create,
+  read,
+  update,
+  delete: destroy,
+};
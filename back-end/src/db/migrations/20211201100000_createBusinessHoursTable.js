@@ -0,0 +1,14 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("business_hours", (table) => {
+    table.increments("business_hours_id").primary();
+    table.integer("day_of_week").notNullable();
+    table.string("service_name").notNullable();
+    table.time("open_time").notNullable();
+    table.time("close_time").notNullable();
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("business_hours");
+};
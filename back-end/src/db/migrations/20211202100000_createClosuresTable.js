@@ -0,0 +1,16 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("closures", (table) => {
+    table.increments("closure_id").primary();
+    table.string("closure_name").notNullable();
+    table.date("start_date").notNullable();
+    table.date("end_date").notNullable();
+    // custom hours for the date range; the restaurant is fully closed when null
+    table.time("open_time");
+    table.time("close_time");
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("closures");
+};
@@ -0,0 +1,13 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("turn_times", (table) => {
+    table.increments("turn_time_id").primary();
+    // applies to parties of min_people up to the next row's min_people
+    table.integer("min_people").notNullable().unique();
+    table.integer("duration_minutes").notNullable();
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("turn_times");
+};
@@ -0,0 +1,11 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("restaurant_settings", (table) => {
+    table.string("setting_name").primary();
+    table.jsonb("setting_value").notNullable();
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("restaurant_settings");
+};
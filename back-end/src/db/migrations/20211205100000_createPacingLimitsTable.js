@@ -0,0 +1,14 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("pacing_limits", (table) => {
+    table.increments("pacing_limit_id").primary();
+    // the limit of one service period, or of every period when null
+    table.string("service_name").unique();
+    table.integer("max_covers");
+    table.integer("max_parties");
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("pacing_limits");
+};
@@ -0,0 +1,21 @@
+exports.up = function (knex) {
+  return knex.schema.alterTable("reservations", (table) => {
+    // overrides the turn time of the party size when set
+    table.integer("duration_minutes");
+    // the table assigned ahead of arrival, if any
+    table.integer("table_id").unsigned();
+    table
+      .foreign("table_id")
+      .references("table_id")
+      .inTable("tables")
+      .onDelete("set null");
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.alterTable("reservations", (table) => {
+    table.dropForeign("table_id");
+    table.dropColumn("table_id");
+    table.dropColumn("duration_minutes");
+  });
+};
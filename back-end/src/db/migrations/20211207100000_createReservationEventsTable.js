@@ -0,0 +1,28 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("reservation_events", (table) => {
+    table.increments("reservation_event_id").primary();
+    table.integer("reservation_id").unsigned().notNullable();
+    table
+      .foreign("reservation_id")
+      .references("reservation_id")
+      .inTable("reservations")
+      .onDelete("cascade");
+    // "status" for a status change, "edit" for any other change of fields
+    table.string("event_type").notNullable();
+    // the changed fields only, before and after the change
+    table.jsonb("old_values").notNullable();
+    table.jsonb("new_values").notNullable();
+    // the table seated or finished, for changes made through /tables/:table_id/seat
+    table.integer("table_id").unsigned();
+    table
+      .foreign("table_id")
+      .references("table_id")
+      .inTable("tables")
+      .onDelete("set null");
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("reservation_events");
+};
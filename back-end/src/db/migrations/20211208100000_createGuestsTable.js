@@ -0,0 +1,15 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("guests", (table) => {
+    table.increments("guest_id").primary();
+    // digits only, see guestsService.normalizeMobileNumber
+    table.string("mobile_number").notNullable().unique();
+    table.string("first_name");
+    table.string("last_name");
+    table.text("notes");
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("guests");
+};
@@ -0,0 +1,44 @@
+/**
+ * SQL for the digits of a mobile number column, without a leading US country
+ * code (the same rule as guestsService.normalizeMobileNumber)
+ */
+function normalized(column) {
+  return `regexp_replace(regexp_replace(${column}, '\\D', '', 'g'), '^1(\\d{10})$', '\\1')`;
+}
+
+exports.up = function (knex) {
+  return knex.schema
+    .alterTable("reservations", (table) => {
+      table.integer("guest_id").unsigned();
+      table
+        .foreign("guest_id")
+        .references("guest_id")
+        .inTable("guests")
+        .onDelete("set null");
+    })
+    .then(() =>
+      // one guest per number of the existing reservations, named after the latest one
+      knex.raw(`
+        INSERT INTO guests (mobile_number, first_name, last_name)
+        SELECT DISTINCT ON (${normalized("mobile_number")})
+          ${normalized("mobile_number")}, first_name, last_name
+        FROM reservations
+        WHERE ${normalized("mobile_number")} <> ''
+        ORDER BY ${normalized("mobile_number")}, created_at DESC
+      `)
+    )
+    .then(() =>
+      knex.raw(`
+        UPDATE reservations SET guest_id = guests.guest_id
+        FROM guests
+        WHERE guests.mobile_number = ${normalized("reservations.mobile_number")}
+      `)
+    );
+};
+
+exports.down = function (knex) {
+  return knex.schema.alterTable("reservations", (table) => {
+    table.dropForeign("guest_id");
+    table.dropColumn("guest_id");
+  });
+};
@@ -0,0 +1,27 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("waitlist", (table) => {
+    table.increments("waitlist_id").primary();
+    table.string("party_name").notNullable();
+    // digits only, see guestsService.normalizeMobileNumber
+    table.string("mobile_number").notNullable();
+    table.integer("party_size").notNullable();
+    table.integer("quoted_wait_minutes");
+    // "waiting", "notified" (told their table is ready) or "seated"
+    table.string("status").notNullable().defaultTo("waiting");
+    table.timestamp("joined_at").notNullable().defaultTo(knex.fn.now());
+    table.timestamp("notified_at");
+    table.timestamp("seated_at");
+    // the walk-in reservation created when the party is seated
+    table.integer("reservation_id").unsigned();
+    table
+      .foreign("reservation_id")
+      .references("reservation_id")
+      .inTable("reservations")
+      .onDelete("set null");
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("waitlist");
+};
@@ -0,0 +1,25 @@
+exports.up = function (knex) {
+  return knex.schema
+    .alterTable("tables", (table) => {
+      // the part of the room the table is in, e.g. "bar" or "patio"
+      table.string("section");
+    })
+    .then(() =>
+      knex.schema.alterTable("reservations", (table) => {
+        // the section the party would like to sit in, if any
+        table.string("section_preference");
+      })
+    );
+};
+
+exports.down = function (knex) {
+  return knex.schema
+    .alterTable("reservations", (table) => {
+      table.dropColumn("section_preference");
+    })
+    .then(() =>
+      knex.schema.alterTable("tables", (table) => {
+        table.dropColumn("section");
+      })
+    );
+};
@@ -0,0 +1,16 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("idempotency_keys", (table) => {
+    // the Idempotency-Key header sent by the client
+    table.string("idempotency_key").primary();
+    // hash of the method, URL and body of the first request with the key
+    table.string("fingerprint").notNullable();
+    // null while the first request is still being handled
+    table.integer("status_code");
+    table.jsonb("response");
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("idempotency_keys");
+};
@@ -0,0 +1,14 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("staff_users", (table) => {
+    table.increments("staff_user_id").primary();
+    table.string("username").notNullable().unique();
+    table.string("display_name").notNullable();
+    // scrypt hash with its salt, see auth/passwords.js
+    table.string("password_hash").notNullable();
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("staff_users");
+};
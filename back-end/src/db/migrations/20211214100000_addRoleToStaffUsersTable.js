@@ -0,0 +1,12 @@
+exports.up = function (knex) {
+  return knex.schema.alterTable("staff_users", (table) => {
+    // "host", "server", "manager" or "admin", see auth/permissions.js
+    table.string("role").notNullable().defaultTo("host");
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.alterTable("staff_users", (table) => {
+    table.dropColumn("role");
+  });
+};
@@ -0,0 +1,16 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("webhooks", (table) => {
+    table.increments("webhook_id").primary();
+    table.string("url", 2048).notNullable();
+    // the event types delivered to the url, e.g. "reservation.seated"
+    table.specificType("events", "text[]").notNullable();
+    // key of the HMAC signature of every delivery
+    table.string("secret").notNullable();
+    table.boolean("active").notNullable().defaultTo(true);
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("webhooks");
+};
@@ -0,0 +1,26 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("webhook_deliveries", (table) => {
+    table.increments("webhook_delivery_id").primary();
+    table.integer("webhook_id").unsigned().notNullable();
+    table
+      .foreign("webhook_id")
+      .references("webhook_id")
+      .inTable("webhooks")
+      .onDelete("cascade");
+    table.string("event_type").notNullable();
+    // the body sent on every attempt
+    table.jsonb("payload").notNullable();
+    // "pending" until it is "delivered" or has "failed" every attempt
+    table.string("status").notNullable().defaultTo("pending");
+    table.integer("attempts").notNullable().defaultTo(0);
+    // the outcome of the last attempt
+    table.integer("response_status");
+    table.text("last_error");
+    table.timestamp("next_attempt_at");
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("webhook_deliveries");
+};
@@ -0,0 +1,31 @@
+exports.up = function (knex) {
+  return knex.schema.alterTable("reservation_events", (table) => {
+    // the staff user who made the change, kept as null once they are removed
+    table.integer("staff_user_id").unsigned();
+    table
+      .foreign("staff_user_id")
+      .references("staff_user_id")
+      .inTable("staff_users")
+      .onDelete("set null");
+    // a plain ID, so the history outlives its reservation and can still be
+    // read by it: a deleted one ends in a "delete" event
+    table.dropForeign("reservation_id");
+  });
+};
+
+exports.down = function (knex) {
+  return knex("reservation_events")
+    .whereNotIn("reservation_id", knex("reservations").select("reservation_id"))
+    .del()
+    .then(() =>
+      knex.schema.alterTable("reservation_events", (table) => {
+        table
+          .foreign("reservation_id")
+          .references("reservation_id")
+          .inTable("reservations")
+          .onDelete("cascade");
+        table.dropForeign("staff_user_id");
+        table.dropColumn("staff_user_id");
+      })
+    );
+};
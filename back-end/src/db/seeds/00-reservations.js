@@ -1,7 +1,12 @@
 const reservationsData = require("./00-reservations.json");
 
 exports.seed = function (knex) {
-  return knex
-    .raw("TRUNCATE TABLE reservations RESTART IDENTITY CASCADE")
-    .then(() => knex("reservations").insert(reservationsData));
+  return (
+    knex
+      // the history of reservations does not reference them, so it is emptied too
+      .raw(
+        "TRUNCATE TABLE reservations, reservation_events RESTART IDENTITY CASCADE"
+      )
+      .then(() => knex("reservations").insert(reservationsData))
+  );
 };
@@ -1,7 +1,9 @@
 const tablesData = require("./01-tables.json");
 
 exports.seed = function (knex) {
-  return knex
-    .raw("TRUNCATE TABLE tables RESTART IDENTITY CASCADE")
+  // reservations reference tables, so a cascading TRUNCATE would empty them too
+  return knex("tables")
+    .del()
+    .then(() => knex.raw("ALTER SEQUENCE tables_table_id_seq RESTART"))
     .then(() => knex("tables").insert(tablesData));
 };
@@ -0,0 +1,7 @@
+const businessHoursData = require("./02-business-hours.json");
+
+exports.seed = function (knex) {
+  return knex
+    .raw("TRUNCATE TABLE business_hours RESTART IDENTITY CASCADE")
+    .then(() => knex("business_hours").insert(businessHoursData));
+};
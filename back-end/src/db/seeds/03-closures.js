@@ -0,0 +1,7 @@
+const closuresData = require("./03-closures.json");
+
+exports.seed = function (knex) {
+  return knex
+    .raw("TRUNCATE TABLE closures RESTART IDENTITY CASCADE")
+    .then(() => knex("closures").insert(closuresData));
+};
@@ -0,0 +1,7 @@
+const turnTimesData = require("./04-turn-times.json");
+
+exports.seed = function (knex) {
+  return knex
+    .raw("TRUNCATE TABLE turn_times RESTART IDENTITY CASCADE")
+    .then(() => knex("turn_times").insert(turnTimesData));
+};
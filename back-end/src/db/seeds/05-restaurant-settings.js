@@ -0,0 +1,7 @@
+const restaurantSettingsData = require("./05-restaurant-settings.json");
+
+exports.seed = function (knex) {
+  return knex
+    .raw("TRUNCATE TABLE restaurant_settings CASCADE")
+    .then(() => knex("restaurant_settings").insert(restaurantSettingsData));
+};
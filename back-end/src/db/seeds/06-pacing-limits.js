@@ -0,0 +1,7 @@
+const pacingLimitsData = require("./06-pacing-limits.json");
+
+exports.seed = function (knex) {
+  return knex
+    .raw("TRUNCATE TABLE pacing_limits RESTART IDENTITY CASCADE")
+    .then(() => knex("pacing_limits").insert(pacingLimitsData));
+};
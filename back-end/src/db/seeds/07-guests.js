@@ -0,0 +1,16 @@
+const guestsData = require("./07-guests.json");
+
+exports.seed = function (knex) {
+  // reservations reference guests, so a cascading TRUNCATE would empty them too
+  return knex("guests")
+    .del()
+    .then(() => knex.raw("ALTER SEQUENCE guests_guest_id_seq RESTART"))
+    .then(() => knex("guests").insert(guestsData))
+    .then(() =>
+      knex.raw(`
+        UPDATE reservations SET guest_id = guests.guest_id
+        FROM guests
+        WHERE guests.mobile_number = regexp_replace(reservations.mobile_number, '\\D', '', 'g')
+      `)
+    );
+};
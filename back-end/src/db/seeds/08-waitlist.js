@@ -0,0 +1,7 @@
+const waitlistData = require("./08-waitlist.json");
+
+exports.seed = function (knex) {
+  return knex
+    .raw("TRUNCATE TABLE waitlist RESTART IDENTITY CASCADE")
+    .then(() => knex("waitlist").insert(waitlistData));
+};
@@ -0,0 +1,23 @@
+const staffUsersData = require("./09-staff-users.json");
+const { hashPassword } = require("../../auth/passwords");
+
+/**
+ * Environments the staff users, whose passwords are public, are seeded in.
+ * Deployments get their first admin from INITIAL_ADMIN_USERNAME and
+ * INITIAL_ADMIN_PASSWORD instead (see staffUsers/initialAdmin.js).
+ */
+const SEEDED_ENVIRONMENTS = ["development", "test"];
+
+exports.seed = async function (knex) {
+  const environment = process.env.NODE_ENV || "development";
+  if (!SEEDED_ENVIRONMENTS.includes(environment)) return;
+
+  const staffUsers = await Promise.all(
+    staffUsersData.map(async ({ password, ...staffUser }) => ({
+      ...staffUser,
+      password_hash: await hashPassword(password),
+    }))
+  );
+  await knex.raw("TRUNCATE TABLE staff_users RESTART IDENTITY CASCADE");
+  return knex("staff_users").insert(staffUsers);
+};
@@ -0,0 +1,4 @@
+exports.seed = function (knex) {
+  // no subscriptions are seeded, so that development data is never sent out
+  return knex.raw("TRUNCATE TABLE webhooks RESTART IDENTITY CASCADE");
+};
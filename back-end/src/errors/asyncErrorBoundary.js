@@ -3,10 +3,11 @@ function asyncErrorBoundary(delegate, defaultStatus) {
     Promise.resolve()
       .then(() => delegate(request, response, next))
       .catch((error = {}) => {
-        const { status = defaultStatus, message = error } = error;
+        const { status = defaultStatus, message = error, data } = error;
         next({
           status,
           message,
+          data,
         });
       });
   };
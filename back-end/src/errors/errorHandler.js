@@ -1,9 +1,21 @@
 /**
- * Express API error handler.
+ * Express API error handler. An error may carry 'data', e.g. the current
+ * record of a 409 conflict, and 'errors', the invalid fields of a 400,
+ * which are sent along with the message. The request's ID is sent too, so
+ * a failure can be found in the logs.
  */
 function errorHandler(error, request, response, next) {
-  const { status = 500, message = "Something went wrong!" } = error;
-  response.status(status).json({ error: message });
+  const {
+    status = 500,
+    message = "Something went wrong!",
+    data,
+    errors,
+  } = error;
+  // the request log of an unexpected error includes the error
+  if (status >= 500) response.err = error;
+  response
+    .status(status)
+    .json({ error: message, errors, data, request_id: request.id });
 }
 
 module.exports = errorHandler;
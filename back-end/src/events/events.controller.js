@@ -0,0 +1,50 @@
+const liveEvents = require("./liveEvents");
+
+/**
+ * Milliseconds between comments sent to keep an idle stream open through
+ * proxies that close silent connections
+ */
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Milliseconds a browser waits before reconnecting a dropped stream
+ */
+const RETRY_MS = 3000;
+
+/**
+
+ ***HANDLERS***
+
+*/
+
+/**
+ * Stream handler for live events: keeps the response open and writes every
+ * reservation and table change to it as a Server-Sent Event
+ */
+function stream(req, res) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const unsubscribe = liveEvents.subscribe(({ id, event, data }) => {
+    res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    HEARTBEAT_MS
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+module.exports = {
+  stream,
+};
@@ -0,0 +1,17 @@
+/**
+ * Defines the router for the live event stream.
+ *
+ * @type {Router}
+ */
+
+const router = require("express").Router();
+const controller = require("./events.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { requirePermission } = require("../auth/permissions");
+
+router
+  .route("/")
+  .get(requirePermission("reservations:read"), controller.stream)
+  .all(methodNotAllowed);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const EventEmitter = require("events");
+
+/**
+ * The changes the open event streams are told about, each with the changed
+ * row as its data:
+ *  "reservation", "table" and "waitlist" for a created or updated row,
+ *  "reservation-deleted", "table-deleted" and "waitlist-deleted" with only
+ *  the ID.
+ */
+const EVENTS = [
+  "reservation",
+  "reservation-deleted",
+  "table",
+  "table-deleted",
+  "waitlist",
+  "waitlist-deleted",
+];
+
+const emitter = new EventEmitter();
+// every open stream listens
+emitter.setMaxListeners(0);
+
+let lastEventId = 0;
+
+/**
+ * Tells every open stream about the change
+ * @param event
+ * one of EVENTS
+ * @param data
+ * the changed row, or its ID when it was deleted
+ */
+function publish(event, data) {
+  if (!EVENTS.includes(event)) {
+    throw new Error(`Unknown live event: ${event}`);
+  }
+  lastEventId += 1;
+  emitter.emit("change", { id: lastEventId, event, data });
+}
+
+/**
+ * Publishes the reservation along with the tables that changed with it,
+ * e.g. when it is seated
+ */
+function publishReservation(reservation, tables = []) {
+  publish("reservation", reservation);
+  tables.forEach((table) => publish("table", table));
+}
+
+/**
+ * Calls the listener with every change from now on
+ * @returns {function}
+ * a function that stops calling it
+ */
+function subscribe(listener) {
+  emitter.on("change", listener);
+  return () => emitter.off("change", listener);
+}
+
+module.exports = {
+  EVENTS,
+  publish,
+  publishReservation,
+  subscribe,
+};
@@ -0,0 +1,112 @@
+const guestsService = require("./guests.service");
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+
+/**
+
+ ***VALIDATION***
+
+*/
+
+/**
+ * Validation for mobile_number uniqueness (one guest per normalized number)
+ */
+async function mobileNumberIsUnique(req, res, next) {
+  const { mobile_number } = req.body.data;
+  const { guest } = res.locals;
+  const [existing] = await guestsService.listByMobileNumber(mobile_number);
+
+  if (!existing || (guest && existing.guest_id === guest.guest_id)) {
+    return next();
+  }
+
+  next({
+    status: 409,
+    message: `Guest ID ${existing.guest_id} already has the mobile number ${mobile_number}.`,
+  });
+}
+
+/**
+ * Validation for guest existence
+ */
+async function guestExists(req, res, next) {
+  const { guest_id } = req.params;
+  const guest = await guestsService.read(guest_id);
+  if (guest) {
+    res.locals.guest = guest;
+    return next();
+  }
+  next({
+    status: 404,
+    message: `Guest ID ${guest_id} does not exist.`,
+  });
+}
+
+/**
+
+ ***HANDLERS***
+
+*/
+
+/**
+ * Create handler for guest resources
+ */
+async function create(req, res) {
+  const data = await guestsService.create(req.body.data);
+  res.status(201).json({ data });
+}
+
+/**
+ * Read handler for guest resources
+ */
+function read(req, res) {
+  const { guest: data } = res.locals;
+  res.json({ data });
+}
+
+/**
+ * Update handler for guest resources
+ */
+async function update(req, res) {
+  const updatedGuest = {
+    ...res.locals.guest,
+    ...req.body.data,
+    guest_id: res.locals.guest.guest_id,
+  };
+  const data = await guestsService.update(updatedGuest);
+  res.json({ data });
+}
+
+/**
+ * Destroy handler for guest resources
+ */
+async function destroy(req, res) {
+  const { guest } = res.locals;
+  await guestsService.delete(guest.guest_id);
+  res.sendStatus(204);
+}
+
+/**
+ * List handler for guest resources with optional mobile_number query
+ */
+async function list(req, res) {
+  const { mobile_number } = req.query;
+  const data = mobile_number
+    ? await guestsService.listByMobileNumber(mobile_number)
+    : await guestsService.list();
+  res.json({ data });
+}
+
+module.exports = {
+  create: [
+    asyncErrorBoundary(mobileNumberIsUnique),
+    asyncErrorBoundary(create),
+  ],
+  read: [asyncErrorBoundary(guestExists), read],
+  update: [
+    asyncErrorBoundary(guestExists),
+    asyncErrorBoundary(mobileNumberIsUnique),
+    asyncErrorBoundary(update),
+  ],
+  delete: [asyncErrorBoundary(guestExists), asyncErrorBoundary(destroy)],
+  list: asyncErrorBoundary(list),
+};
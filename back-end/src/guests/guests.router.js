@@ -0,0 +1,25 @@
+/**
+ * Defines the router for guest resources.
+ *
+ * @type {Router}
+ */
+
+const router = require("express").Router();
+const controller = require("./guests.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { requirePermission } = require("../auth/permissions");
+
+router
+  .route("/")
+  .get(requirePermission("guests:read"), controller.list)
+  .post(requirePermission("guests:edit"), controller.create)
+  .all(methodNotAllowed);
+
+router
+  .route("/:guest_id")
+  .get(requirePermission("guests:read"), controller.read)
+  .put(requirePermission("guests:edit"), controller.update)
+  .delete(requirePermission("guests:delete"), controller.delete)
+  .all(methodNotAllowed);
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const knex = require("../db/connection");
+
+/**
+ * Digits of a mobile number without a leading US country code, so that
+ * "(202) 555-0164", "202-555-0164" and "+1 202 555 0164" match the same guest
+ */
+function normalizeMobileNumber(mobile_number = "") {
+  const digits = String(mobile_number).replace(/\D/g, "");
+  return digits.length === 11 && digits.startsWith("1")
+    ? digits.slice(1)
+    : digits;
+}
+
+/**
+ * Properties computed on read that are not stored in the guests table
+ */
+const COMPUTED_PROPERTIES = ["visit_count", "no_show_count", "last_visit"];
+
+function withoutComputedProperties(guest) {
+  return Object.fromEntries(
+    Object.entries(guest).filter(
+      ([property]) => !COMPUTED_PROPERTIES.includes(property)
+    )
+  );
+}
+
+/**
+ * Guests with their lifetime visit count, no-show count and last visit
+ */
+function selectGuests() {
+  return knex("guests as g")
+    .leftJoin("reservations as r", "r.guest_id", "g.guest_id")
+    .select(
+      "g.*",
+      knex.raw(
+        "(count(r.reservation_id) filter (where r.status = 'finished'))::int as visit_count"
+      ),
+      knex.raw(
+        "(count(r.reservation_id) filter (where r.status = 'no_show'))::int as no_show_count"
+      ),
+      knex.raw(
+        "to_char(max(r.reservation_date) filter (where r.status = 'finished'), 'YYYY-MM-DD') as last_visit"
+      )
+    )
+    .groupBy("g.guest_id");
+}
+
+function list() {
+  return selectGuests().orderBy(["g.last_name", "g.first_name"]);
+}
+
+function listByMobileNumber(mobile_number) {
+  return selectGuests().where({
+    "g.mobile_number": normalizeMobileNumber(mobile_number),
+  });
+}
+
+function read(guest_id) {
+  return selectGuests().where({ "g.guest_id": guest_id }).first();
+}
+
+function create(guest) {
+  return knex("guests")
+    .insert({
+      ...withoutComputedProperties(guest),
+      mobile_number: normalizeMobileNumber(guest.mobile_number),
+    })
+    .returning("guest_id")
+    .then((createdIds) => read(createdIds[0]));
+}
+
+/**
+ * The guest with the mobile number of a reservation, created from the
+ * reservation's names when there is none yet. Resolves to null when the
+ * mobile number has no digits.
+ */
+async function findOrCreate({ first_name, last_name, mobile_number }) {
+  const normalized = normalizeMobileNumber(mobile_number);
+  if (!normalized) return null;
+
+  await knex("guests")
+    .insert({ first_name, last_name, mobile_number: normalized })
+    .onConflict("mobile_number")
+    .ignore();
+  return knex("guests")
+    .select("*")
+    .where({ mobile_number: normalized })
+    .first();
+}
+
+function update(updatedGuest) {
+  return knex("guests")
+    .where({ guest_id: updatedGuest.guest_id })
+    .update({
+      ...withoutComputedProperties(updatedGuest),
+      mobile_number: normalizeMobileNumber(updatedGuest.mobile_number),
+    })
+    .then(() => read(updatedGuest.guest_id));
+}
+
+function destroy(guest_id) {
+  return knex("guests").where({ guest_id }).del();
+}
+
+module.exports = {
+  normalizeMobileNumber,
+  list,
+  listByMobileNumber,
+  read,
+  create,
+  findOrCreate,
+  update,
+  delete: destroy,
+};
@@ -0,0 +1,47 @@
+const knex = require("../db/connection");
+
+/**
+ * How long a key is remembered, after which it may be used again
+ */
+const KEY_LIFETIME = "24 hours";
+
+/**
+ * Claims the key for a request with the fingerprint, forgetting expired keys
+ * first. Resolves to nothing if the key is new, otherwise to the stored row.
+ */
+function claim(idempotency_key, fingerprint) {
+  return knex.transaction(async (trx) => {
+    await trx("idempotency_keys")
+      .whereRaw("created_at < now() - ?::interval", [KEY_LIFETIME])
+      .del();
+    const [claimed] = await trx("idempotency_keys")
+      .insert({ idempotency_key, fingerprint }, "*")
+      .onConflict("idempotency_key")
+      .ignore();
+    if (claimed) return;
+
+    return trx("idempotency_keys").where({ idempotency_key }).first();
+  });
+}
+
+/**
+ * Stores the response to the request that claimed the key
+ */
+function complete(idempotency_key, status_code, response) {
+  return knex("idempotency_keys")
+    .where({ idempotency_key })
+    .update({ status_code, response, updated_at: knex.fn.now() });
+}
+
+/**
+ * Forgets the key of a request that failed, so that it can be retried
+ */
+function release(idempotency_key) {
+  return knex("idempotency_keys").where({ idempotency_key }).del();
+}
+
+module.exports = {
+  claim,
+  complete,
+  release,
+};
@@ -0,0 +1,76 @@
+const crypto = require("crypto");
+const idempotencyKeysService = require("./idempotencyKeys.service");
+
+/**
+ * Longest Idempotency-Key accepted
+ */
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Hash of what makes two requests the same: method, URL and body
+ */
+function fingerprintOf(req) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([req.method, req.originalUrl, req.body]))
+    .digest("hex");
+}
+
+/**
+ * Middleware that makes a route safe to retry with an Idempotency-Key header.
+ * The first request with a key runs as usual and its successful response is
+ * stored; a retry with the same key gets that response again instead of
+ * running twice. A failed request releases its key, so it can be retried.
+ * Requests without the header are not affected.
+ */
+async function idempotent(req, res, next) {
+  const idempotency_key = req.get("Idempotency-Key");
+  if (!idempotency_key) return next();
+
+  if (idempotency_key.length > MAX_KEY_LENGTH) {
+    return next({
+      status: 400,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters.`,
+    });
+  }
+
+  const fingerprint = fingerprintOf(req);
+  const stored = await idempotencyKeysService.claim(
+    idempotency_key,
+    fingerprint
+  );
+
+  if (stored) {
+    if (stored.fingerprint !== fingerprint) {
+      return next({
+        status: 422,
+        message: `Idempotency-Key ${idempotency_key} was already used for a different request.`,
+      });
+    }
+    if (stored.status_code === null) {
+      return next({
+        status: 409,
+        message: `A request with Idempotency-Key ${idempotency_key} is still in progress.`,
+      });
+    }
+    return res
+      .set("Idempotent-Replayed", "true")
+      .status(stored.status_code)
+      .json(stored.response);
+  }
+
+  // stores the response, or releases the key, before sending the response
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.json = json;
+    const settled =
+      res.statusCode < 300
+        ? idempotencyKeysService.complete(idempotency_key, res.statusCode, body)
+        : idempotencyKeysService.release(idempotency_key);
+    settled.then(() => json(body), next);
+    return res;
+  };
+  next();
+}
+
+module.exports = idempotent;
@@ -0,0 +1,14 @@
+const pino = require("pino");
+
+const { LOG_LEVEL = "info", NODE_ENV } = process.env;
+
+/**
+ * The application's logger. Logs are JSON lines in production, for the log
+ * drain to parse, and pretty-printed everywhere else.
+ */
+const logger = pino({
+  level: LOG_LEVEL,
+  prettyPrint: NODE_ENV !== "production" && { ignore: "pid,hostname" },
+});
+
+module.exports = logger;
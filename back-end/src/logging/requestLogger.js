@@ -0,0 +1,43 @@
+const crypto = require("crypto");
+const pinoHttp = require("pino-http");
+const logger = require("./logger");
+
+/**
+ * The ID of a request: the X-Request-Id a proxy in front of the API sent
+ * along, so that its logs and ours match, or a new one
+ */
+function requestIdOf(req) {
+  const requestId = req.get("X-Request-Id");
+  return requestId && /^[\w.:-]{1,200}$/.test(requestId)
+    ? requestId
+    : crypto.randomUUID();
+}
+
+const httpLogger = pinoHttp({
+  logger,
+  genReqId: requestIdOf,
+  customLogLevel: (res, error) =>
+    error || res.statusCode >= 500 ? "error" : "info",
+  serializers: {
+    // the event stream's URL carries a login token
+    req: ({ id, method, url }) => ({
+      id,
+      method,
+      url: url.replace(/access_token=[^&]*/, "access_token=[Redacted]"),
+    }),
+    res: ({ statusCode }) => ({ statusCode }),
+  },
+});
+
+/**
+ * Middleware that logs every request once it completes, with its status and
+ * response time. Puts a logger bound to the request's ID in req.log and
+ * sends the ID back in the X-Request-Id header.
+ */
+function requestLogger(req, res, next) {
+  httpLogger(req, res);
+  res.set("X-Request-Id", req.id);
+  next();
+}
+
+module.exports = requestLogger;
@@ -0,0 +1,953 @@
+/**
+ * The OpenAPI description of the API, served at /docs. Every request is
+ * validated against the parameters and request bodies described here.
+ */
+
+const { STATUSES } = require("../reservations/reservationStatus");
+const { ROLES } = require("../auth/permissions");
+const { EVENT_TYPES } = require("../webhooks/webhookEvents");
+
+/**
+ * Schemas of single values
+ */
+const id = { type: "integer" };
+const text = { type: "string", minLength: 1 };
+const name = { type: "string", format: "not-blank" };
+const phone = { type: "string", format: "phone" };
+const date = { type: "string", format: "date" };
+const hourMinute = { type: "string", format: "hour-minute" };
+const timeOfDay = { type: "string", format: "time-of-day" };
+const timestamp = { type: "string", format: "date-time" };
+const count = { type: "integer", minimum: 0 };
+const positive = { type: "integer", minimum: 1 };
+
+function nullable(schema) {
+  return { ...schema, nullable: true };
+}
+
+function record(properties, required = []) {
+  return { type: "object", required, properties, additionalProperties: false };
+}
+
+function list(items) {
+  return { type: "array", items };
+}
+
+function ref(schema) {
+  return { $ref: `#/components/schemas/${schema}` };
+}
+
+/**
+ * Schemas of the 'data' of request bodies
+ */
+const inputs = {
+  reservation: record(
+    {
+      reservation_id: id,
+      first_name: text,
+      last_name: text,
+      mobile_number: text,
+      reservation_date: date,
+      reservation_time: hourMinute,
+      people: positive,
+      status: { type: "string", enum: STATUSES },
+      duration_minutes: nullable({ ...positive, maximum: 24 * 60 }),
+      table_id: nullable(id),
+      guest_id: nullable(id),
+      section_preference: nullable({ type: "string" }),
+      end_time: nullable({ type: "string" }),
+      created_at: timestamp,
+      updated_at: timestamp,
+    },
+    [
+      "first_name",
+      "last_name",
+      "mobile_number",
+      "reservation_date",
+      "reservation_time",
+      "people",
+    ]
+  ),
+  status: record(
+    {
+      reservation_id: id,
+      status: { type: "string", enum: STATUSES },
+      updated_at: timestamp,
+    },
+    ["status"]
+  ),
+  table: record(
+    {
+      table_id: id,
+      table_name: { type: "string", minLength: 2 },
+      capacity: positive,
+      reservation_id: nullable(id),
+      section: nullable({ type: "string" }),
+    },
+    ["table_name", "capacity"]
+  ),
+  seat: record({ table_id: id, reservation_id: id, table_ids: list(id) }, [
+    "reservation_id",
+  ]),
+  move: record({ table_id: id }, ["table_id"]),
+  waitlistSeat: record({ table_id: id, table_ids: list(id) }, ["table_id"]),
+  hours: list(
+    record(
+      {
+        day_of_week: { type: "integer", minimum: 0, maximum: 6 },
+        service_name: name,
+        open_time: timeOfDay,
+        close_time: timeOfDay,
+      },
+      ["day_of_week", "service_name", "open_time", "close_time"]
+    )
+  ),
+  turnTimes: list(
+    record({ min_people: positive, duration_minutes: positive }, [
+      "min_people",
+      "duration_minutes",
+    ])
+  ),
+  pacing: list(
+    record({
+      service_name: nullable(name),
+      max_covers: nullable(positive),
+      max_parties: nullable(positive),
+    })
+  ),
+  capacity: record({ overbooking_allowance: count }),
+  closure: record(
+    {
+      closure_id: id,
+      closure_name: name,
+      start_date: date,
+      end_date: date,
+      open_time: nullable(timeOfDay),
+      close_time: nullable(timeOfDay),
+      created_at: timestamp,
+      updated_at: timestamp,
+    },
+    ["closure_name", "start_date", "end_date"]
+  ),
+  guest: record(
+    {
+      guest_id: id,
+      mobile_number: phone,
+      first_name: nullable({ type: "string" }),
+      last_name: nullable({ type: "string" }),
+      notes: nullable({ type: "string" }),
+      visit_count: count,
+      no_show_count: count,
+      last_visit: nullable({ type: "string" }),
+      created_at: timestamp,
+      updated_at: timestamp,
+    },
+    ["mobile_number"]
+  ),
+  waitlistEntry: record(
+    {
+      party_name: name,
+      mobile_number: phone,
+      party_size: positive,
+      quoted_wait_minutes: nullable(count),
+    },
+    ["party_name", "mobile_number", "party_size"]
+  ),
+  walkIn: record(
+    {
+      first_name: text,
+      last_name: text,
+      mobile_number: text,
+      people: positive,
+      table_id: nullable(id),
+      table_ids: list(id),
+    },
+    ["first_name", "last_name", "mobile_number", "people"]
+  ),
+  credentials: record({ username: text, password: text }, [
+    "username",
+    "password",
+  ]),
+  staffUser: record(
+    {
+      username: { type: "string", format: "username" },
+      display_name: name,
+      password: { type: "string", minLength: 8 },
+      role: { type: "string", enum: ROLES },
+    },
+    ["username", "display_name", "password"]
+  ),
+  webhook: record(
+    {
+      url: { type: "string", format: "http-url", maxLength: 2048 },
+      events: {
+        type: "array",
+        minItems: 1,
+        items: { type: "string", enum: EVENT_TYPES },
+      },
+      secret: { type: "string", minLength: 16 },
+      active: { type: "boolean" },
+    },
+    ["url", "events"]
+  ),
+};
+
+/**
+ * Schemas of the records the API responds with
+ */
+const schemas = {
+  Status: { type: "string", enum: STATUSES },
+  Reservation: {
+    type: "object",
+    properties: {
+      ...inputs.reservation.properties,
+      status: ref("Status"),
+      end_time: {
+        type: "string",
+        description: "HH:MM the table is free again",
+      },
+      tables: list(ref("Table")),
+    },
+  },
+  ReservationEvent: {
+    type: "object",
+    properties: {
+      reservation_event_id: id,
+      reservation_id: id,
+      event_type: { type: "string" },
+      old_values: { type: "object" },
+      new_values: { type: "object" },
+      table_id: nullable(id),
+      staff_user_id: nullable(id),
+      username: nullable({ type: "string" }),
+      created_at: timestamp,
+    },
+  },
+  Table: {
+    type: "object",
+    properties: { ...inputs.table.properties, created_at: timestamp },
+  },
+  TableSuggestion: {
+    type: "object",
+    properties: {
+      ...inputs.table.properties,
+      reasons: list({ type: "string" }),
+    },
+  },
+  BusinessHours: inputs.hours.items,
+  TurnTime: inputs.turnTimes.items,
+  PacingLimit: inputs.pacing.items,
+  Capacity: inputs.capacity,
+  TimeZone: {
+    type: "object",
+    properties: {
+      time_zone: { type: "string", description: "IANA time zone" },
+    },
+  },
+  Closure: { type: "object", properties: inputs.closure.properties },
+  Slot: {
+    type: "object",
+    properties: {
+      time: hourMinute,
+      available: { type: "boolean" },
+      code: {
+        type: "string",
+        enum: ["past", "no_table", "pacing", "fully_booked"],
+      },
+      reason: { type: "string" },
+    },
+  },
+  PacingLoad: {
+    type: "object",
+    properties: {
+      time: hourMinute,
+      service_name: nullable({ type: "string" }),
+      covers: count,
+      parties: count,
+      max_covers: nullable(positive),
+      max_parties: nullable(positive),
+    },
+  },
+  Guest: { type: "object", properties: inputs.guest.properties },
+  WaitlistEntry: {
+    type: "object",
+    properties: {
+      waitlist_id: id,
+      ...inputs.waitlistEntry.properties,
+      status: { type: "string", enum: ["waiting", "notified", "seated"] },
+      joined_at: timestamp,
+      notified_at: nullable(timestamp),
+      seated_at: nullable(timestamp),
+      reservation_id: nullable(id),
+    },
+  },
+  WaitEstimate: {
+    type: "object",
+    properties: {
+      people: positive,
+      wait_minutes: nullable(count),
+      parties_ahead: count,
+      reason: { type: "string" },
+    },
+  },
+  StaffUser: {
+    type: "object",
+    properties: {
+      staff_user_id: id,
+      username: { type: "string" },
+      display_name: { type: "string" },
+      role: { type: "string", enum: ROLES },
+      permissions: list({ type: "string" }),
+    },
+  },
+  Webhook: {
+    type: "object",
+    properties: {
+      webhook_id: id,
+      ...inputs.webhook.properties,
+      created_at: timestamp,
+      updated_at: timestamp,
+    },
+  },
+  WebhookDelivery: {
+    type: "object",
+    properties: {
+      webhook_delivery_id: id,
+      webhook_id: id,
+      event_type: { type: "string", enum: EVENT_TYPES },
+      payload: { type: "object" },
+      status: { type: "string", enum: ["pending", "delivered", "failed"] },
+      attempts: count,
+      response_status: nullable({ type: "integer" }),
+      last_error: nullable({ type: "string" }),
+      next_attempt_at: nullable(timestamp),
+    },
+  },
+  Error: {
+    type: "object",
+    properties: {
+      error: { type: "string" },
+      errors: {
+        type: "array",
+        description: "One entry per invalid field of a 400 response",
+        items: {
+          type: "object",
+          properties: {
+            in: { type: "string", enum: ["path", "query", "body"] },
+            field: { type: "string" },
+            message: { type: "string" },
+          },
+        },
+      },
+      data: { description: "The current record of a 409 conflict" },
+    },
+  },
+};
+
+/**
+ * Parameters
+ */
+function pathId(parameter) {
+  return { name: parameter, in: "path", required: true, schema: id };
+}
+
+function query(parameter, schema, required = false) {
+  return { name: parameter, in: "query", required, schema };
+}
+
+const idempotencyKey = {
+  name: "Idempotency-Key",
+  in: "header",
+  description: "Replays the first response to a repeated request",
+  schema: { type: "string", maxLength: 255 },
+};
+
+/**
+ * Error responses, by status
+ */
+const ERRORS = {
+  400: "Invalid input",
+  401: "Not logged in",
+  403: "Not permitted for the staff user's role",
+  404: "Not found",
+  409: "Conflicts with the current state",
+  428: "No version given to check the update against",
+};
+
+/**
+ *
+ * @param options
+ * the operation's tag, summary, permission, parameters, request body
+ * 'data', response 'data' and other error statuses it responds with
+ * @returns {object}
+ * the OpenAPI operation
+ */
+function operation({
+  tag,
+  summary,
+  permission,
+  parameters = [],
+  body,
+  status = 200,
+  data,
+  content,
+  errors = [],
+}) {
+  const statuses = [
+    ...(body || parameters.some((parameter) => parameter.in !== "header")
+      ? [400]
+      : []),
+    ...(permission ? [401, 403] : []),
+    ...(parameters.some((parameter) => parameter.in === "path") ? [404] : []),
+    ...errors,
+  ];
+  const success = data
+    ? { content: { "application/json": { schema: record({ data }) } } }
+    : { content };
+
+  return {
+    tags: [tag],
+    summary,
+    ...(permission && {
+      description: `Requires the \`${permission}\` permission.`,
+      "x-permission": permission,
+    }),
+    ...(parameters.length && { parameters }),
+    ...(body && {
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": { schema: record({ data: body }, ["data"]) },
+        },
+      },
+    }),
+    responses: {
+      [status]: {
+        description: status === 204 ? "No Content" : "OK",
+        ...success,
+      },
+      ...Object.fromEntries(
+        [...new Set(statuses)].map((errorStatus) => [
+          errorStatus,
+          { $ref: `#/components/responses/${errorStatus}` },
+        ])
+      ),
+    },
+  };
+}
+
+const paths = {
+  "/auth/login": {
+    post: {
+      ...operation({
+        tag: "Auth",
+        summary: "Log in and get a token",
+        body: inputs.credentials,
+        data: {
+          type: "object",
+          properties: {
+            token: { type: "string" },
+            expires_in: positive,
+            staff_user: ref("StaffUser"),
+          },
+        },
+        errors: [401],
+      }),
+      security: [],
+    },
+  },
+  "/auth/me": {
+    get: operation({
+      tag: "Auth",
+      summary: "Read the logged-in staff user and their permissions",
+      data: ref("StaffUser"),
+      errors: [401],
+    }),
+  },
+  "/staff-users": {
+    get: operation({
+      tag: "Staff users",
+      summary: "List staff users",
+      permission: "staff:manage",
+      data: list(ref("StaffUser")),
+    }),
+    post: operation({
+      tag: "Staff users",
+      summary: "Create a staff user",
+      permission: "staff:manage",
+      body: inputs.staffUser,
+      status: 201,
+      data: ref("StaffUser"),
+    }),
+  },
+  "/reservations": {
+    get: operation({
+      tag: "Reservations",
+      summary: "List reservations of a date, or matching a mobile number",
+      permission: "reservations:read",
+      parameters: [
+        query("date", date),
+        query("mobile_number", { type: "string" }),
+      ],
+      data: list(ref("Reservation")),
+    }),
+    post: operation({
+      tag: "Reservations",
+      summary: "Create a reservation",
+      permission: "reservations:create",
+      parameters: [idempotencyKey],
+      body: inputs.reservation,
+      status: 201,
+      data: ref("Reservation"),
+      errors: [409],
+    }),
+  },
+  "/reservations/{reservation_id}": {
+    get: operation({
+      tag: "Reservations",
+      summary: "Read a reservation, with its version as the ETag",
+      permission: "reservations:read",
+      parameters: [pathId("reservation_id")],
+      data: ref("Reservation"),
+    }),
+    put: operation({
+      tag: "Reservations",
+      summary: "Update a reservation, if unchanged since the If-Match version",
+      permission: "reservations:edit",
+      parameters: [
+        pathId("reservation_id"),
+        { name: "If-Match", in: "header", schema: { type: "string" } },
+      ],
+      body: inputs.reservation,
+      data: ref("Reservation"),
+      errors: [409, 428],
+    }),
+    delete: operation({
+      tag: "Reservations",
+      summary: "Delete a reservation",
+      permission: "reservations:delete",
+      parameters: [pathId("reservation_id")],
+      status: 204,
+    }),
+  },
+  "/reservations/{reservation_id}/status": {
+    put: operation({
+      tag: "Reservations",
+      summary:
+        "Change the status of a reservation, if unchanged since the If-Match version",
+      permission: "reservations:change-status",
+      parameters: [
+        pathId("reservation_id"),
+        { name: "If-Match", in: "header", schema: { type: "string" } },
+      ],
+      body: inputs.status,
+      data: ref("Reservation"),
+      errors: [409],
+    }),
+  },
+  "/reservations/{reservation_id}/history": {
+    get: operation({
+      tag: "Reservations",
+      summary: "List the status changes and edits of a reservation",
+      permission: "reservations:read",
+      parameters: [pathId("reservation_id")],
+      data: list(ref("ReservationEvent")),
+    }),
+  },
+  "/reservations/{reservation_id}/table-suggestions": {
+    get: operation({
+      tag: "Reservations",
+      summary: "List the free tables that fit a reservation, best first",
+      permission: "tables:read",
+      parameters: [pathId("reservation_id")],
+      data: list(ref("TableSuggestion")),
+    }),
+  },
+  "/tables": {
+    get: operation({
+      tag: "Tables",
+      summary: "List tables",
+      permission: "tables:read",
+      data: list(ref("Table")),
+    }),
+    post: operation({
+      tag: "Tables",
+      summary: "Create a table",
+      permission: "tables:create",
+      parameters: [idempotencyKey],
+      body: inputs.table,
+      status: 201,
+      data: ref("Table"),
+    }),
+  },
+  "/tables/{table_id}": {
+    get: operation({
+      tag: "Tables",
+      summary: "Read a table",
+      permission: "tables:read",
+      parameters: [pathId("table_id")],
+      data: ref("Table"),
+    }),
+    delete: operation({
+      tag: "Tables",
+      summary: "Delete a table",
+      permission: "tables:delete",
+      parameters: [pathId("table_id")],
+      status: 204,
+    }),
+  },
+  "/tables/{table_id}/seat": {
+    put: operation({
+      tag: "Tables",
+      summary: "Seat a reservation at a table, and any combined tables",
+      permission: "tables:seat",
+      parameters: [pathId("table_id"), idempotencyKey],
+      body: inputs.seat,
+      data: ref("Table"),
+    }),
+    delete: operation({
+      tag: "Tables",
+      summary: "Finish the party seated at a table",
+      permission: "tables:finish",
+      parameters: [pathId("table_id")],
+      data: ref("Table"),
+    }),
+  },
+  "/tables/{table_id}/move": {
+    post: operation({
+      tag: "Tables",
+      summary: "Move the party seated at a table to another table",
+      permission: "tables:seat",
+      parameters: [pathId("table_id")],
+      body: inputs.move,
+      data: ref("Table"),
+    }),
+  },
+  "/walk-ins": {
+    post: operation({
+      tag: "Tables",
+      summary: "Seat a walk-in party now, at the given or best free table",
+      permission: "tables:seat",
+      body: inputs.walkIn,
+      status: 201,
+      data: ref("Reservation"),
+    }),
+  },
+  "/settings/hours": {
+    get: operation({
+      tag: "Settings",
+      summary: "List the service periods of each day of the week",
+      permission: "settings:read",
+      data: list(ref("BusinessHours")),
+    }),
+    put: operation({
+      tag: "Settings",
+      summary: "Replace the service periods of each day of the week",
+      permission: "settings:edit",
+      body: inputs.hours,
+      data: list(ref("BusinessHours")),
+    }),
+  },
+  "/settings/turn-times": {
+    get: operation({
+      tag: "Settings",
+      summary: "List the minutes a table is occupied, by party size",
+      permission: "settings:read",
+      data: list(ref("TurnTime")),
+    }),
+    put: operation({
+      tag: "Settings",
+      summary: "Replace the turn times",
+      permission: "settings:edit",
+      body: inputs.turnTimes,
+      data: list(ref("TurnTime")),
+    }),
+  },
+  "/settings/pacing": {
+    get: operation({
+      tag: "Settings",
+      summary: "List the covers and parties allowed to arrive per interval",
+      permission: "settings:read",
+      data: list(ref("PacingLimit")),
+    }),
+    put: operation({
+      tag: "Settings",
+      summary: "Replace the pacing limits",
+      permission: "settings:edit",
+      body: inputs.pacing,
+      data: list(ref("PacingLimit")),
+    }),
+  },
+  "/settings/capacity": {
+    get: operation({
+      tag: "Settings",
+      summary: "Read the capacity settings",
+      permission: "settings:read",
+      data: ref("Capacity"),
+    }),
+    put: operation({
+      tag: "Settings",
+      summary: "Update the capacity settings",
+      permission: "settings:edit",
+      body: inputs.capacity,
+      data: ref("Capacity"),
+    }),
+  },
+  "/settings/time-zone": {
+    get: operation({
+      tag: "Settings",
+      summary: "Read the restaurant's time zone",
+      permission: "settings:read",
+      data: ref("TimeZone"),
+    }),
+  },
+  "/closures": {
+    get: operation({
+      tag: "Settings",
+      summary: "List closures, optionally those ending on or after a date",
+      permission: "settings:read",
+      parameters: [query("from", date)],
+      data: list(ref("Closure")),
+    }),
+    post: operation({
+      tag: "Settings",
+      summary: "Create a closure or a day with custom hours",
+      permission: "settings:edit",
+      body: inputs.closure,
+      status: 201,
+      data: ref("Closure"),
+    }),
+  },
+  "/closures/{closure_id}": {
+    get: operation({
+      tag: "Settings",
+      summary: "Read a closure",
+      permission: "settings:read",
+      parameters: [pathId("closure_id")],
+      data: ref("Closure"),
+    }),
+    put: operation({
+      tag: "Settings",
+      summary: "Update a closure",
+      permission: "settings:edit",
+      parameters: [pathId("closure_id")],
+      body: inputs.closure,
+      data: ref("Closure"),
+    }),
+    delete: operation({
+      tag: "Settings",
+      summary: "Delete a closure",
+      permission: "settings:edit",
+      parameters: [pathId("closure_id")],
+      status: 204,
+    }),
+  },
+  "/availability": {
+    get: operation({
+      tag: "Availability",
+      summary: "List the bookable time slots of a date for a party size",
+      permission: "reservations:read",
+      parameters: [query("date", date, true), query("people", positive, true)],
+      data: list(ref("Slot")),
+    }),
+  },
+  "/availability/pacing": {
+    get: operation({
+      tag: "Availability",
+      summary: "List the pacing load of each interval of a date",
+      permission: "reservations:read",
+      parameters: [query("date", date, true)],
+      data: list(ref("PacingLoad")),
+    }),
+  },
+  "/guests": {
+    get: operation({
+      tag: "Guests",
+      summary: "List guests, optionally those with a mobile number",
+      permission: "guests:read",
+      parameters: [query("mobile_number", { type: "string" })],
+      data: list(ref("Guest")),
+    }),
+    post: operation({
+      tag: "Guests",
+      summary: "Create a guest",
+      permission: "guests:edit",
+      body: inputs.guest,
+      status: 201,
+      data: ref("Guest"),
+      errors: [409],
+    }),
+  },
+  "/guests/{guest_id}": {
+    get: operation({
+      tag: "Guests",
+      summary: "Read a guest with their visit history",
+      permission: "guests:read",
+      parameters: [pathId("guest_id")],
+      data: ref("Guest"),
+    }),
+    put: operation({
+      tag: "Guests",
+      summary: "Update a guest",
+      permission: "guests:edit",
+      parameters: [pathId("guest_id")],
+      body: inputs.guest,
+      data: ref("Guest"),
+      errors: [409],
+    }),
+    delete: operation({
+      tag: "Guests",
+      summary: "Delete a guest",
+      permission: "guests:delete",
+      parameters: [pathId("guest_id")],
+      status: 204,
+    }),
+  },
+  "/waitlist": {
+    get: operation({
+      tag: "Waitlist",
+      summary: "List the parties still waiting, in the order they joined",
+      permission: "waitlist:read",
+      data: list(ref("WaitlistEntry")),
+    }),
+    post: operation({
+      tag: "Waitlist",
+      summary: "Add a party to the waitlist",
+      permission: "waitlist:edit",
+      body: inputs.waitlistEntry,
+      status: 201,
+      data: ref("WaitlistEntry"),
+    }),
+  },
+  "/waitlist/estimate": {
+    get: operation({
+      tag: "Waitlist",
+      summary: "Estimate the wait for a table for a party size",
+      permission: "waitlist:read",
+      parameters: [query("people", positive, true)],
+      data: ref("WaitEstimate"),
+    }),
+  },
+  "/waitlist/{waitlist_id}": {
+    get: operation({
+      tag: "Waitlist",
+      summary: "Read a waitlist entry",
+      permission: "waitlist:read",
+      parameters: [pathId("waitlist_id")],
+      data: ref("WaitlistEntry"),
+    }),
+    delete: operation({
+      tag: "Waitlist",
+      summary: "Remove a party from the waitlist",
+      permission: "waitlist:edit",
+      parameters: [pathId("waitlist_id")],
+      status: 204,
+    }),
+  },
+  "/waitlist/{waitlist_id}/notify": {
+    put: operation({
+      tag: "Waitlist",
+      summary: "Mark a waiting party as notified that their table is ready",
+      permission: "waitlist:edit",
+      parameters: [pathId("waitlist_id")],
+      data: ref("WaitlistEntry"),
+    }),
+  },
+  "/waitlist/{waitlist_id}/seat": {
+    put: operation({
+      tag: "Waitlist",
+      summary: "Seat a waiting party at a table as a walk-in reservation",
+      permission: "tables:seat",
+      parameters: [pathId("waitlist_id")],
+      body: inputs.waitlistSeat,
+      data: ref("WaitlistEntry"),
+      errors: [409],
+    }),
+  },
+  "/webhooks": {
+    get: operation({
+      tag: "Webhooks",
+      summary: "List webhooks",
+      permission: "webhooks:manage",
+      data: list(ref("Webhook")),
+    }),
+    post: operation({
+      tag: "Webhooks",
+      summary: "Create a webhook; only this response includes its secret",
+      permission: "webhooks:manage",
+      body: inputs.webhook,
+      status: 201,
+      data: ref("Webhook"),
+    }),
+  },
+  "/webhooks/{webhook_id}": {
+    get: operation({
+      tag: "Webhooks",
+      summary: "Read a webhook",
+      permission: "webhooks:manage",
+      parameters: [pathId("webhook_id")],
+      data: ref("Webhook"),
+    }),
+    put: operation({
+      tag: "Webhooks",
+      summary: "Update a webhook",
+      permission: "webhooks:manage",
+      parameters: [pathId("webhook_id")],
+      body: inputs.webhook,
+      data: ref("Webhook"),
+    }),
+    delete: operation({
+      tag: "Webhooks",
+      summary: "Delete a webhook and its deliveries",
+      permission: "webhooks:manage",
+      parameters: [pathId("webhook_id")],
+      status: 204,
+    }),
+  },
+  "/webhooks/{webhook_id}/deliveries": {
+    get: operation({
+      tag: "Webhooks",
+      summary: "List the deliveries of a webhook, newest first",
+      permission: "webhooks:manage",
+      parameters: [pathId("webhook_id")],
+      data: list(ref("WebhookDelivery")),
+    }),
+  },
+  "/events": {
+    get: operation({
+      tag: "Live events",
+      summary:
+        "Stream reservation, table and waitlist changes as Server-Sent Events",
+      permission: "reservations:read",
+      parameters: [query("access_token", { type: "string" })],
+      content: { "text/event-stream": { schema: { type: "string" } } },
+    }),
+  },
+};
+
+module.exports = {
+  openapi: "3.0.3",
+  info: {
+    title: "Periodic Tables",
+    description:
+      "Reservations, tables and the floor of a restaurant. Log in with POST /auth/login and send the token as a Bearer token.",
+    version: "1.0.0",
+  },
+  security: [{ bearerAuth: [] }],
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: "http", scheme: "bearer" },
+    },
+    schemas,
+    responses: Object.fromEntries(
+      Object.entries(ERRORS).map(([status, description]) => [
+        status,
+        {
+          description,
+          content: { "application/json": { schema: ref("Error") } },
+        },
+      ])
+    ),
+  },
+};
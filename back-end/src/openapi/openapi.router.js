@@ -0,0 +1,20 @@
+/**
+ * Defines the router for the API documentation.
+ *
+ * @type {Router}
+ */
+
+const router = require("express").Router();
+const swaggerUi = require("swagger-ui-express");
+const openapi = require("./openapi");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+
+router
+  .route("/openapi.json")
+  .get((req, res) => res.json(openapi))
+  .all(methodNotAllowed);
+
+router.use("/", swaggerUi.serve);
+router.route("/").get(swaggerUi.setup(openapi)).all(methodNotAllowed);
+
+module.exports = router;
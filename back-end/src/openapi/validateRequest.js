@@ -0,0 +1,232 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const openapi = require("./openapi");
+
+/**
+ * Formats of the string values in the OpenAPI document, each with the
+ * message of a value not in that format
+ */
+const FORMATS = {
+  date: { message: "must be a YYYY-MM-DD date" },
+  "date-time": { message: "must be an ISO 8601 date and time" },
+  "hour-minute": {
+    validate: /^([01][0-9]|2[0-3]):[0-5][0-9]$/,
+    message: "must be an HH:MM time",
+  },
+  "time-of-day": {
+    validate: /^([01][0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/,
+    message: "must be an HH:MM or HH:MM:SS time",
+  },
+  "not-blank": { validate: /\S/, message: "must not be blank" },
+  phone: { validate: /\d/, message: "must be a phone number" },
+  username: {
+    validate: /^[a-z0-9._-]{2,}$/i,
+    message: "must be 2 or more letters, digits, dots, dashes or underscores",
+  },
+  "http-url": {
+    validate: (url) => {
+      try {
+        return ["http:", "https:"].includes(new URL(url).protocol);
+      } catch (error) {
+        return false;
+      }
+    },
+    message: "must be an http or https URL",
+  },
+};
+
+const TYPES = {
+  integer: "an integer",
+  number: "a number",
+  string: "a string",
+  boolean: "true or false",
+  array: "an array",
+  object: "an object",
+  null: "null",
+};
+
+/**
+ *
+ * @param options
+ * Ajv options
+ * @returns {Ajv}
+ * a validator for the schemas of the OpenAPI document
+ */
+function createAjv(options) {
+  const ajv = new Ajv({ allErrors: true, verbose: true, ...options });
+  addFormats(ajv, ["date", "date-time"]);
+  Object.entries(FORMATS)
+    .filter(([, { validate }]) => validate)
+    .forEach(([format, { validate }]) => ajv.addFormat(format, validate));
+  return ajv;
+}
+
+// path and query values are strings, which are coerced to the schema's type
+const parameterAjv = createAjv({ coerceTypes: true });
+const bodyAjv = createAjv();
+
+/**
+ * Compiles the schema of the parameters of an operation in 'location'
+ */
+function compileParameters(parameters, location) {
+  const inLocation = parameters.filter(
+    (parameter) => parameter.in === location
+  );
+  if (!inLocation.length) return null;
+
+  return parameterAjv.compile({
+    type: "object",
+    properties: Object.fromEntries(
+      inLocation.map((parameter) => [parameter.name, parameter.schema])
+    ),
+    required: inLocation
+      .filter((parameter) => parameter.required)
+      .map((parameter) => parameter.name),
+  });
+}
+
+/**
+ * Every operation of the OpenAPI document with its validators. Paths with
+ * fewer parameters come first, so "/waitlist/estimate" is matched before
+ * "/waitlist/{waitlist_id}".
+ */
+const operations = Object.entries(openapi.paths)
+  .flatMap(([path, methods]) =>
+    Object.entries(methods).map(([method, operation]) => {
+      const { parameters = [], requestBody } = operation;
+      const names = [];
+      const pattern = path.replace(/\{(\w+)\}/g, (match, name) => {
+        names.push(name);
+        return "([^/]+)";
+      });
+
+      return {
+        method: method.toUpperCase(),
+        pattern: new RegExp(`^${pattern}/?$`),
+        names,
+        path: compileParameters(parameters, "path"),
+        query: compileParameters(parameters, "query"),
+        body:
+          requestBody &&
+          bodyAjv.compile(requestBody.content["application/json"].schema),
+      };
+    })
+  )
+  .sort((a, b) => a.names.length - b.names.length);
+
+/**
+ * Name of the invalid field of an Ajv error, e.g. "people", "events[0]" or
+ * "data[1].open_time". The 'data' of a body is left out of the names of
+ * its properties.
+ */
+function fieldOf({ instancePath, keyword, params }, location) {
+  const segments = instancePath.split("/").slice(1);
+  if (keyword === "required") segments.push(params.missingProperty);
+  if (keyword === "additionalProperties") {
+    segments.push(params.additionalProperty);
+  }
+  if (location === "body" && segments.length > 1 && isNaN(segments[1])) {
+    segments.shift();
+  }
+
+  return segments.reduce(
+    (field, segment) =>
+      /^\d+$/.test(segment)
+        ? `${field}[${segment}]`
+        : field
+        ? `${field}.${segment}`
+        : segment,
+    ""
+  );
+}
+
+/**
+ * Message of an Ajv error, without the field name
+ */
+function messageOf({ keyword, params, data, message }) {
+  switch (keyword) {
+    case "required":
+      return "is required";
+    case "additionalProperties":
+      return "is not a valid field";
+    case "type":
+      return `must be ${String(params.type)
+        .split(",")
+        .map((type) => TYPES[type])
+        .join(" or ")}`;
+    case "enum":
+      return `must be one of ${params.allowedValues.join(
+        ", "
+      )}, not ${JSON.stringify(data)}`;
+    case "format":
+      return FORMATS[params.format].message;
+    case "minimum":
+      return `must be at least ${params.limit}`;
+    case "maximum":
+      return `must be at most ${params.limit}`;
+    case "minLength":
+      return params.limit === 1
+        ? "must not be empty"
+        : `must be at least ${params.limit} characters`;
+    case "maxLength":
+      return `must be at most ${params.limit} characters`;
+    case "minItems":
+      return `must have at least ${params.limit} item(s)`;
+    default:
+      return message;
+  }
+}
+
+/**
+ * Validates 'value' against a compiled schema
+ *
+ * @returns {[{in, field, message}]}
+ * an entry per invalid field, empty if 'value' is valid
+ */
+function check(validate, value, location) {
+  if (!validate || validate(value)) return [];
+
+  return validate.errors.map((error) => ({
+    in: location,
+    field: fieldOf(error, location),
+    message: messageOf(error),
+  }));
+}
+
+/**
+ * Validates the path parameters, query string and body of a request
+ * against its operation in the OpenAPI document. Requests that match no
+ * operation are left to the routers, which respond 404 or 405. Works mounted
+ * at any path, since it matches the full path of the request. Responds 400
+ * with an 'errors' entry per invalid field.
+ */
+function validateRequest(req, res, next) {
+  const path = req.baseUrl + req.path;
+  const operation = operations.find(
+    ({ method, pattern }) => method === req.method && pattern.test(path)
+  );
+  if (!operation) return next();
+
+  const values = path.match(operation.pattern).slice(1);
+  const pathParameters = Object.fromEntries(
+    operation.names.map((name, index) => [name, values[index]])
+  );
+
+  const errors = [
+    ...check(operation.path, pathParameters, "path"),
+    ...check(operation.query, { ...req.query }, "query"),
+    ...check(operation.body, req.body, "body"),
+  ];
+
+  if (!errors.length) return next();
+
+  next({
+    status: 400,
+    message: `Invalid input(s): ${errors
+      .map(({ field, message }) => `${field} ${message}`)
+      .join("; ")}`,
+    errors,
+  });
+}
+
+module.exports = validateRequest;
@@ -0,0 +1,156 @@
+const knex = require("../db/connection");
+
+/**
+ * Columns that change on their own and are not recorded as edits
+ */
+const UNTRACKED_PROPERTIES = ["created_at", "updated_at"];
+
+/**
+ * Stored form of a column value: dates as YYYY-MM-DD, everything else as is
+ */
+function asStored(value) {
+  if (!(value instanceof Date)) return value;
+
+  const year = value.getFullYear();
+  const month = String(value.getMonth() + 1).padStart(2, "0");
+  const day = String(value.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * The old and new values of every column that differs between two rows
+ */
+function changesBetween(previous, updated) {
+  return Object.keys(updated)
+    .filter((property) => !UNTRACKED_PROPERTIES.includes(property))
+    .filter(
+      (property) =>
+        JSON.stringify(asStored(previous[property])) !==
+        JSON.stringify(asStored(updated[property]))
+    )
+    .reduce(
+      ({ old_values, new_values }, property) => ({
+        old_values: { ...old_values, [property]: asStored(previous[property]) },
+        new_values: { ...new_values, [property]: asStored(updated[property]) },
+      }),
+      { old_values: {}, new_values: {} }
+    );
+}
+
+/**
+ * Records the change from `previous` to `updated` (rows of the reservations
+ * table) made by the staff user `staff_user_id` inside the transaction `trx`.
+ * Nothing is recorded if no column changed.
+ */
+function record(trx, previous, updated, table_id = null, staff_user_id = null) {
+  const { old_values, new_values } = changesBetween(previous, updated);
+  const properties = Object.keys(new_values);
+
+  if (!properties.length) return Promise.resolve();
+
+  const event_type =
+    properties.length === 1 && properties[0] === "status" ? "status" : "edit";
+
+  return trx("reservation_events").insert({
+    reservation_id: updated.reservation_id,
+    event_type,
+    old_values,
+    new_values,
+    table_id,
+    staff_user_id,
+  });
+}
+
+/**
+ * Records a seated reservation moving from the `source` table to the `target`
+ * table inside the transaction `trx`, as a "move" event
+ */
+function recordMove(trx, reservation_id, source, target, staff_user_id = null) {
+  return trx("reservation_events").insert({
+    reservation_id,
+    event_type: "move",
+    old_values: { table_name: source.table_name },
+    new_values: { table_name: target.table_name },
+    table_id: target.table_id,
+    staff_user_id,
+  });
+}
+
+/**
+ * Records the deletion of a reservation inside the transaction `trx`, as a
+ * "delete" event with every column of it, which outlives the reservation
+ */
+function recordDelete(trx, reservation, staff_user_id = null) {
+  const old_values = Object.fromEntries(
+    Object.entries(reservation).map(([property, value]) => [
+      property,
+      asStored(value),
+    ])
+  );
+
+  return trx("reservation_events").insert({
+    reservation_id: reservation.reservation_id,
+    event_type: "delete",
+    old_values,
+    new_values: {},
+    staff_user_id,
+  });
+}
+
+function listByReservation(reservation_id) {
+  return knex("reservation_events as e")
+    .leftJoin("tables as t", "e.table_id", "t.table_id")
+    .leftJoin("staff_users as s", "e.staff_user_id", "s.staff_user_id")
+    .select("e.*", "t.table_name", "s.username")
+    .where({ "e.reservation_id": reservation_id })
+    .orderBy(["e.created_at", "e.reservation_event_id"]);
+}
+
+/**
+ * Reservations with the time they were last seated (null when they were
+ * seated before events were recorded)
+ */
+function listSeatedAt(reservation_ids) {
+  return knex("reservations as r")
+    .leftJoin("reservation_events as e", function () {
+      this.on("e.reservation_id", "r.reservation_id")
+        .andOn("e.event_type", knex.raw("'status'"))
+        .andOn(knex.raw("e.new_values->>'status' = 'seated'"));
+    })
+    .select("r.*", knex.raw("max(e.created_at) as seated_at"))
+    .whereIn("r.reservation_id", reservation_ids)
+    .groupBy("r.reservation_id");
+}
+
+/**
+ * Average minutes from seated to finished of the visits finished in the last
+ * `days` days, by party size
+ */
+function listVisitDurations(days) {
+  return knex("reservation_events as s")
+    .join("reservation_events as f", "f.reservation_id", "s.reservation_id")
+    .join("reservations as r", "r.reservation_id", "s.reservation_id")
+    .select(
+      "r.people",
+      knex.raw(
+        "round(avg(extract(epoch from f.created_at - s.created_at) / 60))::int as duration_minutes"
+      ),
+      knex.raw("count(*)::int as visits")
+    )
+    .where({ "s.event_type": "status", "f.event_type": "status" })
+    .whereRaw("s.new_values->>'status' = 'seated'")
+    .whereRaw("f.new_values->>'status' = 'finished'")
+    .whereRaw("f.created_at > now() - ?::interval", [`${days} days`])
+    .groupBy("r.people")
+    .orderBy("r.people");
+}
+
+module.exports = {
+  asStored,
+  record,
+  recordMove,
+  recordDelete,
+  listByReservation,
+  listSeatedAt,
+  listVisitDurations,
+};
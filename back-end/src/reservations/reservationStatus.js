@@ -0,0 +1,58 @@
+/**
+ * The reservation status state machine.
+ *
+ * Each status maps to the statuses a reservation may move to next.
+ * "finished", "cancelled" and "no_show" are final.
+ */
+const TRANSITIONS = {
+  booked: ["confirmed", "arrived", "seated", "cancelled", "no_show"],
+  confirmed: ["arrived", "seated", "cancelled", "no_show"],
+  arrived: ["seated", "cancelled"],
+  seated: ["finished"],
+  finished: [],
+  cancelled: [],
+  no_show: [],
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+/**
+ * Statuses of reservations that still hold a table.
+ */
+const ACTIVE_STATUSES = ["booked", "confirmed", "arrived", "seated"];
+
+/**
+ * Statuses a reservation may move to from `status`.
+ */
+function nextStatuses(status) {
+  return TRANSITIONS[status] || [];
+}
+
+/**
+ *
+ * @param from
+ * the current status of the reservation
+ * @param to
+ * the requested status
+ * @returns {{status: number, message: string}|undefined}
+ * a 409 error listing the allowed next statuses if `from` cannot move to `to`,
+ * nothing if it can (keeping the current status is always allowed)
+ */
+function transitionError(from, to) {
+  if (from === to || nextStatuses(from).includes(to)) return;
+
+  const allowed = nextStatuses(from);
+  return {
+    status: 409,
+    message: `A ${from} reservation cannot be changed to ${to}. Allowed next status(es): ${
+      allowed.length ? allowed.join(", ") : "none"
+    }.`,
+  };
+}
+
+module.exports = {
+  STATUSES,
+  ACTIVE_STATUSES,
+  nextStatuses,
+  transitionError,
+};
@@ -1,6 +1,16 @@
 const reservationsService = require("./reservations.service.js");
+const reservationEventsService = require("./reservationEvents.service");
+const settingsService = require("../settings/settings.service");
+const availabilityService = require("../availability/availability.service");
+const tablesService = require("../tables/tables.service");
+const tableAssignmentService = require("../tables/tableAssignment.service");
+const guestsService = require("../guests/guests.service");
+const webhookEvents = require("../webhooks/webhookEvents");
+const liveEvents = require("../events/liveEvents");
 const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
-const hasProperties = require("../utils/hasProperties");
+const { transitionError } = require("./reservationStatus");
+const { zonedTimestamp, timeToMinutes } = require("../utils/restaurantTime");
+const { hasPermission } = require("../auth/permissions");
 
 /**
 
@@ -9,150 +19,189 @@ const hasProperties = require("../utils/hasProperties");
 */
 
 /**
- * Validation for reservation creation
+ * Validation for status property (equal to "booked")
+ */
+function statusIsBooked(req, res, next) {
+  const { status } = req.body.data;
+
+  if (!status) return next();
+
+  if (status === "booked") return next();
+  next({
+    status: 400,
+    message: `The reservation status is ${status}.`,
+  });
+}
+
+/**
+ * Validation for reservation date and time (restaurant open, and not past unless allowPast says so)
+ */
+function isBookable({ allowPast = false } = {}) {
+  return async function (req, res, next) {
+    const { reservation_date, reservation_time } = {
+      ...res.locals.reservation,
+      ...req.body.data,
+    };
+    const pastIsAllowed =
+      typeof allowPast === "function" ? allowPast(req, res) : allowPast;
+    const { day_of_week, closure, servicePeriods } =
+      await settingsService.readSchedule(reservation_date);
+
+    if (closure) {
+      return next({
+        status: 400,
+        message: `The restaurant is closed on ${reservation_date} for ${closure.closure_name}.`,
+      });
+    }
+
+    if (!servicePeriods.length) {
+      return next({
+        status: 400,
+        message: `The restaurant is closed on ${DAYS_OF_WEEK[day_of_week]}s.`,
+      });
+    }
+
+    if (
+      !pastIsAllowed &&
+      reservationNotInTheFuture(reservation_date, reservation_time)
+    ) {
+      return next({
+        status: 400,
+        message: `Please enter future reservation date.`,
+      });
+    }
+
+    if (reservationTimeNotAllowed(reservation_time, servicePeriods)) {
+      return next({
+        status: 400,
+        message: `Please enter a time during business hours (${servicePeriods
+          .map(formatServicePeriod)
+          .join(", ")}).`,
+      });
+    }
+    return next();
+  };
+}
+
+/**
+ * Names of the days of the week (0 = Sunday)
  */
-const hasRequiredProperties = hasProperties(
-  "first_name",
-  "last_name",
-  "mobile_number",
-  "reservation_date",
-  "reservation_time",
-  "people"
-);
-
-const VALID_PROPERTIES = [
-  "reservation_id",
-  "first_name",
-  "last_name",
-  "mobile_number",
-  "reservation_date",
-  "reservation_time",
-  "people",
-  "status",
-  "created_at",
-  "updated_at",
+const DAYS_OF_WEEK = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
 ];
 
-function hasOnlyValidProperties(req, res, next) {
-  const { data = {} } = req.body;
+/**
+ * Validation for specified time constraints (future date and time in the restaurant's time zone)
+ */
+function reservationNotInTheFuture(reservation_date, reservation_time) {
+  const reservationDateTimestamp = zonedTimestamp(
+    reservation_date,
+    reservation_time
+  );
+  return reservationDateTimestamp < Date.now();
+}
 
-  const invalidFields = Object.keys(data).filter(
-    (field) => !VALID_PROPERTIES.includes(field)
+/**
+ * Validation for specified time constraints (within one of the day's service periods)
+ */
+function reservationTimeNotAllowed(reservation_time, servicePeriods) {
+  const reservationTime = reservation_time.slice(0, 5);
+  return !servicePeriods.some(
+    ({ open_time, close_time }) =>
+      reservationTime >= open_time.slice(0, 5) &&
+      reservationTime <= close_time.slice(0, 5)
   );
+}
 
-  if (invalidFields.length) {
-    return next({
-      status: 400,
-      message: `Invalid field(s): ${invalidFields.join(", ")}`,
-    });
-  }
-  next();
+function formatServicePeriod({ service_name, open_time, close_time }) {
+  return `${service_name} ${open_time.slice(0, 5)}-${close_time.slice(0, 5)}`;
 }
 
 /**
- * Validation for status property (equal to "booked")
+ * Validation for table capacity and pacing at the reservation's time (not overbooked)
  */
-function statusIsBooked(req, res, next) {
-  const { status } = req.body.data;
+async function hasAvailableCapacity(req, res, next) {
+  const { reservation_id } = res.locals.reservation || {};
+  const { reservation_date, reservation_time, people, duration_minutes } = {
+    ...res.locals.reservation,
+    ...req.body.data,
+  };
 
-  if (!status) return next();
+  const slot = await availabilityService.checkReservation({
+    reservation_id,
+    reservation_date,
+    reservation_time,
+    people,
+    duration_minutes,
+  });
+
+  if (slot.available) return next();
 
-  if (status === "booked") return next();
   next({
-    status: 400,
-    message: `The reservation status is ${status}.`,
+    status: 409,
+    message: slot.reason,
   });
 }
 
 /**
- * Validation for inputs (people, reservation_date, and reservation_time)
+ * Validation for the pre-assigned table (exists, fits the party and is not
+ * booked by another reservation in the same window)
  */
-function hasValidInputs(req, res, next) {
-  const { people, reservation_date, reservation_time } = req.body.data;
-  let invalidInputs = "Invalid input(s):";
+async function assignedTableIsAvailable(req, res, next) {
+  const { reservation_id } = res.locals.reservation || {};
+  const reservation = { ...res.locals.reservation, ...req.body.data };
+  const { table_id, reservation_date, reservation_time, people } = reservation;
 
-  if (typeof people !== "number") {
-    invalidInputs = invalidInputs.concat(" people");
-  }
-  if (!reservationDateIsValid(reservation_date)) {
-    invalidInputs = invalidInputs.concat(" reservation_date");
-  }
+  if (table_id == null) return next();
 
-  if (!reservationTimeIsValid(reservation_time)) {
-    invalidInputs = invalidInputs.concat(" reservation_time");
-  }
+  const table = await tablesService.read(table_id);
 
-  if (invalidInputs !== "Invalid input(s):") {
+  if (!table) {
     return next({
       status: 400,
-      message: invalidInputs,
+      message: `Table ID ${table_id} does not exist.`,
     });
   }
 
-  if (reservationDateIsTuesday(reservation_date)) {
+  if (table.capacity < people) {
     return next({
       status: 400,
-      message: `The restaurant is closed on Tuesdays.`,
+      message: `Table ${table.table_name} does not have sufficient capacity.`,
     });
   }
 
-  if (reservationNotInTheFuture(reservation_date, reservation_time)) {
-    return next({
-      status: 400,
-      message: `Please enter future reservation date.`,
+  const [turnTimes, bookings] = await Promise.all([
+    settingsService.listTurnTimes(),
+    reservationsService.listByTableAndDate(table_id, reservation_date),
+  ]);
+
+  const start = timeToMinutes(reservation_time);
+  const end = start + reservationsService.durationOf(reservation, turnTimes);
+
+  const conflict = bookings
+    .filter((booking) => booking.reservation_id !== reservation_id)
+    .find((booking) => {
+      const bookingStart = timeToMinutes(booking.reservation_time);
+      const bookingEnd =
+        bookingStart + reservationsService.durationOf(booking, turnTimes);
+      return bookingStart < end && start < bookingEnd;
     });
-  }
 
-  if (reservationTimeNotAllowed(reservation_time)) {
+  if (conflict) {
+    const conflictStart = conflict.reservation_time.slice(0, 5);
     return next({
-      status: 400,
-      message: `Please enter a time between 10:30 to 21:30.`,
+      status: 409,
+      message: `Table ${table.table_name} is already booked from ${conflictStart} to ${conflict.end_time}.`,
     });
   }
-  return next();
-}
-
-/**
- * Validation for reservation_date (is a valid date)
- */
-function reservationDateIsValid(reservation_date) {
-  const timestamp = Date.parse(reservation_date);
-  if (isNaN(timestamp) == false) {
-    const date = new Date(timestamp);
-    return date instanceof Date;
-  }
-}
-
-function reservationTimeIsValid(reservation_time) {
-  const isTime = reservation_time.match(/^(0[0-9]|1[0-9]|2[0-3]):[0-5][0-9]$/);
-  return isTime;
-}
-
-/**
- * Validation for specified time constraints (not Tuesday)
- */
-function reservationDateIsTuesday(reservation_date) {
-  const timestamp = Date.parse(`${reservation_date} PST`);
-  const date = new Date(timestamp);
-  return date.getDay() == 2;
-}
-
-/**
- * Validation for specified time constraints (future date and time)
- */
-function reservationNotInTheFuture(reservation_date, reservation_time) {
-  const reservationDateTimestamp = Date.parse(
-    `${reservation_date} ${reservation_time} PST`
-  );
-  return reservationDateTimestamp < Date.now();
-}
 
-/**
- * Validation for specified time constraints (between 10:30 and 21:30)
- */
-function reservationTimeNotAllowed(reservation_time) {
-  const reservationTime = Number(reservation_time.replace(":", "").slice(0, 4));
-  return reservationTime < 1030 || reservationTime > 2130;
+  next();
 }
 
 /**
@@ -171,6 +220,47 @@ async function reservationExists(req, res, next) {
   });
 }
 
+/**
+ * Validation for editing a reservation that has already started, which only
+ * staff allowed to edit past reservations may do
+ */
+function reservationIsEditable(req, res, next) {
+  const { reservation_date, reservation_time } = res.locals.reservation;
+  const isPast = reservationNotInTheFuture(
+    reservationEventsService.asStored(reservation_date),
+    reservation_time
+  );
+
+  if (
+    !isPast ||
+    hasPermission(res.locals.staffUser, "reservations:edit-past")
+  ) {
+    return next();
+  }
+
+  next({
+    status: 403,
+    message: `A ${res.locals.staffUser.role} is not allowed to edit past reservations.`,
+  });
+}
+
+/**
+ * Whether the update keeps the reservation at its date and time and the
+ * staff user may edit past reservations, so that a past reservation can be
+ * corrected without moving it into the future
+ */
+function keepsPastDateAndTime(req, res) {
+  const { reservation, staffUser } = res.locals;
+  const { reservation_date, reservation_time } = req.body.data;
+
+  return (
+    hasPermission(staffUser, "reservations:edit-past") &&
+    reservation_date ===
+      reservationEventsService.asStored(reservation.reservation_date) &&
+    reservation_time.slice(0, 5) === reservation.reservation_time.slice(0, 5)
+  );
+}
+
 /**
  * Validation for status (not "finished")
  */
@@ -185,39 +275,108 @@ function statusIsNotFinished(req, res, next) {
 }
 
 /**
- * Validation for status
+ * The statuses only the table routes may set, since seating a party
+ * occupies its tables and finishing it frees them
  */
-function hasValidStatusRequest(req, res, next) {
+const TABLE_ROUTES = {
+  seated: "PUT /tables/:table_id/seat",
+  finished: "DELETE /tables/:table_id/seat",
+};
+
+/**
+ * Validation for status (not "seated" or "finished", unless it is unchanged)
+ */
+function statusIsNotSetByTables(req, res, next) {
   const { status } = req.body.data;
+  const route = TABLE_ROUTES[status];
 
-  if (
-    status === "booked" ||
-    status === "seated" ||
-    status === "finished" ||
-    status === "cancelled"
-  ) {
-    return next();
-  }
+  if (!route || status === res.locals.reservation.status) return next();
 
   next({
     status: 400,
-    message: `The reservation status ${status} is invalid.`,
+    message: `A reservation becomes ${status} through ${route}, which updates its table too.`,
   });
 }
 
+/**
+ * Validation for status transition (allowed by the status state machine)
+ */
+function statusTransitionIsAllowed(req, res, next) {
+  const { status } = req.body.data;
+
+  if (!status) return next();
+
+  next(transitionError(res.locals.reservation.status, status));
+}
+
+/**
+ * Validation for the version the client last read (the If-Match header, or
+ * 'updated_at' in the data), which puts the accepted versions in res.locals.
+ * Without one, the update is refused if the version is `required` and
+ * overwrites any version otherwise, as "If-Match: *" does.
+ */
+function hasValidVersion({ required = true } = {}) {
+  return function (req, res, next) {
+    const ifMatch = req.get("If-Match");
+    const { updated_at } = req.body.data;
+
+    if (ifMatch) {
+      const versions = ifMatch
+        .split(",")
+        .map((etag) => etag.trim().replace(/^W\//, "").replace(/"/g, ""));
+      res.locals.versions = versions.includes("*") ? null : versions;
+      return next();
+    }
+
+    if (updated_at !== undefined) {
+      res.locals.versions = [new Date(updated_at).toISOString()];
+      return next();
+    }
+
+    if (!required) {
+      res.locals.versions = null;
+      return next();
+    }
+
+    next({
+      status: 428,
+      message:
+        "Send the version of the reservation you last read, as an If-Match header or 'updated_at'.",
+    });
+  };
+}
+
 /**
 
  ***HANDLERS***
 
 */
 
+/**
+ * ETag of a reservation: its 'updated_at', which changes on every update
+ */
+function etagOf({ updated_at }) {
+  return `"${new Date(updated_at).toISOString()}"`;
+}
+
 /**
  * Create handler for reservation resources
  */
 async function create(req, res) {
   const { data } = req.body;
-  const newReservation = { ...data, status: "booked" };
+  const guest = await guestsService.findOrCreate(data);
+  const newReservation = {
+    ...data,
+    guest_id: guest ? guest.guest_id : null,
+    status: "booked",
+  };
   const newData = await reservationsService.create(newReservation);
+  req.log.info(
+    { event: "reservation.created", reservation_id: newData.reservation_id },
+    "Created a reservation"
+  );
+  liveEvents.publish("reservation", newData);
+  webhookEvents.emit("reservation.created", { reservation: newData });
   res.status(201).json({ data: newData });
 }
 
@@ -226,7 +385,7 @@ async function create(req, res) {
  */
 function read(req, res) {
   const { reservation: data } = res.locals;
-  res.json({ data });
+  res.set("ETag", etagOf(data)).json({ data });
 }
 
 /**
@@ -237,8 +396,24 @@ async function update(req, res) {
     ...res.locals.reservation,
     ...req.body.data,
   };
-  const data = await reservationsService.update(updatedreservation);
-  res.json({ data });
+  const data = await reservationsService.update(
+    updatedreservation,
+    res.locals.versions,
+    res.locals.staffUser.staff_user_id
+  );
+  liveEvents.publish("reservation", data);
+  if (data.status !== res.locals.reservation.status) {
+    req.log.info(
+      {
+        event: `reservation.${data.status}`,
+        reservation_id: data.reservation_id,
+        old_status: res.locals.reservation.status,
+      },
+      `Changed a reservation's status to ${data.status}`
+    );
+    webhookEvents.emit(`reservation.${data.status}`, { reservation: data });
+  }
+  res.set("ETag", etagOf(data)).json({ data });
 }
 
 /**
@@ -246,10 +421,42 @@ async function update(req, res) {
  */
 async function destroy(req, res) {
   const { reservation } = res.locals;
-  await reservationsService.delete(reservation.reservation_id);
+  await reservationsService.delete(
+    reservation.reservation_id,
+    res.locals.staffUser.staff_user_id
+  );
+  req.log.info(
+    {
+      event: "reservation.deleted",
+      reservation_id: reservation.reservation_id,
+    },
+    "Deleted a reservation"
+  );
+  liveEvents.publish("reservation-deleted", {
+    reservation_id: reservation.reservation_id,
+  });
   res.sendStatus(204);
 }
 
+/**
+ * History handler for reservation resources (status changes and edits, oldest first)
+ */
+async function listHistory(req, res) {
+  const { reservation_id } = res.locals.reservation;
+  const data = await reservationEventsService.listByReservation(reservation_id);
+  res.json({ data });
+}
+
+/**
+ * Table suggestions handler for reservation resources (free tables that fit, best first)
+ */
+async function listTableSuggestions(req, res) {
+  const data = await tableAssignmentService.suggestTables(
+    res.locals.reservation
+  );
+  res.json({ data });
+}
+
 /**
  * List handler for reservation resources with optional date or mobile_number query
  */
@@ -272,26 +479,41 @@ async function list(req, res) {
 
 module.exports = {
   create: [
-    hasOnlyValidProperties,
-    hasRequiredProperties,
-    hasValidInputs,
+    asyncErrorBoundary(isBookable()),
     statusIsBooked,
+    asyncErrorBoundary(assignedTableIsAvailable),
+    asyncErrorBoundary(hasAvailableCapacity),
     asyncErrorBoundary(create),
   ],
   read: [asyncErrorBoundary(reservationExists), read],
   update: [
     asyncErrorBoundary(reservationExists),
-    hasOnlyValidProperties,
-    hasRequiredProperties,
-    hasValidInputs,
+    reservationIsEditable,
+    asyncErrorBoundary(isBookable({ allowPast: keepsPastDateAndTime })),
+    statusIsNotSetByTables,
+    statusTransitionIsAllowed,
+    hasValidVersion(),
+    asyncErrorBoundary(assignedTableIsAvailable),
+    asyncErrorBoundary(hasAvailableCapacity),
     asyncErrorBoundary(update),
   ],
   updateStatus: [
     asyncErrorBoundary(reservationExists),
     statusIsNotFinished,
-    hasValidStatusRequest,
+    statusIsNotSetByTables,
+    statusTransitionIsAllowed,
+    hasValidVersion({ required: false }),
     asyncErrorBoundary(update),
   ],
   delete: [asyncErrorBoundary(reservationExists), asyncErrorBoundary(destroy)],
+  listHistory: [
+    asyncErrorBoundary(reservationExists),
+    asyncErrorBoundary(listHistory),
+  ],
+  listTableSuggestions: [
+    asyncErrorBoundary(reservationExists),
+    asyncErrorBoundary(listTableSuggestions),
+  ],
   list: asyncErrorBoundary(list),
+  isBookable,
 };
@@ -7,23 +7,40 @@
 const router = require("express").Router();
 const controller = require("./reservations.controller");
 const methodNotAllowed = require("../errors/methodNotAllowed");
+const { requirePermission } = require("../auth/permissions");
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+const idempotent = require("../idempotency/idempotent");
 
 router
   .route("/")
-  .post(controller.create)
-  .get(controller.list)
+  .post(
+    requirePermission("reservations:create"),
+    asyncErrorBoundary(idempotent),
+    controller.create
+  )
+  .get(requirePermission("reservations:read"), controller.list)
   .all(methodNotAllowed);
 
 router
   .route("/:reservation_id")
-  .get(controller.read)
-  .put(controller.update)
-  .delete(controller.delete)
+  .get(requirePermission("reservations:read"), controller.read)
+  .put(requirePermission("reservations:edit"), controller.update)
+  .delete(requirePermission("reservations:delete"), controller.delete)
   .all(methodNotAllowed);
 
 router
   .route("/:reservation_id/status")
-  .put(controller.updateStatus)
+  .put(requirePermission("reservations:change-status"), controller.updateStatus)
+  .all(methodNotAllowed);
+
+router
+  .route("/:reservation_id/history")
+  .get(requirePermission("reservations:read"), controller.listHistory)
+  .all(methodNotAllowed);
+
+router
+  .route("/:reservation_id/table-suggestions")
+  .get(requirePermission("tables:read"), controller.listTableSuggestions)
   .all(methodNotAllowed);
 
 module.exports = router;
@@ -1,7 +1,57 @@
 const knex = require("../db/connection");
+const settingsService = require("../settings/settings.service");
+const reservationEventsService = require("./reservationEvents.service");
+const { ACTIVE_STATUSES } = require("./reservationStatus");
+const { timeToMinutes, minutesToTime } = require("../utils/restaurantTime");
+
+/**
+ * Properties computed on read that are not stored in the reservations table
+ */
+const COMPUTED_PROPERTIES = ["end_time"];
+
+/**
+ * Minutes a reservation holds its table: its own duration_minutes, or the
+ * turn time of its party size
+ */
+function durationOf(reservation, turnTimes) {
+  return (
+    reservation.duration_minutes ||
+    settingsService.durationFor(reservation.people, turnTimes)
+  );
+}
+
+/**
+ * Adds the computed end_time (HH:MM) to a reservation or an array of reservations
+ */
+async function withEndTime(reservations) {
+  if (!reservations) return reservations;
+
+  const turnTimes = await settingsService.listTurnTimes();
+  const addEndTime = (reservation) => {
+    const end =
+      timeToMinutes(reservation.reservation_time) +
+      durationOf(reservation, turnTimes);
+    return { ...reservation, end_time: minutesToTime(end % (24 * 60)) };
+  };
+
+  return Array.isArray(reservations)
+    ? reservations.map(addEndTime)
+    : addEndTime(reservations);
+}
+
+function withoutComputedProperties(reservation) {
+  return Object.fromEntries(
+    Object.entries(reservation).filter(
+      ([property]) => !COMPUTED_PROPERTIES.includes(property)
+    )
+  );
+}
 
 function list() {
-  return knex("reservations").select("*").orderBy("reservation_date");
+  return knex("reservations")
+    .select("*")
+    .orderBy("reservation_date")
+    .then(withEndTime);
 }
 
 function listByDate(date) {
@@ -9,7 +59,17 @@ function listByDate(date) {
     .select("*")
     .where({ reservation_date: date })
     .whereNot("status", "finished")
-    .orderBy("reservation_time");
+    .orderBy("reservation_time")
+    .then(withEndTime);
+}
+
+function listByTableAndDate(table_id, date) {
+  return knex("reservations")
+    .select("*")
+    .where({ table_id, reservation_date: date })
+    .whereIn("status", ACTIVE_STATUSES)
+    .orderBy("reservation_time")
+    .then(withEndTime);
 }
 
 function listByMobileNumber(mobile_number) {
@@ -19,35 +79,95 @@ function listByMobileNumber(mobile_number) {
       "translate(mobile_number, '() -', '') like ?",
       `%${mobile_number.replace(/\D/g, "")}%`
     )
-    .orderBy("reservation_date");
+    .orderBy("reservation_date")
+    .then(withEndTime);
 }
 
 function create(reservation) {
   return knex("reservations")
-    .insert(reservation)
+    .insert(withoutComputedProperties(reservation))
     .returning("*")
-    .then((createdRecords) => createdRecords[0]);
+    .then((createdRecords) => createdRecords[0])
+    .then(withEndTime);
 }
 
 function read(reservation_id) {
-  return knex("reservations").select("*").where({ reservation_id }).first();
-}
-
-function update(updatedreservation) {
   return knex("reservations")
     .select("*")
-    .where({ reservation_id: updatedreservation.reservation_id })
-    .update(updatedreservation, "*")
-    .then((updatedRecords) => updatedRecords[0]);
+    .where({ reservation_id })
+    .first()
+    .then(withEndTime);
+}
+
+/**
+ * Updates a reservation and records the change. When `versions` are given,
+ * the update only goes through if the stored 'updated_at' is one of them;
+ * otherwise it throws a 409 error with the current reservation. The change is
+ * recorded as made by the staff user `staff_user_id`.
+ */
+function update(updatedreservation, versions = null, staff_user_id = null) {
+  const { reservation_id } = updatedreservation;
+
+  return knex
+    .transaction(async (trx) => {
+      const previous = await trx("reservations")
+        .where({ reservation_id })
+        .forUpdate()
+        .first();
+
+      if (versions && !versions.includes(previous.updated_at.toISOString())) {
+        throw {
+          status: 409,
+          message: `The reservation was changed by someone else. Reload it, or save again to overwrite the changes.`,
+          data: await withEndTime(previous),
+        };
+      }
+
+      const [updated] = await trx("reservations")
+        .where({ reservation_id })
+        .update(
+          {
+            ...withoutComputedProperties(updatedreservation),
+            updated_at: trx.fn.now(),
+          },
+          "*"
+        );
+      await reservationEventsService.record(
+        trx,
+        previous,
+        updated,
+        null,
+        staff_user_id
+      );
+      return updated;
+    })
+    .then(withEndTime);
 }
 
-function destroy(reservation_id) {
-  return knex("reservations").where({ reservation_id }).del();
+/**
+ * Deletes the reservation, recording the deletion made by the staff user
+ * `staff_user_id` in its history, all or nothing
+ */
+function destroy(reservation_id, staff_user_id = null) {
+  return knex.transaction(async (trx) => {
+    const reservation = await trx("reservations")
+      .where({ reservation_id })
+      .forUpdate()
+      .first();
+    await reservationEventsService.recordDelete(
+      trx,
+      reservation,
+      staff_user_id
+    );
+    return trx("reservations").where({ reservation_id }).del();
+  });
 }
 
 module.exports = {
+  durationOf,
   list,
   listByDate,
+  listByTableAndDate,
   listByMobileNumber,
   create,
   read,
@@ -2,18 +2,25 @@ const { PORT = 5000 } = process.env;
 
 const app = require("./app");
 const knex = require("./db/connection");
+const logger = require("./logging/logger");
+const createInitialAdmin = require("./staffUsers/initialAdmin");
+const webhookEvents = require("./webhooks/webhookEvents");
 
 knex.migrate
   .latest()
   .then((migrations) => {
-    console.log("migrations", migrations);
+    logger.info({ migrations }, "Ran migrations");
+    return createInitialAdmin();
+  })
+  .then(() => {
+    webhookEvents.start();
     app.listen(PORT, listener);
   })
   .catch((error) => {
-    console.error(error);
+    logger.error(error);
     knex.destroy();
   });
 
 function listener() {
-  console.log(`Listening on Port ${PORT}!`);
+  logger.info(`Listening on Port ${PORT}!`);
 }
@@ -0,0 +1,167 @@
+const settingsService = require("./settings.service");
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+const { RESTAURANT_TIME_ZONE } = require("../utils/restaurantTime");
+
+/**
+
+ ***VALIDATION***
+
+*/
+
+/**
+ * Validation for business hours (each service period opens before it closes)
+ */
+function hasValidHours(req, res, next) {
+  const { data } = req.body;
+
+  const index = data.findIndex(
+    ({ open_time, close_time }) =>
+      open_time.slice(0, 5) >= close_time.slice(0, 5)
+  );
+
+  if (index === -1) return next();
+
+  next({
+    status: 400,
+    message: `The open_time must be before the close_time at index ${index}.`,
+  });
+}
+
+/**
+ * Validation for turn times (one per party size)
+ */
+function hasValidTurnTimes(req, res, next) {
+  const { data } = req.body;
+
+  const partySizes = data.map(({ min_people }) => min_people);
+  if (new Set(partySizes).size !== partySizes.length) {
+    return next({
+      status: 400,
+      message: `Each min_people may only have one turn time.`,
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validation for pacing limits (at least one limit each, and one per service)
+ */
+function hasValidPacingLimits(req, res, next) {
+  const { data } = req.body;
+
+  const index = data.findIndex(
+    ({ max_covers = null, max_parties = null }) =>
+      max_covers === null && max_parties === null
+  );
+
+  if (index !== -1) {
+    return next({
+      status: 400,
+      message: `A max_covers or max_parties is required at index ${index}.`,
+    });
+  }
+
+  const serviceNames = data.map(({ service_name = null }) => service_name);
+  if (new Set(serviceNames).size !== serviceNames.length) {
+    return next({
+      status: 400,
+      message: `Each service_name may only have one pacing limit.`,
+    });
+  }
+
+  next();
+}
+
+/**
+
+ ***HANDLERS***
+
+*/
+
+/**
+ * List handler for business hours
+ */
+async function listHours(req, res) {
+  const data = await settingsService.listHours();
+  res.json({ data });
+}
+
+/**
+ * Update handler for business hours (replaces the whole weekly schedule)
+ */
+async function updateHours(req, res) {
+  const data = await settingsService.replaceHours(req.body.data);
+  res.json({ data });
+}
+
+/**
+ * List handler for turn times
+ */
+async function listTurnTimes(req, res) {
+  const data = await settingsService.listTurnTimes();
+  res.json({ data });
+}
+
+/**
+ * Update handler for turn times (replaces the whole turn-time table)
+ */
+async function updateTurnTimes(req, res) {
+  const data = await settingsService.replaceTurnTimes(req.body.data);
+  res.json({ data });
+}
+
+/**
+ * List handler for pacing limits
+ */
+async function listPacingLimits(req, res) {
+  const data = await settingsService.listPacingLimits();
+  res.json({ data });
+}
+
+/**
+ * Update handler for pacing limits (replaces every pacing limit)
+ */
+async function updatePacingLimits(req, res) {
+  const data = await settingsService.replacePacingLimits(req.body.data);
+  res.json({ data });
+}
+
+/**
+ * Read handler for capacity settings
+ */
+async function readCapacity(req, res) {
+  const data = await settingsService.readCapacity();
+  res.json({ data });
+}
+
+/**
+ * Update handler for capacity settings
+ */
+async function updateCapacity(req, res) {
+  const data = await settingsService.updateCapacity(req.body.data);
+  res.json({ data });
+}
+
+/**
+ * Read handler for the restaurant's time zone, so that the front end tells
+ * today and now as the API does
+ */
+function readTimeZone(req, res) {
+  res.json({ data: { time_zone: RESTAURANT_TIME_ZONE } });
+}
+
+module.exports = {
+  listHours: asyncErrorBoundary(listHours),
+  updateHours: [hasValidHours, asyncErrorBoundary(updateHours)],
+  listTurnTimes: asyncErrorBoundary(listTurnTimes),
+  updateTurnTimes: [hasValidTurnTimes, asyncErrorBoundary(updateTurnTimes)],
+  listPacingLimits: asyncErrorBoundary(listPacingLimits),
+  updatePacingLimits: [
+    hasValidPacingLimits,
+    asyncErrorBoundary(updatePacingLimits),
+  ],
+  readCapacity: asyncErrorBoundary(readCapacity),
+  updateCapacity: asyncErrorBoundary(updateCapacity),
+  readTimeZone,
+};
@@ -0,0 +1,41 @@
+/**
+ * Defines the router for settings resources.
+ *
+ * @type {Router}
+ */
+
+const router = require("express").Router();
+const controller = require("./settings.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { requirePermission } = require("../auth/permissions");
+
+router
+  .route("/hours")
+  .get(requirePermission("settings:read"), controller.listHours)
+  .put(requirePermission("settings:edit"), controller.updateHours)
+  .all(methodNotAllowed);
+
+router
+  .route("/turn-times")
+  .get(requirePermission("settings:read"), controller.listTurnTimes)
+  .put(requirePermission("settings:edit"), controller.updateTurnTimes)
+  .all(methodNotAllowed);
+
+router
+  .route("/pacing")
+  .get(requirePermission("settings:read"), controller.listPacingLimits)
+  .put(requirePermission("settings:edit"), controller.updatePacingLimits)
+  .all(methodNotAllowed);
+
+router
+  .route("/capacity")
+  .get(requirePermission("settings:read"), controller.readCapacity)
+  .put(requirePermission("settings:edit"), controller.updateCapacity)
+  .all(methodNotAllowed);
+
+router
+  .route("/time-zone")
+  .get(requirePermission("settings:read"), controller.readTimeZone)
+  .all(methodNotAllowed);
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const knex = require("../db/connection");
+const closuresService = require("../closures/closures.service");
+const { dayOfWeek } = require("../utils/restaurantTime");
+
+/**
+ * Default turn time when no turn_times row applies to a party size.
+ */
+const DEFAULT_DURATION_MINUTES = 90;
+
+/**
+ * Capacity settings and their values when they have not been configured.
+ */
+const CAPACITY_DEFAULTS = {
+  overbooking_allowance: 0,
+};
+
+function listHours() {
+  return knex("business_hours")
+    .select("*")
+    .orderBy(["day_of_week", "open_time"]);
+}
+
+function listHoursByDay(day_of_week) {
+  return knex("business_hours")
+    .select("*")
+    .where({ day_of_week })
+    .orderBy("open_time");
+}
+
+function replaceHours(hours) {
+  return knex.transaction(async (trx) => {
+    await trx("business_hours").del();
+    if (hours.length) await trx("business_hours").insert(hours);
+    return trx("business_hours")
+      .select("*")
+      .orderBy(["day_of_week", "open_time"]);
+  });
+}
+
+/**
+ * Resolves the schedule of a YYYY-MM-DD date: a full closure, the custom
+ * hours of a closure, or the weekly business hours of that day.
+ */
+async function readSchedule(date) {
+  const closures = await closuresService.listByDate(date);
+  const fullClosure = closures.find((closure) => !closure.open_time);
+  const day_of_week = dayOfWeek(date);
+
+  if (fullClosure) {
+    return { day_of_week, closure: fullClosure, servicePeriods: [] };
+  }
+
+  // custom hours from a closure replace the weekly hours for that date
+  const servicePeriods = closures.length
+    ? closures.map(({ closure_name, open_time, close_time }) => ({
+        service_name: closure_name,
+        open_time,
+        close_time,
+      }))
+    : await listHoursByDay(day_of_week);
+
+  return { day_of_week, closure: null, servicePeriods };
+}
+
+function listTurnTimes() {
+  return knex("turn_times").select("*").orderBy("min_people");
+}
+
+function replaceTurnTimes(turnTimes) {
+  return knex.transaction(async (trx) => {
+    await trx("turn_times").del();
+    if (turnTimes.length) await trx("turn_times").insert(turnTimes);
+    return trx("turn_times").select("*").orderBy("min_people");
+  });
+}
+
+/**
+ * Turn time (in minutes) for a party size from a list of turn_times rows.
+ */
+function durationFor(people, turnTimes) {
+  const turnTime = turnTimes
+    .filter(({ min_people }) => min_people <= people)
+    .pop();
+  return turnTime ? turnTime.duration_minutes : DEFAULT_DURATION_MINUTES;
+}
+
+function listPacingLimits() {
+  return knex("pacing_limits").select("*").orderBy("pacing_limit_id");
+}
+
+function replacePacingLimits(pacingLimits) {
+  return knex.transaction(async (trx) => {
+    await trx("pacing_limits").del();
+    if (pacingLimits.length) await trx("pacing_limits").insert(pacingLimits);
+    return trx("pacing_limits").select("*").orderBy("pacing_limit_id");
+  });
+}
+
+/**
+ * Reads the capacity settings, falling back to CAPACITY_DEFAULTS.
+ */
+function readCapacity() {
+  return knex("restaurant_settings")
+    .select("*")
+    .whereIn("setting_name", Object.keys(CAPACITY_DEFAULTS))
+    .then((settings) =>
+      settings.reduce(
+        (capacity, { setting_name, setting_value }) => ({
+          ...capacity,
+          [setting_name]: setting_value,
+        }),
+        { ...CAPACITY_DEFAULTS }
+      )
+    );
+}
+
+function updateCapacity(capacity) {
+  const settings = Object.entries(capacity).map(
+    ([setting_name, setting_value]) => ({
+      setting_name,
+      setting_value: JSON.stringify(setting_value),
+      updated_at: knex.fn.now(),
+    })
+  );
+  if (!settings.length) return readCapacity();
+  return knex("restaurant_settings")
+    .insert(settings)
+    .onConflict("setting_name")
+    .merge()
+    .then(readCapacity);
+}
+
+module.exports = {
+  listHours,
+  listHoursByDay,
+  replaceHours,
+  readSchedule,
+  listTurnTimes,
+  replaceTurnTimes,
+  durationFor,
+  listPacingLimits,
+  replacePacingLimits,
+  readCapacity,
+  updateCapacity,
+};
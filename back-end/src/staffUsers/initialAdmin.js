@@ -0,0 +1,48 @@
+const staffUsersService = require("./staffUsers.service");
+const logger = require("../logging/logger");
+
+/**
+ * Creates the first admin of a new deployment from INITIAL_ADMIN_USERNAME and
+ * INITIAL_ADMIN_PASSWORD (and an optional INITIAL_ADMIN_DISPLAY_NAME), since
+ * every route needs a login and only an admin can create staff users. Does
+ * nothing once any staff user exists, so the variables can stay set.
+ *
+ * @param env
+ * the environment variables, process.env by default
+ * @returns {Promise<staffUser|null>}
+ * the admin, or null if none was created
+ */
+async function createInitialAdmin(env = process.env) {
+  const {
+    INITIAL_ADMIN_USERNAME,
+    INITIAL_ADMIN_PASSWORD,
+    INITIAL_ADMIN_DISPLAY_NAME = "Admin",
+  } = env;
+
+  if (await staffUsersService.exists()) return null;
+
+  if (!INITIAL_ADMIN_USERNAME || !INITIAL_ADMIN_PASSWORD) {
+    logger.warn(
+      "There are no staff users. Set INITIAL_ADMIN_USERNAME and INITIAL_ADMIN_PASSWORD to create the first admin."
+    );
+    return null;
+  }
+
+  if (INITIAL_ADMIN_PASSWORD.length < 8) {
+    throw new Error("INITIAL_ADMIN_PASSWORD must be at least 8 characters.");
+  }
+
+  const admin = await staffUsersService.create({
+    username: INITIAL_ADMIN_USERNAME,
+    display_name: INITIAL_ADMIN_DISPLAY_NAME,
+    password: INITIAL_ADMIN_PASSWORD,
+    role: "admin",
+  });
+  logger.info(
+    { staff_user_id: admin.staff_user_id, username: admin.username },
+    "Created the initial admin"
+  );
+  return admin;
+}
+
+module.exports = createInitialAdmin;
@@ -0,0 +1,51 @@
+const staffUsersService = require("./staffUsers.service");
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+
+/**
+
+ ***VALIDATION***
+
+*/
+
+/**
+ * Validation for username uniqueness
+ */
+async function usernameIsAvailable(req, res, next) {
+  const { username } = req.body.data;
+  const existing = await staffUsersService.readWithPasswordHash(username);
+
+  if (existing) {
+    return next({
+      status: 400,
+      message: `The username ${username} is already taken.`,
+    });
+  }
+  next();
+}
+
+/**
+
+ ***HANDLERS***
+
+*/
+
+/**
+ * Create handler for staff user resources
+ */
+async function create(req, res) {
+  const data = await staffUsersService.create(req.body.data);
+  res.status(201).json({ data });
+}
+
+/**
+ * List handler for staff user resources
+ */
+async function list(req, res) {
+  const data = await staffUsersService.list();
+  res.json({ data });
+}
+
+module.exports = {
+  create: [asyncErrorBoundary(usernameIsAvailable), asyncErrorBoundary(create)],
+  list: asyncErrorBoundary(list),
+};
@@ -0,0 +1,18 @@
+/**
+ * Defines the router for staff user resources.
+ *
+ * @type {Router}
+ */
+
+const router = require("express").Router();
+const controller = require("./staffUsers.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { requirePermission } = require("../auth/permissions");
+
+router
+  .route("/")
+  .get(requirePermission("staff:manage"), controller.list)
+  .post(requirePermission("staff:manage"), controller.create)
+  .all(methodNotAllowed);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const knex = require("../db/connection");
+const { hashPassword } = require("../auth/passwords");
+
+/**
+ * Columns of a staff user that are safe to send, i.e. all but the password hash
+ */
+const PUBLIC_COLUMNS = [
+  "staff_user_id",
+  "username",
+  "display_name",
+  "role",
+  "created_at",
+  "updated_at",
+];
+
+function list() {
+  return knex("staff_users").select(PUBLIC_COLUMNS).orderBy("username");
+}
+
+function read(staff_user_id) {
+  return knex("staff_users")
+    .select(PUBLIC_COLUMNS)
+    .where({ staff_user_id })
+    .first();
+}
+
+/**
+ * The staff user with the username, including its password hash
+ */
+function readWithPasswordHash(username) {
+  return knex("staff_users").select("*").where({ username }).first();
+}
+
+/**
+ * Whether there is at least one staff user
+ */
+function exists() {
+  return knex("staff_users").select("staff_user_id").first().then(Boolean);
+}
+
+async function create({ password, ...staffUser }) {
+  const password_hash = await hashPassword(password);
+  return knex("staff_users")
+    .insert({ ...staffUser, password_hash })
+    .returning(PUBLIC_COLUMNS)
+    .then((createdRecords) => createdRecords[0]);
+}
+
+module.exports = {
+  list,
+  read,
+  readWithPasswordHash,
+  exists,
+  create,
+};
@@ -0,0 +1,153 @@
+const tablesService = require("./tables.service");
+const reservationsService = require("../reservations/reservations.service");
+const settingsService = require("../settings/settings.service");
+const { asStored } = require("../reservations/reservationEvents.service");
+const {
+  tablesFor,
+  countUnseated,
+} = require("../availability/availability.service");
+const { ACTIVE_STATUSES } = require("../reservations/reservationStatus");
+const { zonedDateTime, timeToMinutes } = require("../utils/restaurantTime");
+
+/**
+ * Active reservations of the date, other than `reservation_id`, that are not
+ * seated yet and will need a table between `start` and `end` (in minutes)
+ */
+function upcomingBookings(bookings, reservation_id, start, end, turnTimes) {
+  return bookings
+    .filter((booking) => booking.reservation_id !== reservation_id)
+    .filter(
+      ({ status }) => ACTIVE_STATUSES.includes(status) && status !== "seated"
+    )
+    .filter((booking) => {
+      const bookingStart = timeToMinutes(booking.reservation_time);
+      const bookingEnd =
+        bookingStart + reservationsService.durationOf(booking, turnTimes);
+      return bookingStart < end && start < bookingEnd;
+    });
+}
+
+/**
+ *
+ * @param reservation
+ * a reservation with 'reservation_date', 'reservation_time' and 'people', and
+ * optionally its 'reservation_id', pre-assigned 'table_id', 'duration_minutes'
+ * and 'section_preference'
+ * @returns {Promise<[table]>}
+ * the free tables that fit the party, best first, each with the 'reasons' for
+ * its rank. Its pre-assigned table comes first, then tables that leave every
+ * upcoming party a table, then tables in the preferred section, then the
+ * tables with the fewest spare seats.
+ */
+async function suggestTables(reservation) {
+  const {
+    reservation_id = null,
+    table_id = null,
+    people,
+    section_preference = null,
+  } = reservation;
+  const reservation_date = asStored(reservation.reservation_date);
+  const now = zonedDateTime();
+
+  const [tables, bookings, turnTimes] = await Promise.all([
+    tablesService.list(),
+    reservationsService.listByDate(reservation_date),
+    settingsService.listTurnTimes(),
+  ]);
+
+  // a party seated today takes its table from now, however early or late it is
+  const start =
+    reservation_date === now.date
+      ? timeToMinutes(now.time)
+      : timeToMinutes(reservation.reservation_time);
+  const end = start + reservationsService.durationOf(reservation, turnTimes);
+
+  // the upcoming parties are treated as if they all arrive at once
+  const upcoming = upcomingBookings(
+    bookings,
+    reservation_id,
+    start,
+    end,
+    turnTimes
+  );
+  const freeTables = tables.filter((table) => !table.reservation_id);
+  const unseatedBefore = countUnseated(upcoming, freeTables, tables);
+
+  return freeTables
+    .filter(({ capacity }) => capacity >= people)
+    .map((table) => {
+      const isPreAssigned = table.table_id === table_id;
+      const heldFor = upcoming.find(
+        (booking) => booking.table_id === table.table_id
+      );
+      const displaced =
+        countUnseated(
+          upcoming,
+          freeTables.filter((other) => other !== table),
+          tables
+        ) - unseatedBefore;
+      const isInSection =
+        section_preference !== null && table.section === section_preference;
+      const spareSeats = table.capacity - people;
+
+      const reasons = [];
+      if (isPreAssigned) reasons.push(`Pre-assigned to this reservation.`);
+      if (heldFor) {
+        reasons.push(
+          `Pre-assigned to ${heldFor.first_name} ${
+            heldFor.last_name
+          } at ${heldFor.reservation_time.slice(0, 5)}.`
+        );
+      }
+      if (displaced > 0) {
+        reasons.push(
+          `Would leave ${displaced} upcoming party(ies) without a table.`
+        );
+      }
+      if (section_preference !== null) {
+        reasons.push(
+          isInSection
+            ? `In the preferred ${section_preference} section.`
+            : `Not in the preferred ${section_preference} section.`
+        );
+      }
+      reasons.push(`${spareSeats} spare seat(s).`);
+
+      return {
+        table,
+        reasons,
+        rank: [
+          isPreAssigned ? 0 : 1,
+          heldFor || displaced > 0 ? 1 : 0,
+          section_preference === null || isInSection ? 0 : 1,
+          spareSeats,
+        ],
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.rank.reduce((order, key, index) => order || key - b.rank[index], 0) ||
+        a.table.table_name.localeCompare(b.table.table_name)
+    )
+    .map(({ table, reasons }) => ({ ...table, reasons }));
+}
+
+/**
+ *
+ * @param reservation
+ * a reservation with 'people'
+ * @returns {Promise<[table]|null>}
+ * free tables to combine for a party larger than every table, or null if
+ * the party is not that large or the free tables cannot seat it together
+ */
+async function suggestCombinedTables({ people }) {
+  const tables = await tablesService.list();
+  const freeTables = tables.filter((table) => !table.reservation_id);
+  const combined = tablesFor(people, freeTables, tables);
+  return combined && combined.length > 1 ? combined : null;
+}
+
+module.exports = {
+  suggestTables,
+  suggestCombinedTables,
+};
@@ -1,6 +1,9 @@
 const tablesService = require("./tables.service");
-const hasProperties = require("../utils/hasProperties");
+const reservationsService = require("../reservations/reservations.service");
 const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+const webhookEvents = require("../webhooks/webhookEvents");
+const liveEvents = require("../events/liveEvents");
+const { transitionError } = require("../reservations/reservationStatus");
 
 /**
 
@@ -8,58 +11,6 @@ const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
 
 */
 
-/**
- * Validation for table creation
- */
-const VALID_PROPERTIES = [
-  "table_id",
-  "table_name",
-  "capacity",
-  "reservation_id",
-];
-
-function hasOnlyValidProperties(req, res, next) {
-  const { data = {} } = req.body;
-
-  const invalidFields = Object.keys(data).filter(
-    (field) => !VALID_PROPERTIES.includes(field)
-  );
-
-  if (invalidFields.length) {
-    return next({
-      status: 400,
-      message: `Invalid field(s): ${invalidFields.join(", ")}`,
-    });
-  }
-
-  next();
-}
-
-/**
- * Validation for inputs (table_name and capacity)
- */
-function hasValidInputs(req, res, next) {
-  const { table_name, capacity } = req.body.data;
-  let invalidInputs = "Invalid input(s):";
-
-  if (table_name.length < 2) {
-    invalidInputs = invalidInputs.concat(" table_name");
-  }
-
-  if (typeof capacity !== "number") {
-    invalidInputs = invalidInputs.concat(" capacity");
-  }
-
-  if (invalidInputs !== "Invalid input(s):") {
-    return next({
-      status: 400,
-      message: invalidInputs,
-    });
-  }
-
-  next();
-}
-
 /**
  * Validation for table existence
  */
@@ -81,11 +32,11 @@ async function tableExists(req, res, next) {
  */
 async function reservationIdExists(req, res, next) {
   let reservation_id = null;
-  if (req.body.data) {
+  if (req.body.data && req.body.data.reservation_id !== undefined) {
     // checks reservation_id before status changes to "seated"
     reservation_id = req.body.data.reservation_id;
   } else if (res.locals.table) {
-    // checks reservation_id before status changes to "finished"
+    // checks the party at the table before it finishes or moves
     reservation_id = res.locals.table.reservation_id;
   }
   const reservation = await tablesService.readReservation(reservation_id);
@@ -100,31 +51,77 @@ async function reservationIdExists(req, res, next) {
   });
 }
 
+/**
+ * Validation for the other tables combined with the table (table_ids), which
+ * puts all the tables being seated in res.locals
+ */
+async function combinedTablesExist(req, res, next) {
+  const { table_ids = [] } = req.body.data;
+  if (!table_ids.length) return next();
+
+  const otherIds = [...new Set(table_ids)].filter(
+    (table_id) => table_id !== res.locals.table.table_id
+  );
+  const others = await tablesService.listByIds(otherIds);
+  const missingId = otherIds.find(
+    (table_id) => !others.some((table) => table.table_id === table_id)
+  );
+
+  if (missingId !== undefined) {
+    return next({
+      status: 404,
+      message: `Table ID ${missingId} does not exist.`,
+    });
+  }
+
+  res.locals.tables = [res.locals.table, ...others];
+  next();
+}
+
+/**
+ * The tables a party is being seated at: the combined tables when there are
+ * some, otherwise the single table
+ */
+function tablesBeingSeated({ table, tables = [table] }) {
+  return tables;
+}
+
 /**
  * Validation for table capacity relative to number of people on reservation
  */
 function tableHasSufficientCapacity(req, res, next) {
   const { people } = res.locals.reservation;
-  const { capacity } = res.locals.table;
+  const tables = tablesBeingSeated(res.locals);
+  const capacity = tables.reduce((sum, table) => sum + table.capacity, 0);
 
   if (capacity >= people) return next();
 
   next({
     status: 400,
-    message: `Table does not have sufficient capacity.`,
+    message:
+      tables.length > 1
+        ? `Tables do not have sufficient combined capacity.`
+        : `Table does not have sufficient capacity.`,
   });
 }
 
 /**
- * Validation for table availability (occupied)
+ * Validation for table availability (occupied by another party)
  */
 function tableIsNotOccupied(req, res, next) {
-  const { reservation_id } = res.locals.table;
+  const tables = tablesBeingSeated(res.locals);
+  const occupied = tables.find(
+    ({ reservation_id }) =>
+      reservation_id && reservation_id !== res.locals.reservation.reservation_id
+  );
 
-  if (reservation_id) {
+  if (occupied) {
     return next({
       status: 400,
-      message: `Table is occupied.`,
+      message:
+        tables.length > 1
+          ? `Table ${occupied.table_name} is occupied.`
+          : `Table is occupied.`,
     });
   }
   next();
@@ -144,6 +141,43 @@ function tableIsOccupied(req, res, next) {
   });
 }
 
+/**
+ * Validation for the table a party moves to (data.table_id), which puts the
+ * table it moves from in res.locals.source, and the tables the party will be
+ * seated at in res.locals.table and res.locals.tables
+ */
+async function moveTargetExists(req, res, next) {
+  const { table_id } = req.body.data;
+  const source = res.locals.table;
+
+  const target = await tablesService.read(table_id);
+  if (!target) {
+    return next({
+      status: 404,
+      message: `Table ID ${table_id} does not exist.`,
+    });
+  }
+
+  if (target.reservation_id === source.reservation_id) {
+    return next({
+      status: 400,
+      message: `The party is already at table ${target.table_name}.`,
+    });
+  }
+
+  // a party seated across combined tables keeps its other tables
+  const partyTables = await tablesService.listByReservation(
+    source.reservation_id
+  );
+  res.locals.source = source;
+  res.locals.table = target;
+  res.locals.tables = [
+    target,
+    ...partyTables.filter((table) => table.table_id !== source.table_id),
+  ];
+  next();
+}
+
 /**
  * Validation for table status ("seated")
  */
@@ -160,6 +194,21 @@ function reservationStatusIsNotSeated(req, res, next) {
   next();
 }
 
+/**
+ * Validation for status transition to `status` (allowed by the status state machine)
+ */
+function statusTransitionIsAllowed(status) {
+  return function (req, res, next) {
+    next(transitionError(res.locals.reservation.status, status));
+  };
+}
+
+/**
+ * Validation shared by every way of seating a party at a table, which expects
+ * the table and the reservation being seated in res.locals
+ */
+const seatValidation = [tableHasSufficientCapacity, tableIsNotOccupied];
+
 /**
 
  ***HANDLERS***
@@ -171,6 +220,7 @@ function reservationStatusIsNotSeated(req, res, next) {
  */
 async function create(req, res) {
   const data = await tablesService.create(req.body.data);
+  liveEvents.publish("table", data);
   res.status(201).json({ data });
 }
 
@@ -183,50 +233,94 @@ async function read(req, res) {
 }
 
 /**
- * Update handler for tables resources (status = "seated")
- */
-async function updateReservationStatusToSeated(req, res, next) {
-  const updatedReservation = {
-    ...res.locals.reservation,
-    status: "seated",
-  };
-  const data = await tablesService.updateReservationStatus(updatedReservation);
-  next();
-}
-
-/**
- * Update handler for tables resources
+ * Update handler for tables resources (status = "seated"), which seats the
+ * table and any combined tables in the same transaction
  */
 async function update(req, res) {
-  const updatedTable = {
-    ...res.locals.table,
-    reservation_id: res.locals.reservation.reservation_id,
-  };
-  const data = await tablesService.update(updatedTable);
+  const table_ids = tablesBeingSeated(res.locals).map(
+    ({ table_id }) => table_id
+  );
+  const { reservation_id } = res.locals.reservation;
+  const seatedTables = await tablesService.seat(
+    table_ids,
+    reservation_id,
+    res.locals.table.table_id,
+    res.locals.staffUser.staff_user_id
+  );
+  const reservation = await reservationsService.read(reservation_id);
+  req.log.info(
+    { event: "reservation.seated", reservation_id, table_ids },
+    "Seated a reservation"
+  );
+  liveEvents.publishReservation(reservation, seatedTables);
+  webhookEvents.emit("reservation.seated", {
+    reservation,
+    tables: seatedTables,
+  });
+  const data = seatedTables.find(
+    ({ table_id }) => table_id === res.locals.table.table_id
+  );
   res.json({ data });
 }
 
 /**
- * Update handler for tables resources (status = "finished")
+ * Delete handler for tables resources (status = "finished"), which frees
+ * every table the party was seated at in the same transaction
  */
-async function updateReservationStatusToFinished(req, res, next) {
-  const updatedReservation = {
-    ...res.locals.reservation,
-    status: "finished",
-  };
-  const data = await tablesService.updateReservationStatus(updatedReservation);
-  next();
+async function deleteReservationId(req, res) {
+  const freedTables = await tablesService.finish(
+    res.locals.table.table_id,
+    res.locals.staffUser.staff_user_id
+  );
+  const reservation = await reservationsService.read(
+    res.locals.reservation.reservation_id
+  );
+  req.log.info(
+    {
+      event: "reservation.finished",
+      reservation_id: reservation.reservation_id,
+      table_ids: freedTables.map(({ table_id }) => table_id),
+    },
+    "Finished a reservation"
+  );
+  liveEvents.publishReservation(reservation, freedTables);
+  webhookEvents.emit("reservation.finished", {
+    reservation,
+    tables: freedTables,
+  });
+  const data = freedTables.find(
+    ({ table_id }) => table_id === res.locals.table.table_id
+  );
+  res.json({ data });
 }
 
 /**
- * Delete handler for tables resources (reservation_id)
+ * Move handler for tables resources (frees the source table and seats the
+ * party at the target table, keeping the reservation "seated")
  */
-async function deleteReservationId(req, res) {
-  const updatedTable = {
-    ...res.locals.table,
-    reservation_id: null,
-  };
-  const data = await tablesService.update(updatedTable);
+async function move(req, res) {
+  const data = await tablesService.move(
+    res.locals.source,
+    res.locals.table,
+    res.locals.reservation,
+    res.locals.staffUser.staff_user_id
+  );
+  req.log.info(
+    {
+      event: "table.moved",
+      reservation_id: data.reservation_id,
+      from_table_id: res.locals.source.table_id,
+      to_table_id: data.table_id,
+    },
+    "Moved a party to another table"
+  );
+  liveEvents.publish("table", { ...res.locals.source, reservation_id: null });
+  liveEvents.publish("table", data);
+  webhookEvents.emit("table.moved", {
+    reservation: res.locals.reservation,
+    from: res.locals.source,
+    to: data,
+  });
   res.json({ data });
 }
 
@@ -236,6 +330,7 @@ async function deleteReservationId(req, res) {
 async function destroy(req, res) {
   const { table_id } = res.locals.table;
   await tablesService.delete(table_id);
+  liveEvents.publish("table-deleted", { table_id });
   res.sendStatus(204);
 }
 
@@ -248,31 +343,35 @@ async function list(req, res, next) {
 }
 
 module.exports = {
-  create: [
-    hasOnlyValidProperties,
-    hasProperties("table_name", "capacity"),
-    hasValidInputs,
-    asyncErrorBoundary(create),
-  ],
+  create: [asyncErrorBoundary(create)],
   read: [asyncErrorBoundary(tableExists), asyncErrorBoundary(read)],
   update: [
     asyncErrorBoundary(tableExists),
-    hasOnlyValidProperties,
-    hasProperties("reservation_id"),
     asyncErrorBoundary(reservationIdExists),
-    tableHasSufficientCapacity,
-    tableIsNotOccupied,
+    asyncErrorBoundary(combinedTablesExist),
+    ...seatValidation,
     reservationStatusIsNotSeated,
-    asyncErrorBoundary(updateReservationStatusToSeated),
+    statusTransitionIsAllowed("seated"),
     asyncErrorBoundary(update),
   ],
   deleteReservationId: [
     asyncErrorBoundary(tableExists),
     tableIsOccupied,
     asyncErrorBoundary(reservationIdExists),
-    asyncErrorBoundary(updateReservationStatusToFinished),
+    statusTransitionIsAllowed("finished"),
     asyncErrorBoundary(deleteReservationId),
   ],
+  move: [
+    asyncErrorBoundary(tableExists),
+    tableIsOccupied,
+    asyncErrorBoundary(reservationIdExists),
+    asyncErrorBoundary(moveTargetExists),
+    ...seatValidation,
+    asyncErrorBoundary(move),
+  ],
   delete: [asyncErrorBoundary(tableExists), asyncErrorBoundary(destroy)],
   list: [asyncErrorBoundary(list)],
+  combinedTablesExist,
+  tablesBeingSeated,
+  seatValidation,
 };
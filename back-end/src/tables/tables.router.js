@@ -7,23 +7,39 @@
 const router = require("express").Router();
 const controller = require("./tables.controller");
 const methodNotAllowed = require("../errors/methodNotAllowed");
+const { requirePermission } = require("../auth/permissions");
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+const idempotent = require("../idempotency/idempotent");
 
 router
   .route("/")
-  .get(controller.list)
-  .post(controller.create)
+  .get(requirePermission("tables:read"), controller.list)
+  .post(
+    requirePermission("tables:create"),
+    asyncErrorBoundary(idempotent),
+    controller.create
+  )
   .all(methodNotAllowed);
 
 router
   .route("/:table_id")
-  .get(controller.read)
-  .delete(controller.delete)
+  .get(requirePermission("tables:read"), controller.read)
+  .delete(requirePermission("tables:delete"), controller.delete)
   .all(methodNotAllowed);
 
 router
   .route("/:table_id/seat")
-  .put(controller.update)
-  .delete(controller.deleteReservationId)
+  .put(
+    requirePermission("tables:seat"),
+    asyncErrorBoundary(idempotent),
+    controller.update
+  )
+  .delete(requirePermission("tables:finish"), controller.deleteReservationId)
+  .all(methodNotAllowed);
+
+router
+  .route("/:table_id/move")
+  .post(requirePermission("tables:seat"), controller.move)
   .all(methodNotAllowed);
 
 module.exports = router;
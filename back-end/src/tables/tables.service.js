@@ -1,4 +1,6 @@
 const knex = require("../db/connection");
+const reservationEventsService = require("../reservations/reservationEvents.service");
+const { transitionError } = require("../reservations/reservationStatus");
 
 function create(table) {
   return knex("tables")
@@ -15,32 +17,177 @@ function read(table_id) {
   return knex("tables").select("*").where({ table_id }).first();
 }
 
+function listByIds(table_ids) {
+  return knex("tables").select("*").whereIn("table_id", table_ids);
+}
+
+function listByReservation(reservation_id) {
+  return knex("tables").select("*").where({ reservation_id });
+}
+
 function readReservation(reservation_id) {
   return knex("reservations").select("*").where({ reservation_id }).first();
 }
 
-function update(updatedTable) {
-  return knex("tables")
+/**
+ * Locks the tables inside the transaction `trx`, in table_id order so that
+ * concurrent requests wait for each other instead of deadlocking, and throws
+ * a 400 error if one is occupied by a party other than `reservation_id`
+ */
+async function lockFreeTables(trx, table_ids, reservation_id = null) {
+  const tables = await trx("tables")
     .select("*")
-    .where({ table_id: updatedTable.table_id })
-    .update(updatedTable, "*")
-    .then((updatedRecords) => updatedRecords[0]);
+    .whereIn("table_id", table_ids)
+    .orderBy("table_id")
+    .forUpdate();
+  const occupied = tables.find(
+    (table) => table.reservation_id && table.reservation_id !== reservation_id
+  );
+
+  if (occupied) {
+    throw {
+      status: 400,
+      message: `Table ${occupied.table_name} is occupied.`,
+    };
+  }
+  return tables;
 }
 
-function updateReservationStatus(updatedReservation) {
-  return knex("reservations")
-    .select("*")
-    .where({ reservation_id: updatedReservation.reservation_id })
-    .update({ status: updatedReservation.status })
-    .then((updatedRecords) => updatedRecords[0]);
+/**
+ * Locks the reservation inside the transaction `trx` and changes its status,
+ * recording the change along with the table and the staff user who made it.
+ * Throws if another request has changed its status in the meantime.
+ */
+async function changeStatus(
+  trx,
+  reservation_id,
+  status,
+  table_id,
+  staff_user_id
+) {
+  const previous = await trx("reservations")
+    .where({ reservation_id })
+    .forUpdate()
+    .first();
+
+  if (previous.status === status) {
+    throw {
+      status: 400,
+      message: `Reservation status is ${status}.`,
+    };
+  }
+  const error = transitionError(previous.status, status);
+  if (error) throw error;
+
+  const [updated] = await trx("reservations")
+    .where({ reservation_id })
+    .update({ status, updated_at: trx.fn.now() }, "*");
+  await reservationEventsService.record(
+    trx,
+    previous,
+    updated,
+    table_id,
+    staff_user_id
+  );
+  return updated;
 }
 
-function deleteReservationId(updatedTable) {
-  return knex("tables")
-    .select("*")
-    .where({ table_id: updatedTable.table_id })
-    .update(updatedTable, "*")
-    .then((updatedRecords) => updatedRecords[0]);
+/**
+ * Seats the reservation at all the tables and records it as seated at
+ * `table_id`, all or nothing
+ */
+function seat(table_ids, reservation_id, table_id, staff_user_id = null) {
+  return knex.transaction(async (trx) => {
+    await lockFreeTables(trx, table_ids, reservation_id);
+    await changeStatus(trx, reservation_id, "seated", table_id, staff_user_id);
+    return trx("tables")
+      .whereIn("table_id", table_ids)
+      .update({ reservation_id }, "*");
+  });
+}
+
+/**
+ * Finishes the party seated at the table and frees every table it is seated
+ * at, all or nothing
+ */
+function finish(table_id, staff_user_id = null) {
+  return knex.transaction(async (trx) => {
+    const { reservation_id } = await trx("tables").where({ table_id }).first();
+    // a free table would otherwise lock every other free table below
+    if (!reservation_id) {
+      throw {
+        status: 400,
+        message: `Table is not occupied.`,
+      };
+    }
+
+    const tables = await trx("tables")
+      .select("*")
+      .where({ table_id })
+      .orWhere({ reservation_id })
+      .orderBy("table_id")
+      .forUpdate();
+    const table = tables.find((locked) => locked.table_id === table_id);
+
+    // another request may have finished or moved the party in the meantime
+    if (table.reservation_id !== reservation_id) {
+      throw {
+        status: 400,
+        message: `Table is not occupied.`,
+      };
+    }
+
+    await changeStatus(
+      trx,
+      reservation_id,
+      "finished",
+      table_id,
+      staff_user_id
+    );
+    return trx("tables")
+      .where({ reservation_id })
+      .update({ reservation_id: null }, "*");
+  });
+}
+
+/**
+ * Moves the seated reservation from the `source` table to the `target` table
+ * and records the move in its history, all or nothing
+ */
+function move(source, target, reservation, staff_user_id = null) {
+  const { reservation_id } = reservation;
+
+  return knex.transaction(async (trx) => {
+    const tables = await lockFreeTables(
+      trx,
+      [source.table_id, target.table_id],
+      reservation_id
+    );
+    const from = tables.find(({ table_id }) => table_id === source.table_id);
+
+    // another request may have finished or moved the party in the meantime
+    if (from.reservation_id !== reservation_id) {
+      throw {
+        status: 400,
+        message: `Table is not occupied.`,
+      };
+    }
+
+    await trx("tables")
+      .where({ table_id: source.table_id })
+      .update({ reservation_id: null });
+    const [moved] = await trx("tables")
+      .where({ table_id: target.table_id })
+      .update({ reservation_id }, "*");
+    await reservationEventsService.recordMove(
+      trx,
+      reservation_id,
+      source,
+      target,
+      staff_user_id
+    );
+    return moved;
+  });
 }
 
 function destroy(table_id) {
@@ -51,9 +198,12 @@ module.exports = {
   create,
   list,
   read,
+  listByIds,
+  listByReservation,
   readReservation,
-  update,
-  updateReservationStatus,
-  deleteReservationId,
+  lockFreeTables,
+  seat,
+  finish,
+  move,
   delete: destroy,
 };
@@ -1,27 +0,0 @@
-/**
- *
- * @param properties
- * a string/s
- * @returns {Error}
- * if the request does not include 'properties'
- */
-function hasProperties(...properties) {
-  return function (req, res, next) {
-    const { data = {} } = req.body;
-
-    try {
-      properties.forEach((property) => {
-        if (!data[property]) {
-          const error = new Error(`A '${property}' property is required.`);
-          error.status = 400;
-          throw error;
-        }
-      });
-      next();
-    } catch (error) {
-      next(error);
-    }
-  };
-}
-
-module.exports = hasProperties;
@@ -0,0 +1,108 @@
+/**
+ * Date and time helpers in the restaurant's IANA time zone.
+ *
+ * The zone is read from the `RESTAURANT_TIME_ZONE` environment variable
+ * and defaults to "America/Los_Angeles".
+ */
+
+const { RESTAURANT_TIME_ZONE = "America/Los_Angeles" } = process.env;
+
+const formatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: RESTAURANT_TIME_ZONE,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+});
+
+function zonedParts(timestamp) {
+  return formatter
+    .formatToParts(new Date(timestamp))
+    .reduce((parts, { type, value }) => ({ ...parts, [type]: value }), {});
+}
+
+/**
+ * Offset of the restaurant's zone from UTC, in milliseconds, at an instant.
+ */
+function zoneOffset(timestamp) {
+  const { year, month, day, hour, minute, second } = zonedParts(timestamp);
+  const asUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUTC - (timestamp - (timestamp % 1000));
+}
+
+/**
+ *
+ * @param date
+ * a YYYY-MM-DD date string
+ * @param time
+ * a HH:MM (or HH:MM:SS) time string
+ * @returns {number}
+ * the timestamp of that wall-clock date and time in the restaurant's zone
+ */
+function zonedTimestamp(date, time = "00:00") {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hour, minute, second = 0] = time.split(":").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // the offset can change across the guess (daylight saving), so settle it twice
+  let timestamp = wallClock - zoneOffset(wallClock);
+  timestamp = wallClock - zoneOffset(timestamp);
+  return timestamp;
+}
+
+/**
+ *
+ * @param timestamp
+ * an instant, defaults to now
+ * @returns {{date: string, time: string}}
+ * the date (YYYY-MM-DD) and time (HH:MM) of the instant in the restaurant's zone
+ */
+function zonedDateTime(timestamp = Date.now()) {
+  const { year, month, day, hour, minute } = zonedParts(timestamp);
+  return { date: `${year}-${month}-${day}`, time: `${hour}:${minute}` };
+}
+
+/**
+ * Today's date in the restaurant's zone as YYYY-MM-DD.
+ */
+function today() {
+  return zonedDateTime().date;
+}
+
+/**
+ * Day of the week (0 = Sunday) of a YYYY-MM-DD date.
+ */
+function dayOfWeek(date) {
+  // date-only ISO strings are parsed as UTC midnight of that calendar date
+  return new Date(date).getUTCDay();
+}
+
+/**
+ * Minutes since midnight of a HH:MM (or HH:MM:SS) time string.
+ */
+function timeToMinutes(time) {
+  const [hour, minute] = time.split(":").map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * HH:MM time string of a number of minutes since midnight.
+ */
+function minutesToTime(minutes) {
+  const hour = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const minute = String(minutes % 60).padStart(2, "0");
+  return `${hour}:${minute}`;
+}
+
+module.exports = {
+  RESTAURANT_TIME_ZONE,
+  zonedTimestamp,
+  zonedDateTime,
+  today,
+  dayOfWeek,
+  timeToMinutes,
+  minutesToTime,
+};
@@ -0,0 +1,185 @@
+const waitlistService = require("./waitlist.service");
+const reservationsService = require("../reservations/reservations.service");
+const reservationEventsService = require("../reservations/reservationEvents.service");
+const tablesService = require("../tables/tables.service");
+const settingsService = require("../settings/settings.service");
+const {
+  tablesFor,
+  countUnseated,
+} = require("../availability/availability.service");
+const { ACTIVE_STATUSES } = require("../reservations/reservationStatus");
+const { today, zonedTimestamp } = require("../utils/restaurantTime");
+
+/**
+ * How far back finished visits count towards the visit duration of a party size
+ */
+const HISTORY_DAYS = 90;
+
+/**
+ * Finished visits a party size needs before its average replaces the turn time
+ */
+const MIN_HISTORY_VISITS = 3;
+
+/**
+ * Estimates are rounded up to this many minutes
+ */
+const ROUNDING_MINUTES = 5;
+
+/**
+ * Minutes from now until a timestamp (negative when it has passed)
+ */
+function minutesFromNow(timestamp, now) {
+  return (timestamp - now) / 60000;
+}
+
+/**
+ * Expected minutes of a visit by party size: the average of recent finished
+ * visits when there are enough of them, the turn time otherwise
+ */
+function expectedDurationFor(people, turnTimes, visitDurations) {
+  const history = visitDurations.find((visit) => visit.people === people);
+  return history && history.visits >= MIN_HISTORY_VISITS
+    ? history.duration_minutes
+    : settingsService.durationFor(people, turnTimes);
+}
+
+/**
+ * Whether a party fits at the tables from `start` for `duration` minutes
+ * next to the other parties (each with start and end in minutes from now)
+ */
+function fitsAt(start, { people, duration }, parties, tables) {
+  const end = start + duration;
+  const newParty = { people, start, end };
+
+  // the tables in use only change when a party arrives, so checking the
+  // start and every arrival during the visit covers the whole visit
+  const checkpoints = [
+    start,
+    ...parties
+      .map((party) => party.start)
+      .filter((arrival) => arrival > start && arrival < end),
+  ];
+
+  return checkpoints.every((checkpoint) => {
+    const seated = parties.filter(
+      (party) => party.start <= checkpoint && checkpoint < party.end
+    );
+    return countUnseated([...seated, newParty], tables) === 0;
+  });
+}
+
+/**
+ * Minutes from now until a party can be seated: now, or the first moment a
+ * party leaves after which it fits
+ */
+function earliestStart(party, parties, tables) {
+  const candidates = [
+    0,
+    ...parties.map(({ end }) => end).filter((end) => end > 0),
+  ].sort((a, b) => a - b);
+
+  return candidates.find((start) => fitsAt(start, party, parties, tables));
+}
+
+/**
+ *
+ * @param people
+ * the party size of the walk-in
+ * @returns {Promise<{people, wait_minutes, parties_ahead, reason}>}
+ * the minutes until a table is expected to be free for the party, after the
+ * seated parties leave, the upcoming reservations arrive and the parties
+ * already on the waitlist are seated
+ */
+async function estimateWait(people) {
+  const now = Date.now();
+  const date = today();
+  const [tables, reservations, waiting, turnTimes, visitDurations] =
+    await Promise.all([
+      tablesService.list(),
+      reservationsService.listByDate(date),
+      waitlistService.list(),
+      settingsService.listTurnTimes(),
+      reservationEventsService.listVisitDurations(HISTORY_DAYS),
+    ]);
+
+  if (!tablesFor(people, tables)) {
+    return {
+      people,
+      wait_minutes: null,
+      parties_ahead: waiting.length,
+      reason: `No table can seat a party of ${people}, even combined.`,
+    };
+  }
+
+  const durationOf = (reservation) =>
+    reservation.duration_minutes ||
+    expectedDurationFor(reservation.people, turnTimes, visitDurations);
+
+  const seatedIds = tables
+    .map(({ reservation_id }) => reservation_id)
+    .filter(Boolean);
+  const seated = (await reservationEventsService.listSeatedAt(seatedIds)).map(
+    (reservation) => {
+      const seatedAt = reservation.seated_at
+        ? new Date(reservation.seated_at).getTime()
+        : zonedTimestamp(date, reservation.reservation_time);
+      const start = Math.min(minutesFromNow(seatedAt, now), 0);
+      // a party staying longer than expected is assumed to be leaving now
+      return {
+        people: reservation.people,
+        start,
+        end: Math.max(start + durationOf(reservation), 0),
+      };
+    }
+  );
+
+  const upcoming = reservations
+    .filter(({ status }) => ACTIVE_STATUSES.includes(status))
+    .filter(({ status }) => status !== "seated")
+    .map((reservation) => {
+      const arrival = minutesFromNow(
+        zonedTimestamp(date, reservation.reservation_time),
+        now
+      );
+      // a late party is still expected, and takes its table when it arrives
+      return {
+        people: reservation.people,
+        start: Math.max(arrival, 0),
+        end: arrival + durationOf(reservation),
+      };
+    })
+    .filter(({ end }) => end > 0);
+
+  const parties = [...seated, ...upcoming];
+
+  // parties already on the waitlist are seated first, in the order they joined
+  waiting
+    .filter(({ party_size }) => tablesFor(party_size, tables))
+    .forEach(({ party_size }) => {
+      const party = {
+        people: party_size,
+        duration: expectedDurationFor(party_size, turnTimes, visitDurations),
+      };
+      const start = earliestStart(party, parties, tables);
+      parties.push({ people: party_size, start, end: start + party.duration });
+    });
+
+  const start = earliestStart(
+    {
+      people,
+      duration: expectedDurationFor(people, turnTimes, visitDurations),
+    },
+    parties,
+    tables
+  );
+
+  return {
+    people,
+    wait_minutes: Math.ceil(start / ROUNDING_MINUTES) * ROUNDING_MINUTES,
+    parties_ahead: waiting.length,
+  };
+}
+
+module.exports = {
+  estimateWait,
+};
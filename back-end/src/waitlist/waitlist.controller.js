@@ -0,0 +1,212 @@
+const waitlistService = require("./waitlist.service");
+const waitEstimateService = require("./waitEstimate.service");
+const tablesService = require("../tables/tables.service");
+const reservationsService = require("../reservations/reservations.service");
+const tablesController = require("../tables/tables.controller");
+const guestsService = require("../guests/guests.service");
+const walkInsService = require("../walkIns/walkIns.service");
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+const webhookEvents = require("../webhooks/webhookEvents");
+const liveEvents = require("../events/liveEvents");
+
+/**
+
+ ***VALIDATION***
+
+*/
+
+/**
+ * Validation for waitlist entry existence
+ */
+async function entryExists(req, res, next) {
+  const { waitlist_id } = req.params;
+  const entry = await waitlistService.read(waitlist_id);
+  if (entry) {
+    res.locals.entry = entry;
+    return next();
+  }
+  next({
+    status: 404,
+    message: `Waitlist ID ${waitlist_id} does not exist.`,
+  });
+}
+
+/**
+ * Validation for waitlist entry status (still waiting for a table)
+ */
+function entryIsWaiting(req, res, next) {
+  const { status } = res.locals.entry;
+
+  if (waitlistService.WAITING_STATUSES.includes(status)) return next();
+
+  next({
+    status: 400,
+    message: `The party is already ${status}.`,
+  });
+}
+
+/**
+ * Validation for table_id existence
+ */
+async function tableExists(req, res, next) {
+  const { table_id } = req.body.data;
+  const table = await tablesService.read(table_id);
+  if (table) {
+    res.locals.table = table;
+    return next();
+  }
+  next({
+    status: 404,
+    message: `Table ID ${table_id} does not exist.`,
+  });
+}
+
+/**
+ * First and last name of a walk-in reservation, split from the party name at its last space
+ */
+function namesOf(party_name) {
+  const names = party_name.trim().split(/\s+/);
+  const last_name = names.length > 1 ? names.pop() : "";
+  return { first_name: names.join(" "), last_name };
+}
+
+/**
+ * Puts the walk-in reservation of the waiting party, starting now, in
+ * res.locals for the table seating validation
+ */
+function hasWalkInReservation(req, res, next) {
+  const { party_name, mobile_number, party_size } = res.locals.entry;
+
+  res.locals.reservation = walkInsService.walkInReservation({
+    ...namesOf(party_name),
+    mobile_number,
+    people: party_size,
+  });
+  next();
+}
+
+/**
+
+ ***HANDLERS***
+
+*/
+
+/**
+ * Create handler for waitlist resources
+ */
+async function create(req, res) {
+  const data = await waitlistService.create(req.body.data);
+  req.log.info(
+    { event: "waitlist.joined", waitlist_id: data.waitlist_id },
+    "Added a party to the waitlist"
+  );
+  liveEvents.publish("waitlist", data);
+  res.status(201).json({ data });
+}
+
+/**
+ * Read handler for waitlist resources
+ */
+function read(req, res) {
+  const { entry: data } = res.locals;
+  res.json({ data });
+}
+
+/**
+ * Notify handler for waitlist resources (their table is ready)
+ */
+async function notify(req, res) {
+  const data = await waitlistService.notify(res.locals.entry.waitlist_id);
+  req.log.info(
+    { event: "waitlist.notified", waitlist_id: data.waitlist_id },
+    "Notified a waiting party"
+  );
+  liveEvents.publish("waitlist", data);
+  res.json({ data });
+}
+
+/**
+ * Seat handler for waitlist resources (books and seats their walk-in reservation)
+ */
+async function seat(req, res) {
+  const { entry, reservation, table } = res.locals;
+  const table_ids = tablesController
+    .tablesBeingSeated(res.locals)
+    .map(({ table_id }) => table_id);
+  const guest = await guestsService.findOrCreate(reservation);
+  const data = await waitlistService.seat(
+    entry.waitlist_id,
+    { ...reservation, guest_id: guest ? guest.guest_id : null },
+    table.table_id,
+    table_ids,
+    res.locals.staffUser.staff_user_id
+  );
+  const seated = await reservationsService.read(data.reservation_id);
+  const tables = await tablesService.listByIds(table_ids);
+  req.log.info(
+    {
+      event: "waitlist.seated",
+      waitlist_id: entry.waitlist_id,
+      reservation_id: seated.reservation_id,
+      table_ids,
+    },
+    "Seated a waiting party"
+  );
+  liveEvents.publish("waitlist", data);
+  liveEvents.publishReservation(seated, tables);
+  webhookEvents.emit("reservation.created", { reservation: seated });
+  webhookEvents.emit("reservation.seated", { reservation: seated, tables });
+  res.json({ data });
+}
+
+/**
+ * Destroy handler for waitlist resources
+ */
+async function destroy(req, res) {
+  const { entry } = res.locals;
+  await waitlistService.delete(entry.waitlist_id);
+  req.log.info(
+    { event: "waitlist.removed", waitlist_id: entry.waitlist_id },
+    "Removed a party from the waitlist"
+  );
+  liveEvents.publish("waitlist-deleted", { waitlist_id: entry.waitlist_id });
+  res.sendStatus(204);
+}
+
+/**
+ * Estimate handler for the wait of a walk-in party
+ */
+async function estimate(req, res) {
+  const data = await waitEstimateService.estimateWait(Number(req.query.people));
+  res.json({ data });
+}
+
+/**
+ * List handler for waitlist resources (parties still waiting, first come first)
+ */
+async function list(req, res) {
+  const data = await waitlistService.list();
+  res.json({ data });
+}
+
+module.exports = {
+  create: asyncErrorBoundary(create),
+  read: [asyncErrorBoundary(entryExists), read],
+  notify: [
+    asyncErrorBoundary(entryExists),
+    entryIsWaiting,
+    asyncErrorBoundary(notify),
+  ],
+  seat: [
+    asyncErrorBoundary(entryExists),
+    entryIsWaiting,
+    asyncErrorBoundary(tableExists),
+    hasWalkInReservation,
+    asyncErrorBoundary(tablesController.combinedTablesExist),
+    ...tablesController.seatValidation,
+    asyncErrorBoundary(seat),
+  ],
+  delete: [asyncErrorBoundary(entryExists), asyncErrorBoundary(destroy)],
+  estimate: asyncErrorBoundary(estimate),
+  list: asyncErrorBoundary(list),
+};
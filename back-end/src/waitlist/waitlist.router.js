@@ -0,0 +1,39 @@
+/**
+ * Defines the router for waitlist resources.
+ *
+ * @type {Router}
+ */
+
+const router = require("express").Router();
+const controller = require("./waitlist.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { requirePermission } = require("../auth/permissions");
+
+router
+  .route("/")
+  .get(requirePermission("waitlist:read"), controller.list)
+  .post(requirePermission("waitlist:edit"), controller.create)
+  .all(methodNotAllowed);
+
+router
+  .route("/estimate")
+  .get(requirePermission("waitlist:read"), controller.estimate)
+  .all(methodNotAllowed);
+
+router
+  .route("/:waitlist_id")
+  .get(requirePermission("waitlist:read"), controller.read)
+  .delete(requirePermission("waitlist:edit"), controller.delete)
+  .all(methodNotAllowed);
+
+router
+  .route("/:waitlist_id/notify")
+  .put(requirePermission("waitlist:edit"), controller.notify)
+  .all(methodNotAllowed);
+
+router
+  .route("/:waitlist_id/seat")
+  .put(requirePermission("tables:seat"), controller.seat)
+  .all(methodNotAllowed);
+
+module.exports = router;
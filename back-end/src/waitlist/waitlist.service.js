@@ -0,0 +1,104 @@
+const knex = require("../db/connection");
+const walkInsService = require("../walkIns/walkIns.service");
+const { normalizeMobileNumber } = require("../guests/guests.service");
+
+/**
+ * Statuses of parties still waiting for a table
+ */
+const WAITING_STATUSES = ["waiting", "notified"];
+
+function list() {
+  return knex("waitlist")
+    .select("*")
+    .whereIn("status", WAITING_STATUSES)
+    .orderBy(["joined_at", "waitlist_id"]);
+}
+
+function read(waitlist_id) {
+  return knex("waitlist").select("*").where({ waitlist_id }).first();
+}
+
+function create(entry) {
+  return knex("waitlist")
+    .insert({
+      ...entry,
+      mobile_number: normalizeMobileNumber(entry.mobile_number),
+    })
+    .returning("*")
+    .then((createdRecords) => createdRecords[0]);
+}
+
+function notify(waitlist_id) {
+  return knex("waitlist")
+    .where({ waitlist_id })
+    .update({ status: "notified", notified_at: knex.fn.now() }, "*")
+    .then((updatedRecords) => updatedRecords[0]);
+}
+
+/**
+ * Throws a 409 error for a party that another request has seated or removed
+ * since it was read
+ */
+function noLongerWaiting() {
+  throw {
+    status: 409,
+    message: "The party is no longer waiting.",
+  };
+}
+
+/**
+ * Books the walk-in reservation of a waiting party, seats it at the table
+ * and any tables combined with it, and marks the party as seated, all or
+ * nothing, as the staff user `staff_user_id`. The party is locked first, so
+ * that of two concurrent requests only one seats it and the other gets a 409.
+ */
+function seat(
+  waitlist_id,
+  reservation,
+  table_id,
+  table_ids,
+  staff_user_id = null
+) {
+  return knex.transaction(async (trx) => {
+    const waiting = await trx("waitlist")
+      .where({ waitlist_id })
+      .whereIn("status", WAITING_STATUSES)
+      .forUpdate()
+      .first();
+
+    if (!waiting) noLongerWaiting();
+
+    const { reservation_id } = await walkInsService.seatInTransaction(
+      trx,
+      reservation,
+      table_id,
+      table_ids,
+      staff_user_id
+    );
+    const [updated] = await trx("waitlist")
+      .where({ waitlist_id })
+      .whereIn("status", WAITING_STATUSES)
+      .update(
+        { status: "seated", seated_at: trx.fn.now(), reservation_id },
+        "*"
+      );
+
+    if (!updated) noLongerWaiting();
+
+    return updated;
+  });
+}
+
+function destroy(waitlist_id) {
+  return knex("waitlist").where({ waitlist_id }).del();
+}
+
+module.exports = {
+  WAITING_STATUSES,
+  list,
+  read,
+  create,
+  notify,
+  seat,
+  delete: destroy,
+};
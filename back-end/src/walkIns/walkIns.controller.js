@@ -0,0 +1,115 @@
+const walkInsService = require("./walkIns.service");
+const tablesService = require("../tables/tables.service");
+const tablesController = require("../tables/tables.controller");
+const tableAssignmentService = require("../tables/tableAssignment.service");
+const reservationsController = require("../reservations/reservations.controller");
+const guestsService = require("../guests/guests.service");
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+const webhookEvents = require("../webhooks/webhookEvents");
+const liveEvents = require("../events/liveEvents");
+
+/**
+
+ ***VALIDATION***
+
+*/
+
+/**
+ * Puts the walk-in reservation, starting now, in res.locals for the
+ * schedule and table seating validation
+ */
+function hasWalkInReservation(req, res, next) {
+  res.locals.reservation = walkInsService.walkInReservation(req.body.data);
+  next();
+}
+
+/**
+ * Validation for the table: the chosen table_id exists, or the best free
+ * table for the party is picked. A party larger than every table is seated
+ * across free tables combined, which are put in res.locals.tables.
+ */
+async function hasTable(req, res, next) {
+  const { table_id } = req.body.data;
+  const { people } = res.locals.reservation;
+
+  if (table_id != null) {
+    const table = await tablesService.read(table_id);
+    if (!table) {
+      return next({
+        status: 404,
+        message: `Table ID ${table_id} does not exist.`,
+      });
+    }
+    res.locals.table = table;
+    return next();
+  }
+
+  const [table] = await tableAssignmentService.suggestTables(
+    res.locals.reservation
+  );
+  if (table) {
+    res.locals.table = table;
+    return next();
+  }
+
+  const tables = await tableAssignmentService.suggestCombinedTables(
+    res.locals.reservation
+  );
+  if (!tables) {
+    return next({
+      status: 400,
+      message: `No free table can seat a party of ${people}.`,
+    });
+  }
+  res.locals.table = tables[0];
+  res.locals.tables = tables;
+  next();
+}
+
+/**
+
+ ***HANDLERS***
+
+*/
+
+/**
+ * Create handler for walk-ins (books and seats a reservation starting now)
+ */
+async function create(req, res) {
+  const { reservation, table } = res.locals;
+  const table_ids = tablesController
+    .tablesBeingSeated(res.locals)
+    .map(({ table_id }) => table_id);
+  const guest = await guestsService.findOrCreate(reservation);
+  const data = await walkInsService.create(
+    { ...reservation, guest_id: guest ? guest.guest_id : null },
+    table.table_id,
+    table_ids,
+    res.locals.staffUser.staff_user_id
+  );
+  const tables = await tablesService.listByIds(table_ids);
+  req.log.info(
+    {
+      event: "reservation.seated",
+      reservation_id: data.reservation_id,
+      table_ids,
+      walk_in: true,
+    },
+    "Seated a walk-in party"
+  );
+  liveEvents.publishReservation(data, tables);
+  webhookEvents.emit("reservation.created", { reservation: data });
+  webhookEvents.emit("reservation.seated", { reservation: data, tables });
+  res.status(201).json({ data });
+}
+
+module.exports = {
+  create: [
+    hasWalkInReservation,
+    asyncErrorBoundary(reservationsController.isBookable({ allowPast: true })),
+    asyncErrorBoundary(hasTable),
+    asyncErrorBoundary(tablesController.combinedTablesExist),
+    ...tablesController.seatValidation,
+    asyncErrorBoundary(create),
+  ],
+};
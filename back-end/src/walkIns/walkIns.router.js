@@ -0,0 +1,17 @@
+/**
+ * Defines the router for walk-ins.
+ *
+ * @type {Router}
+ */
+
+const router = require("express").Router();
+const controller = require("./walkIns.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { requirePermission } = require("../auth/permissions");
+
+router
+  .route("/")
+  .post(requirePermission("tables:seat"), controller.create)
+  .all(methodNotAllowed);
+
+module.exports = router;
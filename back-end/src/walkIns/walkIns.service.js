@@ -0,0 +1,68 @@
+const knex = require("../db/connection");
+const reservationsService = require("../reservations/reservations.service");
+const tablesService = require("../tables/tables.service");
+const reservationEventsService = require("../reservations/reservationEvents.service");
+const { zonedDateTime } = require("../utils/restaurantTime");
+
+/**
+ * A walk-in reservation for a party, starting now in the restaurant's zone
+ */
+function walkInReservation({ first_name, last_name, mobile_number, people }) {
+  const { date, time } = zonedDateTime();
+  return {
+    first_name,
+    last_name,
+    mobile_number,
+    people,
+    reservation_date: date,
+    reservation_time: time,
+  };
+}
+
+/**
+ * Books a walk-in reservation and seats it at the table, along with any
+ * tables combined with it (table_ids), inside the transaction `trx`,
+ * recording the booked → seated change at the table as made by the staff
+ * user `staff_user_id`. The tables are locked first, so that a concurrent
+ * seating cannot take them.
+ */
+async function seatInTransaction(
+  trx,
+  reservation,
+  table_id,
+  table_ids = [table_id],
+  staff_user_id = null
+) {
+  await tablesService.lockFreeTables(trx, table_ids);
+  const [booked] = await trx("reservations").insert(
+    { ...reservation, table_id, status: "booked" },
+    "*"
+  );
+  const { reservation_id } = booked;
+  const [seated] = await trx("reservations")
+    .where({ reservation_id })
+    .update({ status: "seated" }, "*");
+  await reservationEventsService.record(
+    trx,
+    booked,
+    seated,
+    table_id,
+    staff_user_id
+  );
+  await trx("tables").whereIn("table_id", table_ids).update({ reservation_id });
+  return seated;
+}
+
+function create(reservation, table_id, table_ids, staff_user_id = null) {
+  return knex
+    .transaction((trx) =>
+      seatInTransaction(trx, reservation, table_id, table_ids, staff_user_id)
+    )
+    .then(({ reservation_id }) => reservationsService.read(reservation_id));
+}
+
+module.exports = {
+  walkInReservation,
+  seatInTransaction,
+  create,
+};
@@ -0,0 +1,207 @@
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+// Node's own URL, which http.request understands, not a test environment's
+const { URL } = require("url");
+const knex = require("../db/connection");
+
+/**
+ * Attempts of a delivery before it is marked as "failed"
+ */
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Milliseconds a receiver has to respond to an attempt
+ */
+const TIMEOUT_MS = 10000;
+
+/**
+ * Milliseconds a process owns a delivery it is attempting, during which no
+ * other sweep picks it up. Longer than an attempt can take.
+ */
+const LEASE_MS = 2 * TIMEOUT_MS;
+
+/**
+ * Milliseconds to wait after the failed attempt before the next one: 30
+ * seconds after the first, doubling after every other. WEBHOOK_RETRY_DELAY_MS
+ * overrides the first delay, e.g. in tests.
+ */
+function retryDelay(attempts) {
+  const { WEBHOOK_RETRY_DELAY_MS = 30000 } = process.env;
+  return Number(WEBHOOK_RETRY_DELAY_MS) * 2 ** (attempts - 1);
+}
+
+/**
+ * A time `milliseconds` from now
+ */
+function fromNow(milliseconds) {
+  return new Date(Date.now() + milliseconds);
+}
+
+/**
+ * Logs a delivery, leased to the process that makes its first attempt
+ */
+function create(webhook_id, event_type, payload) {
+  return knex("webhook_deliveries")
+    .insert(
+      { webhook_id, event_type, payload, next_attempt_at: fromNow(LEASE_MS) },
+      "*"
+    )
+    .then((createdRecords) => createdRecords[0]);
+}
+
+/**
+ * Logs an attempt on the delivery
+ */
+function update(webhook_delivery_id, changes) {
+  return knex("webhook_deliveries")
+    .where({ webhook_delivery_id })
+    .update({ ...changes, updated_at: knex.fn.now() });
+}
+
+/**
+ * The deliveries of the webhook, newest first
+ */
+function listByWebhook(webhook_id) {
+  return knex("webhook_deliveries")
+    .select("*")
+    .where({ webhook_id })
+    .orderBy("webhook_delivery_id", "desc");
+}
+
+/**
+ * Leases up to `limit` pending deliveries whose next attempt is due, oldest
+ * first, along with the 'url' and 'secret' of their webhook. Deliveries
+ * another process is leasing at the same time are skipped.
+ */
+async function claimDue(limit = 100) {
+  const due = knex("webhook_deliveries")
+    .select("webhook_delivery_id")
+    .where({ status: "pending" })
+    .where((builder) =>
+      builder
+        .where("next_attempt_at", "<=", knex.fn.now())
+        .orWhereNull("next_attempt_at")
+    )
+    .orderBy("next_attempt_at")
+    .limit(limit)
+    .forUpdate()
+    .skipLocked();
+  const deliveries = await knex("webhook_deliveries")
+    .whereIn("webhook_delivery_id", due)
+    .update({ next_attempt_at: fromNow(LEASE_MS) }, "*");
+  const webhooks = await knex("webhooks")
+    .select("webhook_id", "url", "secret")
+    .whereIn(
+      "webhook_id",
+      deliveries.map(({ webhook_id }) => webhook_id)
+    );
+
+  return deliveries.map((delivery) => ({
+    delivery,
+    webhook: webhooks.find(
+      ({ webhook_id }) => webhook_id === delivery.webhook_id
+    ),
+  }));
+}
+
+/**
+ * HMAC-SHA256 of the timestamp and the body with the webhook's secret. The
+ * timestamp is signed too, so that a receiver can refuse old deliveries.
+ */
+function sign(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * Posts the payload of the delivery to the webhook's url once. Resolves to
+ * the response status, or rejects on a network error or a timeout.
+ */
+function post(webhook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const url = new URL(webhook.url);
+  const client = url.protocol === "https:" ? https : http;
+  const options = {
+    method: "POST",
+    timeout: TIMEOUT_MS,
+    headers: {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(body),
+      "User-Agent": "periodic-tables-webhooks",
+      "X-Webhook-Event": delivery.event_type,
+      "X-Webhook-Delivery": String(delivery.webhook_delivery_id),
+      "X-Webhook-Timestamp": timestamp,
+      "X-Webhook-Signature": `sha256=${sign(webhook.secret, timestamp, body)}`,
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url.href, options, (response) => {
+      response.resume();
+      response.on("end", () => resolve(response.statusCode));
+    });
+    request.on("timeout", () =>
+      request.destroy(new Error(`No response within ${TIMEOUT_MS} ms.`))
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Posts the delivery once and logs the attempt on it: "delivered" on a 2xx,
+ * "failed" after the last attempt, otherwise still "pending" with the time
+ * of the next attempt, which a sweep (see webhookEvents.deliverDue) makes
+ */
+async function deliver(webhook, delivery) {
+  const { webhook_delivery_id } = delivery;
+  const attempts = delivery.attempts + 1;
+  let response_status = null;
+  let last_error = null;
+
+  try {
+    response_status = await post(webhook, delivery);
+    if (response_status >= 200 && response_status < 300) {
+      return update(webhook_delivery_id, {
+        status: "delivered",
+        attempts,
+        response_status,
+        last_error,
+        next_attempt_at: null,
+      });
+    }
+    last_error = `Responded with ${response_status}.`;
+  } catch (error) {
+    last_error = error.message;
+  }
+
+  if (attempts >= MAX_ATTEMPTS) {
+    return update(webhook_delivery_id, {
+      status: "failed",
+      attempts,
+      response_status,
+      last_error,
+      next_attempt_at: null,
+    });
+  }
+
+  return update(webhook_delivery_id, {
+    attempts,
+    response_status,
+    last_error,
+    next_attempt_at: fromNow(retryDelay(attempts)),
+  });
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  create,
+  listByWebhook,
+  claimDue,
+  sign,
+  deliver,
+};
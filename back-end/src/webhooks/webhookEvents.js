@@ -0,0 +1,131 @@
+const EventEmitter = require("events");
+const webhooksService = require("./webhooks.service");
+const webhookDeliveriesService = require("./webhookDeliveries.service");
+const { STATUSES } = require("../reservations/reservationStatus");
+const logger = require("../logging/logger");
+
+/**
+ * The event types webhooks can subscribe to: a reservation being created,
+ * a reservation moving to any later status, and a seated party moving to
+ * another table
+ */
+const EVENT_TYPES = [
+  "reservation.created",
+  ...STATUSES.filter((status) => status !== "booked").map(
+    (status) => `reservation.${status}`
+  ),
+  "table.moved",
+];
+
+const emitter = new EventEmitter();
+
+/**
+ * Events still being delivered
+ */
+const pending = new Set();
+
+/**
+ * Logs a delivery for every webhook subscribed to the event and delivers them
+ */
+async function deliverToSubscribers({ event_type, data }) {
+  const webhooks = await webhooksService.listSubscribers(event_type);
+  const payload = { event_type, created_at: new Date().toISOString(), data };
+
+  await Promise.all(
+    webhooks.map(async (webhook) => {
+      const delivery = await webhookDeliveriesService.create(
+        webhook.webhook_id,
+        event_type,
+        payload
+      );
+      return webhookDeliveriesService.deliver(webhook, delivery);
+    })
+  );
+}
+
+/**
+ * Runs `delivering` in the background until it settles, logging its failure
+ */
+function track(delivering, context) {
+  const tracked = delivering
+    .catch((error) =>
+      logger.error({ err: error, ...context }, "Webhook delivery failed")
+    )
+    .finally(() => pending.delete(tracked));
+  pending.add(tracked);
+  return tracked;
+}
+
+emitter.on("event", (event) => {
+  track(deliverToSubscribers(event), { event_type: event.event_type });
+});
+
+/**
+ * Sends the event to the webhooks subscribed to it in the background, so
+ * that the request that caused it neither waits for nor fails with them
+ * @param event_type
+ * one of EVENT_TYPES
+ * @param data
+ * what happened, e.g. { reservation, tables }
+ */
+function emit(event_type, data) {
+  if (!EVENT_TYPES.includes(event_type)) {
+    throw new Error(`Unknown webhook event type: ${event_type}`);
+  }
+  emitter.emit("event", { event_type, data });
+}
+
+/**
+ * Makes the next attempt of every pending delivery that is due: the retries
+ * of failed attempts, and the deliveries a stopped process left behind.
+ * Resolves once they have been attempted.
+ */
+function deliverDue() {
+  return track(
+    webhookDeliveriesService
+      .claimDue()
+      .then((due) =>
+        Promise.all(
+          due.map(({ webhook, delivery }) =>
+            webhookDeliveriesService.deliver(webhook, delivery)
+          )
+        )
+      ),
+    { sweep: true }
+  );
+}
+
+/**
+ * Delivers the due deliveries now and then every WEBHOOK_SWEEP_INTERVAL_MS
+ * (5 seconds by default), skipping a sweep while the last one is running.
+ * Returns a function that stops it.
+ */
+function start() {
+  const { WEBHOOK_SWEEP_INTERVAL_MS = 5000 } = process.env;
+  let sweeping = null;
+
+  function sweep() {
+    if (sweeping) return;
+    sweeping = deliverDue().finally(() => (sweeping = null));
+  }
+
+  sweep();
+  const interval = setInterval(sweep, Number(WEBHOOK_SWEEP_INTERVAL_MS));
+  return () => clearInterval(interval);
+}
+
+/**
+ * Resolves once every event emitted so far, and every sweep started so far,
+ * has made its attempts
+ */
+function idle() {
+  return Promise.all([...pending]).then(() => undefined);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  emit,
+  deliverDue,
+  start,
+  idle,
+};
@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const webhooksService = require("./webhooks.service");
+const webhookDeliveriesService = require("./webhookDeliveries.service");
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+
+/**
+
+ ***VALIDATION***
+
+*/
+
+/**
+ * Validation for webhook_id existence
+ */
+async function webhookExists(req, res, next) {
+  const { webhook_id } = req.params;
+  const webhook = await webhooksService.read(webhook_id);
+  if (webhook) {
+    res.locals.webhook = webhook;
+    return next();
+  }
+  next({
+    status: 404,
+    message: `Webhook ID ${webhook_id} does not exist.`,
+  });
+}
+
+/**
+
+ ***HANDLERS***
+
+*/
+
+/**
+ * Create handler for webhook resources. The response is the only one to
+ * include the secret, which is generated unless one is given.
+ */
+async function create(req, res) {
+  const { url, events, active = true } = req.body.data;
+  const { secret = crypto.randomBytes(32).toString("hex") } = req.body.data;
+  const data = await webhooksService.create({
+    url,
+    events: [...new Set(events)],
+    secret,
+    active,
+  });
+  res.status(201).json({ data });
+}
+
+/**
+ * Read handler for webhook resources
+ */
+function read(req, res) {
+  res.json({ data: res.locals.webhook });
+}
+
+/**
+ * Update handler for webhook resources, which may also replace the secret
+ */
+async function update(req, res) {
+  const { events, ...changes } = req.body.data;
+  const data = await webhooksService.update({
+    ...changes,
+    events: [...new Set(events)],
+    webhook_id: res.locals.webhook.webhook_id,
+  });
+  res.json({ data });
+}
+
+/**
+ * Destroy handler for webhook resources, along with their deliveries
+ */
+async function destroy(req, res) {
+  await webhooksService.delete(res.locals.webhook.webhook_id);
+  res.sendStatus(204);
+}
+
+/**
+ * List handler for webhook resources
+ */
+async function list(req, res) {
+  const data = await webhooksService.list();
+  res.json({ data });
+}
+
+/**
+ * Delivery log handler for webhook resources (every delivery with the
+ * outcome of its last attempt, newest first)
+ */
+async function listDeliveries(req, res) {
+  const data = await webhookDeliveriesService.listByWebhook(
+    res.locals.webhook.webhook_id
+  );
+  res.json({ data });
+}
+
+module.exports = {
+  create: asyncErrorBoundary(create),
+  read: [asyncErrorBoundary(webhookExists), read],
+  update: [asyncErrorBoundary(webhookExists), asyncErrorBoundary(update)],
+  delete: [asyncErrorBoundary(webhookExists), asyncErrorBoundary(destroy)],
+  list: asyncErrorBoundary(list),
+  listDeliveries: [
+    asyncErrorBoundary(webhookExists),
+    asyncErrorBoundary(listDeliveries),
+  ],
+};
@@ -0,0 +1,30 @@
+/**
+ * Defines the router for webhook resources.
+ *
+ * @type {Router}
+ */
+
+const router = require("express").Router();
+const controller = require("./webhooks.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const { requirePermission } = require("../auth/permissions");
+
+router
+  .route("/")
+  .get(requirePermission("webhooks:manage"), controller.list)
+  .post(requirePermission("webhooks:manage"), controller.create)
+  .all(methodNotAllowed);
+
+router
+  .route("/:webhook_id")
+  .get(requirePermission("webhooks:manage"), controller.read)
+  .put(requirePermission("webhooks:manage"), controller.update)
+  .delete(requirePermission("webhooks:manage"), controller.delete)
+  .all(methodNotAllowed);
+
+router
+  .route("/:webhook_id/deliveries")
+  .get(requirePermission("webhooks:manage"), controller.listDeliveries)
+  .all(methodNotAllowed);
+
+module.exports = router;
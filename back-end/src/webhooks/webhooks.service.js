@@ -0,0 +1,60 @@
+const knex = require("../db/connection");
+
+/**
+ * Columns of a webhook that are safe to send, i.e. all but its secret, which
+ * is only sent once, when the webhook is created
+ */
+const PUBLIC_COLUMNS = [
+  "webhook_id",
+  "url",
+  "events",
+  "active",
+  "created_at",
+  "updated_at",
+];
+
+function list() {
+  return knex("webhooks").select(PUBLIC_COLUMNS).orderBy("webhook_id");
+}
+
+function read(webhook_id) {
+  return knex("webhooks").select(PUBLIC_COLUMNS).where({ webhook_id }).first();
+}
+
+/**
+ * The active webhooks subscribed to the event type, with their secrets
+ */
+function listSubscribers(event_type) {
+  return knex("webhooks")
+    .select("*")
+    .where({ active: true })
+    .whereRaw("? = ANY(events)", [event_type])
+    .orderBy("webhook_id");
+}
+
+function create(webhook) {
+  return knex("webhooks")
+    .insert(webhook)
+    .returning([...PUBLIC_COLUMNS, "secret"])
+    .then((createdRecords) => createdRecords[0]);
+}
+
+function update(updatedWebhook) {
+  return knex("webhooks")
+    .where({ webhook_id: updatedWebhook.webhook_id })
+    .update({ ...updatedWebhook, updated_at: knex.fn.now() }, PUBLIC_COLUMNS)
+    .then((updatedRecords) => updatedRecords[0]);
+}
+
+function destroy(webhook_id) {
+  return knex("webhooks").where({ webhook_id }).del();
+}
+
+module.exports = {
+  list,
+  read,
+  listSubscribers,
+  create,
+  update,
+  delete: destroy,
+};
@@ -0,0 +1,231 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { issueToken } = require("../src/auth/tokens");
+const createInitialAdmin = require("../src/staffUsers/initialAdmin");
+const staffUsersSeed = require("../src/db/seeds/09-staff-users");
+
+describe("Auth - Staff login and protected routes", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function login(data) {
+    return request(app)
+      .post("/auth/login")
+      .set("Accept", "application/json")
+      .send({ data });
+  }
+
+  describe("POST /auth/login", () => {
+    test("returns 400 if password is missing", async () => {
+      const response = await login({ username: "admin" });
+
+      expect(response.body.error).toContain("password");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 401 if the password is wrong", async () => {
+      const response = await login({ username: "admin", password: "nope" });
+
+      expect(response.body.error).toContain("Invalid username or password");
+      expect(response.status).toBe(401);
+    });
+
+    test("returns 401 if the username does not exist", async () => {
+      const response = await login({
+        username: "nobody",
+        password: "periodic-tables",
+      });
+
+      expect(response.body.error).toContain("Invalid username or password");
+      expect(response.status).toBe(401);
+    });
+
+    test("returns a token and the staff user without its password hash", async () => {
+      const response = await login({
+        username: "admin",
+        password: "periodic-tables",
+      });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.token).toEqual(expect.any(String));
+      expect(response.body.data.staff_user).toEqual(
+        expect.objectContaining({ staff_user_id: 1, username: "admin" })
+      );
+      expect(response.body.data.staff_user.password_hash).toBeUndefined();
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe("protected routes", () => {
+    test("return 401 without a token", async () => {
+      const responses = await Promise.all([
+        request(app).get("/reservations"),
+        request(app).delete("/tables/1"),
+        request(app).get("/auth/me"),
+      ]);
+
+      responses.forEach((response) => {
+        expect(response.body.error).toContain("log in");
+        expect(response.status).toBe(401);
+      });
+    });
+
+    test("return 401 with a tampered token", async () => {
+      const [payload, signature] = issueToken({ staff_user_id: 1 }).split(".");
+      const tampered = Buffer.from(
+        JSON.stringify({ staff_user_id: 2, exp: 9999999999 })
+      ).toString("base64url");
+
+      const response = await request(app)
+        .get("/reservations")
+        .set("Authorization", `Bearer ${tampered}.${signature}`);
+
+      expect(payload).not.toBe(tampered);
+      expect(response.status).toBe(401);
+    });
+
+    test("return 401 for a staff user that no longer exists", async () => {
+      const response = await request(app)
+        .get("/reservations")
+        .set("Authorization", `Bearer ${issueToken({ staff_user_id: 99 })}`);
+
+      expect(response.status).toBe(401);
+    });
+
+    test("accept the token from /auth/login", async () => {
+      const { body } = await login({
+        username: "admin",
+        password: "periodic-tables",
+      });
+
+      const response = await request(app)
+        .get("/auth/me")
+        .set("Authorization", `Bearer ${body.data.token}`);
+
+      expect(response.body.data.username).toBe("admin");
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe("the initial admin", () => {
+    const env = {
+      INITIAL_ADMIN_USERNAME: "owner",
+      INITIAL_ADMIN_PASSWORD: "first-of-the-staff",
+    };
+
+    test("is created when there are no staff users, and can log in", async () => {
+      await knex.raw("TRUNCATE TABLE staff_users RESTART IDENTITY CASCADE");
+
+      const admin = await createInitialAdmin(env);
+      const response = await login({
+        username: "owner",
+        password: "first-of-the-staff",
+      });
+
+      expect(admin).toEqual(
+        expect.objectContaining({ username: "owner", role: "admin" })
+      );
+      expect(response.body.data.staff_user.role).toBe("admin");
+      expect(response.status).toBe(200);
+    });
+
+    test("is not created once a staff user exists", async () => {
+      const admin = await createInitialAdmin(env);
+      const response = await login({
+        username: "owner",
+        password: "first-of-the-staff",
+      });
+
+      expect(admin).toBeNull();
+      expect(response.status).toBe(401);
+    });
+
+    test("is not created without a username and password", async () => {
+      await knex.raw("TRUNCATE TABLE staff_users RESTART IDENTITY CASCADE");
+
+      expect(await createInitialAdmin({})).toBeNull();
+      expect(await knex("staff_users")).toHaveLength(0);
+    });
+
+    test("needs a password of at least 8 characters", async () => {
+      await knex.raw("TRUNCATE TABLE staff_users RESTART IDENTITY CASCADE");
+
+      await expect(
+        createInitialAdmin({ ...env, INITIAL_ADMIN_PASSWORD: "short" })
+      ).rejects.toThrow("INITIAL_ADMIN_PASSWORD");
+    });
+  });
+
+  describe("the seeded staff users", () => {
+    const { NODE_ENV } = process.env;
+
+    afterEach(() => {
+      process.env.NODE_ENV = NODE_ENV;
+    });
+
+    test("are left out of production, whose admin comes from the environment", async () => {
+      await knex.raw("TRUNCATE TABLE staff_users RESTART IDENTITY CASCADE");
+      process.env.NODE_ENV = "production";
+
+      await staffUsersSeed.seed(knex);
+
+      expect(await knex("staff_users")).toHaveLength(0);
+      const response = await login({
+        username: "admin",
+        password: "periodic-tables",
+      });
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe("POST /staff-users", () => {
+    test("creates a staff user who can log in", async () => {
+      const response = await request(app)
+        .post("/staff-users")
+        .set("Authorization", `Bearer ${issueToken({ staff_user_id: 1 })}`)
+        .send({
+          data: {
+            username: "hannah",
+            display_name: "Hannah",
+            password: "hostess-with-the-mostest",
+          },
+        });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.password_hash).toBeUndefined();
+      expect(response.status).toBe(201);
+
+      const loggedIn = await login({
+        username: "hannah",
+        password: "hostess-with-the-mostest",
+      });
+      expect(loggedIn.status).toBe(200);
+    });
+
+    test("returns 400 if the password is too short", async () => {
+      const response = await request(app)
+        .post("/staff-users")
+        .set("Authorization", `Bearer ${issueToken({ staff_user_id: 1 })}`)
+        .send({
+          data: { username: "hannah", display_name: "Hannah", password: "x" },
+        });
+
+      expect(response.body.error).toContain("password");
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,13 @@
+const supertest = require("supertest");
+const { issueToken } = require("../src/auth/tokens");
+
+/**
+ * Like supertest's `request(app)`, but every request is made by the first
+ * seeded staff user
+ */
+function authenticatedRequest(app) {
+  const token = issueToken({ staff_user_id: 1 });
+  return supertest.agent(app).set("Authorization", `Bearer ${token}`);
+}
+
+module.exports = authenticatedRequest;
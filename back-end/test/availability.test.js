@@ -0,0 +1,123 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Availability - Bookable time slots", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function bookParty(reservation_time, people) {
+    return knex("reservations")
+      .insert({
+        first_name: "first",
+        last_name: "last",
+        mobile_number: "800-555-1212",
+        reservation_date: "2050-01-05",
+        reservation_time,
+        people,
+      })
+      .returning("reservation_id")
+      .then((ids) => ids[0]);
+  }
+
+  function findSlot(response, time) {
+    return response.body.data.slots.find((slot) => slot.time === time);
+  }
+
+  describe("GET /availability", () => {
+    test("returns 400 if date or people is missing", async () => {
+      const response = await request(app)
+        .get("/availability")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("date");
+      expect(response.body.error).toContain("people");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns a closed day without slots", async () => {
+      const response = await request(app)
+        .get("/availability?date=2050-01-04&people=2")
+        .set("Accept", "application/json");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.closed).toBe(true);
+      expect(response.body.data.reason).toContain("closed");
+      expect(response.body.data.slots).toHaveLength(0);
+    });
+
+    test("returns every 15 minute slot of the business hours", async () => {
+      const response = await request(app)
+        .get("/availability?date=2050-01-05&people=2")
+        .set("Accept", "application/json");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.duration_minutes).toBe(90);
+      expect(response.body.data.slots[0].time).toBe("10:30");
+      expect(response.body.data.slots.pop().time).toBe("21:30");
+      expect(findSlot(response, "19:00").available).toBe(true);
+    });
+
+    test("blocks slots that would need a table already booked", async () => {
+      const first = await bookParty("19:00", 4);
+      const second = await bookParty("19:00", 5);
+
+      const response = await request(app)
+        .get("/availability?date=2050-01-05&people=4")
+        .set("Accept", "application/json");
+
+      expect(findSlot(response, "17:00").available).toBe(true);
+      expect(findSlot(response, "17:30")).toEqual(
+        expect.objectContaining({
+          available: false,
+          code: "fully_booked",
+          blocked_by: [first, second],
+        })
+      );
+      expect(findSlot(response, "19:00").reason).toContain("19:00");
+      expect(findSlot(response, "21:00").available).toBe(true);
+    });
+
+    test("keeps smaller tables bookable for smaller parties", async () => {
+      await bookParty("19:00", 4);
+      await bookParty("19:00", 5);
+
+      const response = await request(app)
+        .get("/availability?date=2050-01-05&people=1")
+        .set("Accept", "application/json");
+
+      expect(findSlot(response, "19:00").available).toBe(true);
+    });
+
+    test("blocks every slot when no tables are large enough, even combined", async () => {
+      const response = await request(app)
+        .get("/availability?date=2050-01-05&people=15")
+        .set("Accept", "application/json");
+
+      expect(
+        response.body.data.slots.every((slot) => slot.code === "no_table")
+      ).toBe(true);
+    });
+
+    test("offers combined tables to a party larger than any table", async () => {
+      const response = await request(app)
+        .get("/availability?date=2050-01-05&people=12")
+        .set("Accept", "application/json");
+
+      expect(findSlot(response, "19:00").available).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Closures - Holiday and special-closure calendar", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  const reservation = {
+    first_name: "first",
+    last_name: "last",
+    mobile_number: "800-555-1212",
+    reservation_date: "2050-01-05",
+    reservation_time: "13:00",
+    people: 2,
+  };
+
+  describe("POST /closures", () => {
+    test("returns 400 if closure_name is missing", async () => {
+      const data = { start_date: "2050-01-05", end_date: "2050-01-05" };
+
+      const response = await request(app)
+        .post("/closures")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(response.body.error).toContain("closure_name");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if start_date is after end_date", async () => {
+      const data = {
+        closure_name: "Inventory",
+        start_date: "2050-01-06",
+        end_date: "2050-01-05",
+      };
+
+      const response = await request(app)
+        .post("/closures")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(response.body.error).toContain("start_date");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if only one custom hour is given", async () => {
+      const data = {
+        closure_name: "Inventory",
+        start_date: "2050-01-05",
+        end_date: "2050-01-05",
+        open_time: "12:00",
+      };
+
+      const response = await request(app)
+        .post("/closures")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(response.body.error).toContain("close_time");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 201 and lists the closure from its start date", async () => {
+      const data = {
+        closure_name: "Inventory",
+        start_date: "2050-01-05",
+        end_date: "2050-01-07",
+      };
+
+      const response = await request(app)
+        .post("/closures")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual(
+        expect.objectContaining({ closure_name: "Inventory" })
+      );
+      expect(response.status).toBe(201);
+
+      const listResponse = await request(app)
+        .get("/closures?from=2050-01-06")
+        .set("Accept", "application/json");
+
+      expect(listResponse.body.data).toHaveLength(1);
+      expect(listResponse.body.data[0].closure_id).toBe(
+        response.body.data.closure_id
+      );
+    });
+  });
+
+  describe("PUT and DELETE /closures/:closure_id", () => {
+    test("returns 404 for non-existent closure_id", async () => {
+      const response = await request(app)
+        .delete("/closures/99")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("99");
+      expect(response.status).toBe(404);
+    });
+
+    test("updates and deletes an existing closure", async () => {
+      const data = {
+        closure_name: "Christmas",
+        start_date: "2020-12-25",
+        end_date: "2020-12-25",
+      };
+
+      const updateResponse = await request(app)
+        .put("/closures/2")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(updateResponse.body.error).toBeUndefined();
+      expect(updateResponse.body.data.end_date).toContain("2020-12-25");
+      expect(updateResponse.status).toBe(200);
+
+      const deleteResponse = await request(app)
+        .delete("/closures/2")
+        .set("Accept", "application/json");
+
+      expect(deleteResponse.status).toBe(204);
+    });
+  });
+
+  describe("POST /reservations", () => {
+    test("returns 400 naming the closure on a fully closed date", async () => {
+      await knex("closures").insert({
+        closure_name: "Private event",
+        start_date: "2050-01-04",
+        end_date: "2050-01-06",
+      });
+
+      const response = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({ data: reservation });
+
+      expect(response.body.error).toContain("Private event");
+      expect(response.status).toBe(400);
+    });
+
+    test("uses the custom hours of a closure", async () => {
+      await knex("closures").insert({
+        closure_name: "Short day",
+        start_date: "2050-01-05",
+        end_date: "2050-01-05",
+        open_time: "12:00",
+        close_time: "14:00",
+      });
+
+      const lateResponse = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({ data: { ...reservation, reservation_time: "18:00" } });
+
+      expect(lateResponse.body.error).toContain("Short day");
+      expect(lateResponse.status).toBe(400);
+
+      const response = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({ data: reservation });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.status).toBe(201);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Tables - Seat a party across combined tables", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  let reservation;
+
+  beforeEach(async () => {
+    await knex.seed.run();
+    [reservation] = await knex("reservations")
+      .insert({
+        first_name: "Beth",
+        last_name: "Smith",
+        mobile_number: "202-555-0199",
+        reservation_date: "2050-01-05",
+        reservation_time: "19:00",
+        people: 10,
+      })
+      .returning("*");
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function seat(table_id, data) {
+    return request(app)
+      .put(`/tables/${table_id}/seat`)
+      .set("Accept", "application/json")
+      .send({ data });
+  }
+
+  test("returns 400 if table_ids is not a list of table IDs", async () => {
+    const response = await seat(3, {
+      reservation_id: reservation.reservation_id,
+      table_ids: "4",
+    });
+
+    expect(response.body.error).toContain("table_ids");
+    expect(response.status).toBe(400);
+  });
+
+  test("returns 404 if a combined table does not exist", async () => {
+    const response = await seat(3, {
+      reservation_id: reservation.reservation_id,
+      table_ids: [4, 99],
+    });
+
+    expect(response.body.error).toContain("99");
+    expect(response.status).toBe(404);
+  });
+
+  test("returns 400 if the combined capacity is too small", async () => {
+    const response = await seat(3, {
+      reservation_id: reservation.reservation_id,
+      table_ids: [1, 2],
+    });
+
+    expect(response.body.error).toContain("capacity");
+    expect(response.status).toBe(400);
+  });
+
+  test("returns 400 if a combined table is occupied", async () => {
+    await knex("tables").where({ table_id: 4 }).update({ reservation_id: 1 });
+
+    const response = await seat(3, {
+      reservation_id: reservation.reservation_id,
+      table_ids: [4],
+    });
+
+    expect(response.body.error).toContain("occupied");
+    expect(response.status).toBe(400);
+  });
+
+  test("returns 200 and seats the party at every combined table", async () => {
+    const response = await seat(3, {
+      reservation_id: reservation.reservation_id,
+      table_ids: [4],
+    });
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.body.data).toEqual(
+      expect.objectContaining({
+        table_id: 3,
+        reservation_id: reservation.reservation_id,
+      })
+    );
+    expect(response.status).toBe(200);
+
+    const seatedTables = await knex("tables")
+      .where({ reservation_id: reservation.reservation_id })
+      .orderBy("table_id");
+    expect(seatedTables.map(({ table_id }) => table_id)).toEqual([3, 4]);
+
+    const seated = await knex("reservations")
+      .where({ reservation_id: reservation.reservation_id })
+      .first();
+    expect(seated.status).toBe("seated");
+  });
+
+  test("a party larger than any table can be booked and seated", async () => {
+    const created = await request(app)
+      .post("/reservations")
+      .set("Accept", "application/json")
+      .send({
+        data: {
+          first_name: "Jerry",
+          last_name: "Smith",
+          mobile_number: "202-555-0111",
+          reservation_date: "2050-01-06",
+          reservation_time: "19:00",
+          people: 12,
+        },
+      });
+
+    expect(created.body.error).toBeUndefined();
+    expect(created.status).toBe(201);
+
+    const response = await seat(3, {
+      reservation_id: created.body.data.reservation_id,
+      table_ids: [4],
+    });
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.status).toBe(200);
+  });
+
+  test("finishing one of the combined tables frees them all", async () => {
+    await seat(3, {
+      reservation_id: reservation.reservation_id,
+      table_ids: [4],
+    });
+
+    const response = await request(app)
+      .delete("/tables/4/seat")
+      .set("Accept", "application/json");
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.body.data.reservation_id).toBeNull();
+    expect(response.status).toBe(200);
+
+    const stillSeated = await knex("tables").where({
+      reservation_id: reservation.reservation_id,
+    });
+    expect(stillSeated).toHaveLength(0);
+
+    const finished = await knex("reservations")
+      .where({ reservation_id: reservation.reservation_id })
+      .first();
+    expect(finished.status).toBe("finished");
+  });
+});
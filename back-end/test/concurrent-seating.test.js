@@ -0,0 +1,111 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const reservationEventsService = require("../src/reservations/reservationEvents.service");
+
+describe("Tables - Concurrent seat and finish requests", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function seat(table_id, reservation_id) {
+    return request(app)
+      .put(`/tables/${table_id}/seat`)
+      .set("Accept", "application/json")
+      .send({ data: { reservation_id } });
+  }
+
+  function finish(table_id) {
+    return request(app)
+      .delete(`/tables/${table_id}/seat`)
+      .set("Accept", "application/json");
+  }
+
+  function statusesOf(responses) {
+    return responses.map(({ status }) => status).sort();
+  }
+
+  function countStatusEvents(reservation_id, status) {
+    return knex("reservation_events")
+      .where({ reservation_id, event_type: "status" })
+      .whereRaw("new_values->>'status' = ?", [status])
+      .then((events) => events.length);
+  }
+
+  test("only one of two parties seated at the same table at once gets it", async () => {
+    const responses = await Promise.all([seat(3, 1), seat(3, 2)]);
+
+    expect(statusesOf(responses)).toEqual([200, 400]);
+    const rejected = responses.find(({ status }) => status === 400);
+    expect(rejected.body.error).toContain("occupied");
+
+    const table = await knex("tables").where({ table_id: 3 }).first();
+    const seated = await knex("reservations").where({ status: "seated" });
+    expect(seated.map(({ reservation_id }) => reservation_id)).toEqual([
+      table.reservation_id,
+    ]);
+  });
+
+  test("a party seated at two tables at once is seated at only one", async () => {
+    const responses = await Promise.all([seat(3, 2), seat(4, 2)]);
+
+    expect(statusesOf(responses)).toEqual([200, 400]);
+
+    const tables = await knex("tables").where({ reservation_id: 2 });
+    expect(tables).toHaveLength(1);
+    expect(await countStatusEvents(2, "seated")).toBe(1);
+  });
+
+  test("a table finished twice at once finishes the party once", async () => {
+    await seat(3, 1);
+
+    const responses = await Promise.all([finish(3), finish(3)]);
+
+    expect(statusesOf(responses)).toEqual([200, 400]);
+
+    const table = await knex("tables").where({ table_id: 3 }).first();
+    expect(table.reservation_id).toBeNull();
+    expect(await countStatusEvents(1, "finished")).toBe(1);
+  });
+
+  test("a seating that fails inside its transaction leaves the reservation and the tables unchanged", async () => {
+    // the reservation's status is written before the seating is recorded in
+    // its history, where the write then fails
+    const record = jest
+      .spyOn(reservationEventsService, "record")
+      .mockImplementationOnce((trx) =>
+        trx("reservation_events").insert({ no_such_column: true })
+      );
+
+    try {
+      const response = await request(app)
+        .put("/tables/3/seat")
+        .set("Accept", "application/json")
+        .send({ data: { reservation_id: 1, table_ids: [4] } });
+
+      expect(response.status).toBe(500);
+    } finally {
+      record.mockRestore();
+    }
+
+    const reservation = await knex("reservations")
+      .where({ reservation_id: 1 })
+      .first();
+    expect(reservation.status).toBe("booked");
+    const tables = await knex("tables").where({ reservation_id: 1 });
+    expect(tables).toHaveLength(0);
+    expect(await countStatusEvents(1, "seated")).toBe(0);
+  });
+});
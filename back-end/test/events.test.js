@@ -0,0 +1,228 @@
+const http = require("http");
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { issueToken } = require("../src/auth/tokens");
+
+describe("Events - Live reservation and table changes", () => {
+  let server;
+  let streams;
+
+  beforeAll(async () => {
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    streams = [];
+    return knex.seed.run();
+  });
+
+  afterEach(() => {
+    streams.forEach((stream) => stream.close());
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  /**
+   * Opens GET /events like a browser's EventSource. Resolves to the response
+   * along with `next(event)`, which resolves to the data of the next event
+   * with that name.
+   */
+  function openStream(
+    path = `/events?access_token=${issueToken({ staff_user_id: 1 })}`
+  ) {
+    return new Promise((resolve, reject) => {
+      const req = http.get(
+        {
+          host: "127.0.0.1",
+          port: server.address().port,
+          path,
+          headers: { Accept: "text/event-stream" },
+        },
+        (response) => {
+          const received = [];
+          const waiting = [];
+          let buffer = "";
+
+          function dispatch() {
+            waiting.forEach((waiter) => {
+              const index = received.findIndex(
+                ({ event }) => event === waiter.event
+              );
+              if (index === -1) return;
+              const [{ data }] = received.splice(index, 1);
+              waiting.splice(waiting.indexOf(waiter), 1);
+              waiter.resolve(data);
+            });
+          }
+
+          response.setEncoding("utf8");
+          response.on("data", (chunk) => {
+            buffer += chunk;
+            const messages = buffer.split("\n\n");
+            buffer = messages.pop();
+            messages.forEach((message) => {
+              const fields = Object.fromEntries(
+                message
+                  .split("\n")
+                  .filter((line) => !line.startsWith(":"))
+                  .map((line) => line.split(/: (.*)/s).slice(0, 2))
+              );
+              if (fields.event) {
+                received.push({
+                  event: fields.event,
+                  data: JSON.parse(fields.data),
+                });
+              }
+            });
+            dispatch();
+          });
+
+          const stream = {
+            response,
+            next: (event) =>
+              new Promise((resolveEvent) => {
+                waiting.push({ event, resolve: resolveEvent });
+                dispatch();
+              }),
+            close: () => req.destroy(),
+          };
+          streams.push(stream);
+          resolve(stream);
+        }
+      );
+      req.on("error", reject);
+    });
+  }
+
+  test("GET /events returns 401 without a token", async () => {
+    const { response } = await openStream("/events");
+
+    expect(response.statusCode).toBe(401);
+  });
+
+  test("other requests cannot pass the token as access_token", async () => {
+    const token = issueToken({ staff_user_id: 1 });
+    const response = await request(app)
+      .get(`/reservations?access_token=${token}`)
+      .unset("Authorization");
+
+    expect(response.status).toBe(401);
+  });
+
+  test("GET /events opens an event stream", async () => {
+    const { response } = await openStream();
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers["content-type"]).toContain("text/event-stream");
+  });
+
+  test("a new reservation is sent to every open stream", async () => {
+    const streamA = await openStream();
+    const streamB = await openStream();
+
+    const created = await request(app)
+      .post("/reservations")
+      .send({
+        data: {
+          first_name: "Rick",
+          last_name: "Sanchez",
+          mobile_number: "202-555-0164",
+          reservation_date: "2050-01-05",
+          reservation_time: "19:00",
+          people: 2,
+        },
+      });
+
+    const [sentToA, sentToB] = await Promise.all([
+      streamA.next("reservation"),
+      streamB.next("reservation"),
+    ]);
+    expect(sentToA.reservation_id).toBe(created.body.data.reservation_id);
+    expect(sentToB.reservation_id).toBe(created.body.data.reservation_id);
+  });
+
+  test("seating and finishing send the reservation and the table", async () => {
+    const stream = await openStream();
+
+    await request(app)
+      .put("/tables/3/seat")
+      .send({ data: { reservation_id: 1 } });
+    const seated = await stream.next("reservation");
+    const occupied = await stream.next("table");
+
+    expect(seated).toEqual(
+      expect.objectContaining({ reservation_id: 1, status: "seated" })
+    );
+    expect(occupied).toEqual(
+      expect.objectContaining({ table_id: 3, reservation_id: 1 })
+    );
+
+    await request(app).delete("/tables/3/seat");
+    const finished = await stream.next("reservation");
+    const freed = await stream.next("table");
+
+    expect(finished.status).toBe("finished");
+    expect(freed).toEqual(
+      expect.objectContaining({ table_id: 3, reservation_id: null })
+    );
+  });
+
+  test("seated and finished reservations are sent with their end_time", async () => {
+    const stream = await openStream();
+    const { body } = await request(app).get("/reservations/1");
+
+    await request(app)
+      .put("/tables/3/seat")
+      .send({ data: { reservation_id: 1 } });
+    const seated = await stream.next("reservation");
+    await request(app).delete("/tables/3/seat");
+    const finished = await stream.next("reservation");
+
+    expect(body.data.end_time).toMatch(/^\d\d:\d\d$/);
+    expect(seated.end_time).toBe(body.data.end_time);
+    expect(finished.end_time).toBe(body.data.end_time);
+  });
+
+  test("waitlist changes are sent with the entry", async () => {
+    const stream = await openStream();
+
+    const created = await request(app)
+      .post("/waitlist")
+      .send({
+        data: {
+          party_name: "Rick Sanchez",
+          mobile_number: "202-555-0164",
+          party_size: 2,
+        },
+      });
+    const { waitlist_id } = created.body.data;
+    const joined = await stream.next("waitlist");
+
+    expect(joined).toEqual(
+      expect.objectContaining({ waitlist_id, status: "waiting" })
+    );
+
+    await request(app).delete(`/waitlist/${waitlist_id}`);
+
+    expect(await stream.next("waitlist-deleted")).toEqual({ waitlist_id });
+  });
+
+  test("a deleted table is sent by its ID", async () => {
+    const stream = await openStream();
+
+    await request(app).delete("/tables/1");
+
+    expect(await stream.next("table-deleted")).toEqual({ table_id: 1 });
+  });
+});
@@ -0,0 +1,189 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Guests - Profiles", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  const data = {
+    first_name: "Rick",
+    last_name: "Sanchez",
+    mobile_number: "(202) 555-0164",
+    reservation_date: "2050-01-05",
+    reservation_time: "19:00",
+    people: 2,
+  };
+
+  function createReservation(reservation = data) {
+    return request(app)
+      .post("/reservations")
+      .set("Accept", "application/json")
+      .send({ data: reservation });
+  }
+
+  describe("POST /reservations", () => {
+    test("links the reservation to the guest with the same normalized number", async () => {
+      const [rick] = await knex("guests").where({
+        mobile_number: "2025550164",
+      });
+
+      const response = await createReservation();
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.guest_id).toBe(rick.guest_id);
+    });
+
+    test("creates a guest for a new number", async () => {
+      const response = await createReservation({
+        ...data,
+        first_name: "Morty",
+        mobile_number: "+1 415 555 0100",
+      });
+
+      const guest = await knex("guests")
+        .where({ guest_id: response.body.data.guest_id })
+        .first();
+
+      expect(guest).toEqual(
+        expect.objectContaining({
+          first_name: "Morty",
+          mobile_number: "4155550100",
+        })
+      );
+    });
+  });
+
+  describe("GET /guests", () => {
+    test("finds a guest by any format of the mobile number", async () => {
+      const response = await request(app)
+        .get("/guests?mobile_number=1-202-555-0164")
+        .set("Accept", "application/json");
+
+      expect(response.body.data).toEqual([
+        expect.objectContaining({
+          first_name: "Rick",
+          notes: "Prefers a booth away from the kitchen.",
+        }),
+      ]);
+    });
+  });
+
+  describe("GET /guests/:guest_id", () => {
+    test("returns 404 for non-existent guest_id", async () => {
+      const response = await request(app)
+        .get("/guests/99")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("99");
+      expect(response.status).toBe(404);
+    });
+
+    test("counts visits and no-shows and the last visit", async () => {
+      const [rick] = await knex("guests").where({
+        mobile_number: "2025550164",
+      });
+      await knex("reservations").insert([
+        {
+          ...data,
+          reservation_date: "2020-11-01",
+          guest_id: rick.guest_id,
+          status: "finished",
+        },
+        {
+          ...data,
+          reservation_date: "2020-11-20",
+          guest_id: rick.guest_id,
+          status: "finished",
+        },
+        {
+          ...data,
+          reservation_date: "2020-12-01",
+          guest_id: rick.guest_id,
+          status: "no_show",
+        },
+      ]);
+
+      const response = await request(app)
+        .get(`/guests/${rick.guest_id}`)
+        .set("Accept", "application/json");
+
+      expect(response.body.data).toEqual(
+        expect.objectContaining({
+          visit_count: 2,
+          no_show_count: 1,
+          last_visit: "2020-11-20",
+        })
+      );
+    });
+  });
+
+  describe("POST /guests", () => {
+    test("returns 400 if mobile_number has no digits", async () => {
+      const response = await request(app)
+        .post("/guests")
+        .set("Accept", "application/json")
+        .send({ data: { mobile_number: "unknown" } });
+
+      expect(response.body.error).toContain("mobile_number");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 409 if a guest already has the number", async () => {
+      const response = await request(app)
+        .post("/guests")
+        .set("Accept", "application/json")
+        .send({ data: { mobile_number: "202.555.0164" } });
+
+      expect(response.status).toBe(409);
+    });
+
+    test("returns 201 with an empty history", async () => {
+      const response = await request(app)
+        .post("/guests")
+        .set("Accept", "application/json")
+        .send({ data: { mobile_number: "415-555-0100", first_name: "Morty" } });
+
+      expect(response.body.data).toEqual(
+        expect.objectContaining({
+          mobile_number: "4155550100",
+          visit_count: 0,
+          no_show_count: 0,
+          last_visit: null,
+        })
+      );
+      expect(response.status).toBe(201);
+    });
+  });
+
+  describe("PUT /guests/:guest_id", () => {
+    test("updates the notes", async () => {
+      const [rick] = await knex("guests").where({
+        mobile_number: "2025550164",
+      });
+
+      const response = await request(app)
+        .put(`/guests/${rick.guest_id}`)
+        .set("Accept", "application/json")
+        .send({
+          data: { mobile_number: rick.mobile_number, notes: "Window seat." },
+        });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.notes).toBe("Window seat.");
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Idempotency keys on create and seat endpoints", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(async () => {
+    await knex.seed.run();
+    await knex("idempotency_keys").del();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  const reservation = {
+    first_name: "Rick",
+    last_name: "Sanchez",
+    mobile_number: "202-555-0164",
+    reservation_date: "2050-01-05",
+    reservation_time: "19:00",
+    people: 2,
+  };
+
+  function post(path, data, idempotencyKey) {
+    const pending = request(app).post(path).set("Accept", "application/json");
+    if (idempotencyKey) pending.set("Idempotency-Key", idempotencyKey);
+    return pending.send({ data });
+  }
+
+  function countRows(tableName) {
+    return knex(tableName)
+      .count("* as count")
+      .first()
+      .then(({ count }) => Number(count));
+  }
+
+  test("a retried POST /reservations returns the original reservation", async () => {
+    const before = await countRows("reservations");
+
+    const first = await post("/reservations", reservation, "key-1");
+    const retry = await post("/reservations", reservation, "key-1");
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.headers["idempotent-replayed"]).toBe("true");
+    expect(retry.body.data.reservation_id).toBe(first.body.data.reservation_id);
+    expect(await countRows("reservations")).toBe(before + 1);
+  });
+
+  test("concurrent POST /tables with the same key create one table", async () => {
+    const before = await countRows("tables");
+    const table = { table_name: "Patio #1", capacity: 4 };
+
+    const responses = await Promise.all([
+      post("/tables", table, "key-2"),
+      post("/tables", table, "key-2"),
+    ]);
+
+    expect(responses.map(({ status }) => status)).toContain(201);
+    expect(await countRows("tables")).toBe(before + 1);
+  });
+
+  test("a retried seat request returns the original response", async () => {
+    const seat = () =>
+      request(app)
+        .put("/tables/3/seat")
+        .set("Accept", "application/json")
+        .set("Idempotency-Key", "key-3")
+        .send({ data: { reservation_id: 1 } });
+
+    const first = await seat();
+    const retry = await seat();
+
+    expect(first.status).toBe(200);
+    expect(retry.status).toBe(200);
+    expect(retry.body.data).toEqual(first.body.data);
+  });
+
+  test("returns 422 if the key is reused for a different request", async () => {
+    await post("/reservations", reservation, "key-4");
+
+    const response = await post(
+      "/reservations",
+      { ...reservation, people: 4 },
+      "key-4"
+    );
+
+    expect(response.body.error).toContain("key-4");
+    expect(response.status).toBe(422);
+  });
+
+  test("a failed request releases its key for a corrected retry", async () => {
+    const failed = await post(
+      "/reservations",
+      { ...reservation, people: 0 },
+      "key-5"
+    );
+    const corrected = await post("/reservations", reservation, "key-5");
+
+    expect(failed.status).toBe(400);
+    expect(corrected.status).toBe(201);
+    expect(corrected.headers["idempotent-replayed"]).toBeUndefined();
+  });
+
+  test("requests without a key are not affected", async () => {
+    const before = await countRows("reservations");
+
+    await post("/reservations", reservation);
+    await post("/reservations", reservation);
+
+    expect(await countRows("reservations")).toBe(before + 2);
+  });
+});
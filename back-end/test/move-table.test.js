@@ -0,0 +1,118 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Tables - Move a seated party", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(async () => {
+    await knex.seed.run();
+    // Frank Palicky (1 person) is seated at Bar #1
+    await knex("reservations")
+      .where({ reservation_id: 2 })
+      .update({ status: "seated" });
+    await knex("tables").where({ table_id: 1 }).update({ reservation_id: 2 });
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function move(table_id, data) {
+    return request(app)
+      .post(`/tables/${table_id}/move`)
+      .set("Accept", "application/json")
+      .send({ data });
+  }
+
+  test("returns 400 if the table is not occupied", async () => {
+    const response = await move(2, { table_id: 3 });
+
+    expect(response.body.error).toContain("not occupied");
+    expect(response.status).toBe(400);
+  });
+
+  test("returns 400 if table_id is missing", async () => {
+    const response = await move(1, {});
+
+    expect(response.body.error).toContain("table_id");
+    expect(response.status).toBe(400);
+  });
+
+  test("returns 404 if the target table does not exist", async () => {
+    const response = await move(1, { table_id: 99 });
+
+    expect(response.body.error).toContain("99");
+    expect(response.status).toBe(404);
+  });
+
+  test("returns 400 if the target table is occupied", async () => {
+    await knex("tables").where({ table_id: 3 }).update({ reservation_id: 1 });
+
+    const response = await move(1, { table_id: 3 });
+
+    expect(response.body.error).toContain("occupied");
+    expect(response.status).toBe(400);
+  });
+
+  test("returns 400 if the target table is too small", async () => {
+    await knex("reservations")
+      .where({ reservation_id: 2 })
+      .update({ people: 2 });
+
+    const response = await move(1, { table_id: 2 });
+
+    expect(response.body.error).toContain("capacity");
+    expect(response.status).toBe(400);
+  });
+
+  test("returns 200, moves the party and keeps it seated", async () => {
+    const response = await move(1, { table_id: 3 });
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.body.data).toEqual(
+      expect.objectContaining({ table_id: 3, reservation_id: 2 })
+    );
+    expect(response.status).toBe(200);
+
+    const source = await knex("tables").where({ table_id: 1 }).first();
+    expect(source.reservation_id).toBeNull();
+
+    const reservation = await knex("reservations")
+      .where({ reservation_id: 2 })
+      .first();
+    expect(reservation.status).toBe("seated");
+
+    const history = await request(app).get("/reservations/2/history");
+    expect(history.body.data).toContainEqual(
+      expect.objectContaining({
+        event_type: "move",
+        old_values: { table_name: "Bar #1" },
+        new_values: { table_name: "#1" },
+      })
+    );
+  });
+
+  test("keeps the other tables of a combined party", async () => {
+    await knex("reservations")
+      .where({ reservation_id: 2 })
+      .update({ people: 8 });
+    await knex("tables")
+      .whereIn("table_id", [2, 3])
+      .update({ reservation_id: 2 });
+
+    const response = await move(1, { table_id: 4 });
+
+    expect(response.body.error).toBeUndefined();
+    const seatedTables = await knex("tables")
+      .where({ reservation_id: 2 })
+      .orderBy("table_id");
+    expect(seatedTables.map(({ table_id }) => table_id)).toEqual([2, 3, 4]);
+  });
+});
@@ -0,0 +1,269 @@
+const fs = require("fs");
+const path = require("path");
+const supertest = require("supertest");
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const openapi = require("../src/openapi/openapi");
+
+describe("OpenAPI - Documentation and request validation", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  /**
+   * "/tables/:table_id/seat" and "/tables/{table_id}/seat" are both "/tables/{}/seat"
+   */
+  function shapeOf(route) {
+    return route
+      .replace(/:\w+|\{\w+\}|\$\{[^}]+\}/g, "{}")
+      .replace(/(.)\/$/, "$1");
+  }
+
+  function operationOf(method, route) {
+    const [, methods] =
+      Object.entries(openapi.paths).find(
+        ([specPath]) => shapeOf(specPath) === shapeOf(route)
+      ) || [];
+    return methods && methods[method];
+  }
+
+  /**
+   * Method and path of every route of the routers mounted on the app
+   */
+  function routesOf(expressApp) {
+    return expressApp._router.stack
+      .filter((layer) => layer.name === "router")
+      .flatMap((layer) => {
+        const prefix = layer.regexp.source
+          .replace("^\\", "")
+          .replace("\\/?(?=\\/|$)", "")
+          .replace(/\\\//g, "/");
+        return layer.handle.stack
+          .filter(({ route }) => route)
+          .flatMap(({ route }) =>
+            Object.keys(route.methods)
+              .filter((method) => method !== "_all")
+              .map((method) => ({ method, path: `${prefix}${route.path}` }))
+          );
+      })
+      .filter(({ path }) => !path.startsWith("/docs"));
+  }
+
+  /**
+   * Method, path, query names and 'data' property names of the requests
+   * that front-end/src/utils/api.js makes
+   */
+  function frontEndRequests() {
+    const source = fs.readFileSync(
+      path.join(__dirname, "..", "..", "front-end", "src", "utils", "api.js"),
+      "utf8"
+    );
+
+    return source
+      .split(/\nexport (?:async )?function /)
+      .slice(1)
+      .map((body) => {
+        const url = body.match(/`\$\{API_BASE_URL\}([^`?]*)(?:\?([^`]*))?`/);
+        if (!url) return null;
+
+        const [, method = "get"] = body.match(/method: "(\w+)"/) || [];
+        const [, data = ""] =
+          body.match(/JSON\.stringify\(\{ data: \{ ([\w, ]+) \} \}\)/) || [];
+        return {
+          name: body.match(/^\w+/)[0],
+          method: method.toLowerCase(),
+          path: url[1],
+          query: (url[2] || "")
+            .split("&")
+            .filter(Boolean)
+            .map((parameter) => parameter.split("=")[0]),
+          data: data.split(/,\s*/).filter(Boolean),
+        };
+      })
+      .filter(Boolean);
+  }
+
+  describe("GET /docs", () => {
+    test("serves the OpenAPI document without a token", async () => {
+      const response = await supertest(app).get("/docs/openapi.json");
+
+      expect(response.status).toBe(200);
+      expect(response.body.openapi).toBe("3.0.3");
+      expect(response.body.paths["/reservations"].post).toBeDefined();
+    });
+
+    test("serves the API documentation page", async () => {
+      const response = await supertest(app).get("/docs/");
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toContain("text/html");
+    });
+  });
+
+  describe("the OpenAPI document", () => {
+    test("describes every route of the API", () => {
+      const routes = routesOf(app);
+
+      expect(routes.length).toBeGreaterThan(40);
+      routes.forEach(({ method, path }) => {
+        expect([method, path, operationOf(method, path)]).toEqual([
+          method,
+          path,
+          expect.any(Object),
+        ]);
+      });
+    });
+
+    test("describes every request of the front end's api.js", () => {
+      const requests = frontEndRequests();
+
+      expect(requests.length).toBeGreaterThan(20);
+      requests.forEach(({ name, method, path, query, data }) => {
+        const operation = operationOf(method, path);
+        expect([name, operation]).toEqual([name, expect.any(Object)]);
+
+        const queryNames = (operation.parameters || [])
+          .filter((parameter) => parameter.in === "query")
+          .map((parameter) => parameter.name);
+        expect([name, query]).toEqual([
+          name,
+          query.filter((parameter) => queryNames.includes(parameter)),
+        ]);
+
+        if (data.length) {
+          const { properties } =
+            operation.requestBody.content["application/json"].schema.properties
+              .data;
+          expect([name, Object.keys(properties)]).toEqual([
+            name,
+            expect.arrayContaining(data),
+          ]);
+        }
+      });
+    });
+  });
+
+  describe("request validation", () => {
+    test("returns 400 with an error per invalid body field", async () => {
+      const response = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({
+          data: {
+            first_name: "Rick",
+            mobile_number: "202-555-0164",
+            reservation_date: "2050-01-05",
+            reservation_time: "7pm",
+            people: "2",
+            tables: 1,
+          },
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual(
+        expect.arrayContaining([
+          { in: "body", field: "last_name", message: "is required" },
+          {
+            in: "body",
+            field: "reservation_time",
+            message: "must be an HH:MM time",
+          },
+          { in: "body", field: "people", message: "must be an integer" },
+          { in: "body", field: "tables", message: "is not a valid field" },
+        ])
+      );
+      expect(response.body.errors).toHaveLength(4);
+      expect(response.body.error).toContain("people must be an integer");
+    });
+
+    test("names the index of an invalid field in a list", async () => {
+      const response = await request(app)
+        .put("/settings/turn-times")
+        .set("Accept", "application/json")
+        .send({ data: [{ min_people: 1, duration_minutes: 0 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        {
+          in: "body",
+          field: "data[0].duration_minutes",
+          message: "must be at least 1",
+        },
+      ]);
+    });
+
+    test("returns 400 for an invalid query string", async () => {
+      const response = await request(app)
+        .get("/availability?date=2050-02-30")
+        .set("Accept", "application/json");
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toHaveLength(2);
+      expect(response.body.errors).toEqual(
+        expect.arrayContaining([
+          {
+            in: "query",
+            field: "date",
+            message: "must be a YYYY-MM-DD date",
+          },
+          { in: "query", field: "people", message: "is required" },
+        ])
+      );
+    });
+
+    test("returns 400 for an invalid path parameter", async () => {
+      const response = await request(app)
+        .get("/reservations/first")
+        .set("Accept", "application/json");
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        { in: "path", field: "reservation_id", message: "must be an integer" },
+      ]);
+    });
+
+    test("leaves unknown routes to the routers", async () => {
+      const response = await request(app)
+        .post("/reservations/1")
+        .set("Accept", "application/json")
+        .send({ data: {} });
+
+      expect(response.status).toBe(405);
+    });
+
+    test("returns 401 before validating the request of a staff user who is not logged in", async () => {
+      const response = await supertest(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({ data: { people: "2" } });
+
+      expect(response.status).toBe(401);
+      expect(response.body.errors).toBeUndefined();
+    });
+
+    test("validates the login request, which needs no token", async () => {
+      const response = await supertest(app)
+        .post("/auth/login")
+        .set("Accept", "application/json")
+        .send({ data: { username: "admin" } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        { in: "body", field: "password", message: "is required" },
+      ]);
+    });
+  });
+});
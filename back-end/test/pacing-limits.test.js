@@ -0,0 +1,141 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Pacing limits", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  const data = {
+    first_name: "first",
+    last_name: "last",
+    mobile_number: "800-555-1212",
+    reservation_date: "2050-01-05",
+    reservation_time: "19:00",
+    people: 1,
+  };
+
+  function createReservation(reservation = data) {
+    return request(app)
+      .post("/reservations")
+      .set("Accept", "application/json")
+      .send({ data: reservation });
+  }
+
+  function updatePacingLimits(pacingLimits) {
+    return request(app)
+      .put("/settings/pacing")
+      .set("Accept", "application/json")
+      .send({ data: pacingLimits });
+  }
+
+  describe("PUT /settings/pacing", () => {
+    test("returns 400 if neither limit is given", async () => {
+      const response = await updatePacingLimits([{ service_name: "dinner" }]);
+
+      expect(response.body.error).toContain("max_parties");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if a service_name is repeated", async () => {
+      const response = await updatePacingLimits([
+        { service_name: "dinner", max_parties: 2 },
+        { service_name: "dinner", max_covers: 8 },
+      ]);
+
+      expect(response.body.error).toContain("service_name");
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("POST /reservations", () => {
+    test("returns 409 when the interval has too many arriving parties", async () => {
+      await updatePacingLimits([{ max_parties: 1 }]);
+
+      expect((await createReservation()).status).toBe(201);
+
+      const response = await createReservation({
+        ...data,
+        reservation_time: "19:10",
+      });
+
+      expect(response.body.error).toContain("19:00");
+      expect(response.status).toBe(409);
+
+      const nextIntervalResponse = await createReservation({
+        ...data,
+        reservation_time: "19:15",
+      });
+
+      expect(nextIntervalResponse.status).toBe(201);
+    });
+
+    test("uses the limit of the reservation's service period", async () => {
+      await updatePacingLimits([{ service_name: "lunch", max_covers: 2 }]);
+
+      const lunchResponse = await createReservation({
+        ...data,
+        reservation_time: "12:00",
+        people: 3,
+      });
+
+      expect(lunchResponse.body.error).toContain("covers");
+      expect(lunchResponse.status).toBe(409);
+
+      const dinnerResponse = await createReservation({ ...data, people: 3 });
+
+      expect(dinnerResponse.status).toBe(201);
+    });
+  });
+
+  describe("GET /availability", () => {
+    test("blocks slots over the pacing limit", async () => {
+      await updatePacingLimits([{ max_parties: 1 }]);
+      await createReservation();
+
+      const response = await request(app)
+        .get("/availability?date=2050-01-05&people=1")
+        .set("Accept", "application/json");
+
+      const slot = response.body.data.slots.find(
+        ({ time }) => time === "19:00"
+      );
+      expect(slot.code).toBe("pacing");
+    });
+  });
+
+  describe("GET /availability/pacing", () => {
+    test("returns the load of each interval with arrivals", async () => {
+      await createReservation();
+      await createReservation({ ...data, reservation_time: "19:05" });
+
+      const response = await request(app)
+        .get("/availability/pacing?date=2050-01-05")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual([
+        expect.objectContaining({
+          time: "19:00",
+          parties: 2,
+          covers: 2,
+          max_parties: 4,
+          max_covers: 16,
+        }),
+      ]);
+    });
+  });
+});
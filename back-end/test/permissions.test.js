@@ -0,0 +1,181 @@
+const supertest = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { issueToken } = require("../src/auth/tokens");
+
+describe("Auth - Role-based permissions", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  /**
+   * supertest for requests made by the seeded staff user with the role
+   */
+  async function requestAs(role) {
+    const { staff_user_id } = await knex("staff_users").where({ role }).first();
+    const token = issueToken({ staff_user_id });
+    return supertest.agent(app).set("Authorization", `Bearer ${token}`);
+  }
+
+  const reservation = {
+    first_name: "Rick",
+    last_name: "Sanchez",
+    mobile_number: "202-555-0164",
+    reservation_date: "2050-01-05",
+    reservation_time: "19:00",
+    people: 2,
+  };
+
+  test("GET /auth/me lists the permissions of the role", async () => {
+    const response = await (await requestAs("server")).get("/auth/me");
+
+    expect(response.body.data.role).toBe("server");
+    expect(response.body.data.permissions).toContain("tables:finish");
+    expect(response.body.data.permissions).not.toContain("tables:seat");
+  });
+
+  test("a server can read reservations but not create them", async () => {
+    const request = await requestAs("server");
+
+    const list = await request.get("/reservations");
+    const create = await request
+      .post("/reservations")
+      .send({ data: reservation });
+
+    expect(list.status).toBe(200);
+    expect(create.body.error).toContain("server");
+    expect(create.status).toBe(403);
+  });
+
+  test("a host cannot delete tables but a manager can", async () => {
+    const host = await (await requestAs("host")).delete("/tables/1");
+    const manager = await (await requestAs("manager")).delete("/tables/1");
+
+    expect(host.status).toBe(403);
+    expect(manager.status).toBe(204);
+  });
+
+  test("a host cannot create tables", async () => {
+    const response = await (await requestAs("host"))
+      .post("/tables")
+      .send({ data: { table_name: "Patio #1", capacity: 4 } });
+
+    expect(response.status).toBe(403);
+  });
+
+  test("a server can finish a table", async () => {
+    await knex("reservations")
+      .where({ reservation_id: 1 })
+      .update({ status: "seated" });
+    await knex("tables").where({ table_id: 3 }).update({ reservation_id: 1 });
+
+    const response = await (await requestAs("server")).delete("/tables/3/seat");
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.status).toBe(200);
+  });
+
+  test("a host can edit upcoming reservations but not past ones", async () => {
+    const [upcoming] = await knex("reservations")
+      .insert(reservation)
+      .returning("*");
+    const request = await requestAs("host");
+
+    const edited = await request
+      .put(`/reservations/${upcoming.reservation_id}`)
+      .set("If-Match", "*")
+      .send({ data: { ...reservation, people: 3 } });
+    const past = await request
+      .put("/reservations/1")
+      .set("If-Match", "*")
+      .send({ data: { ...reservation, people: 3 } });
+
+    expect(edited.body.error).toBeUndefined();
+    expect(edited.status).toBe(200);
+    expect(past.body.error).toContain("past");
+    expect(past.status).toBe(403);
+  });
+
+  test("a manager can edit past reservations", async () => {
+    const manager = await requestAs("manager");
+    const response = await manager
+      .put("/reservations/1")
+      .set("If-Match", "*")
+      .send({ data: { ...reservation, people: 3 } });
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.status).toBe(200);
+  });
+
+  test("a manager can edit a past reservation without moving it", async () => {
+    const manager = await requestAs("manager");
+    const response = await manager
+      .put("/reservations/1")
+      .set("If-Match", "*")
+      .send({
+        data: {
+          ...reservation,
+          reservation_date: "2020-12-31",
+          reservation_time: "20:00",
+          people: 3,
+        },
+      });
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.body.data.people).toBe(3);
+    expect(response.status).toBe(200);
+  });
+
+  test("a manager cannot move a past reservation to another past time", async () => {
+    const manager = await requestAs("manager");
+    const response = await manager
+      .put("/reservations/1")
+      .set("If-Match", "*")
+      .send({
+        data: {
+          ...reservation,
+          reservation_date: "2020-12-31",
+          reservation_time: "19:00",
+        },
+      });
+
+    expect(response.body.error).toContain("future");
+    expect(response.status).toBe(400);
+  });
+
+  test("only an admin can manage staff users", async () => {
+    const manager = await (await requestAs("manager")).get("/staff-users");
+    const admin = await (await requestAs("admin")).get("/staff-users");
+
+    expect(manager.status).toBe(403);
+    expect(admin.status).toBe(200);
+  });
+
+  test("returns 400 for an unknown role", async () => {
+    const response = await (await requestAs("admin"))
+      .post("/staff-users")
+      .send({
+        data: {
+          username: "chef",
+          display_name: "Chef",
+          password: "periodic-tables",
+          role: "chef",
+        },
+      });
+
+    expect(response.body.error).toContain("role");
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,70 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Logging - Request IDs", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  test("returns a new request ID in the X-Request-Id header", async () => {
+    const first = await request(app).get("/tables");
+    const second = await request(app).get("/tables");
+
+    expect(first.status).toBe(200);
+    expect(first.headers["x-request-id"]).toMatch(
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+    );
+    expect(second.headers["x-request-id"]).not.toBe(
+      first.headers["x-request-id"]
+    );
+  });
+
+  test("keeps the X-Request-Id sent along with the request", async () => {
+    const response = await request(app)
+      .get("/tables")
+      .set("X-Request-Id", "proxy-1234");
+
+    expect(response.headers["x-request-id"]).toBe("proxy-1234");
+  });
+
+  test("replaces an X-Request-Id that is not a plain ID", async () => {
+    const response = await request(app)
+      .get("/tables")
+      .set("X-Request-Id", "<script>");
+
+    expect(response.headers["x-request-id"]).not.toBe("<script>");
+  });
+
+  test("includes the request ID in error responses", async () => {
+    const response = await request(app)
+      .get("/reservations/99")
+      .set("Accept", "application/json");
+
+    expect(response.status).toBe(404);
+    expect(response.body.request_id).toEqual(expect.any(String));
+    expect(response.body.request_id).toBe(response.headers["x-request-id"]);
+  });
+
+  test("exposes the X-Request-Id header to the front end", async () => {
+    const response = await request(app)
+      .get("/tables")
+      .set("Origin", "http://localhost:3000");
+
+    expect(response.headers["access-control-expose-headers"]).toContain(
+      "X-Request-Id"
+    );
+  });
+});
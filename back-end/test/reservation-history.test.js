@@ -0,0 +1,185 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Reservations - History", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  const data = {
+    first_name: "first",
+    last_name: "last",
+    mobile_number: "800-555-1212",
+    reservation_date: "2050-01-05",
+    reservation_time: "19:00",
+    people: 2,
+  };
+
+  let reservation_id;
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post("/reservations")
+      .set("Accept", "application/json")
+      .send({ data });
+    reservation_id = response.body.data.reservation_id;
+  });
+
+  function listHistory(id = reservation_id) {
+    return request(app)
+      .get(`/reservations/${id}/history`)
+      .set("Accept", "application/json");
+  }
+
+  describe("GET /reservations/:reservation_id/history", () => {
+    test("returns 404 for non-existent reservation_id", async () => {
+      const response = await listHistory(99);
+
+      expect(response.body.error).toContain("99");
+      expect(response.status).toBe(404);
+    });
+
+    test("returns an empty history for a new reservation", async () => {
+      const response = await listHistory();
+
+      expect(response.body.data).toEqual([]);
+      expect(response.status).toBe(200);
+    });
+
+    test("records the changed fields of an edit", async () => {
+      await request(app)
+        .put(`/reservations/${reservation_id}`)
+        .set("Accept", "application/json")
+        .set("If-Match", "*")
+        .send({
+          data: { ...data, reservation_date: "2050-01-06", people: 3 },
+        });
+
+      const response = await listHistory();
+
+      expect(response.body.data).toEqual([
+        expect.objectContaining({
+          event_type: "edit",
+          old_values: { reservation_date: "2050-01-05", people: 2 },
+          new_values: { reservation_date: "2050-01-06", people: 3 },
+        }),
+      ]);
+    });
+
+    test("records a cancellation", async () => {
+      await request(app)
+        .put(`/reservations/${reservation_id}/status`)
+        .set("Accept", "application/json")
+        .set("If-Match", "*")
+        .send({ data: { status: "cancelled" } });
+
+      const response = await listHistory();
+
+      expect(response.body.data).toEqual([
+        expect.objectContaining({
+          event_type: "status",
+          old_values: { status: "booked" },
+          new_values: { status: "cancelled" },
+          created_at: expect.any(String),
+        }),
+      ]);
+    });
+
+    test("records seating and finishing with the table", async () => {
+      const table = await knex("tables").where("table_name", "#1").first();
+
+      await request(app)
+        .put(`/tables/${table.table_id}/seat`)
+        .set("Accept", "application/json")
+        .send({ data: { reservation_id } });
+      await request(app)
+        .delete(`/tables/${table.table_id}/seat`)
+        .set("Accept", "application/json");
+
+      const response = await listHistory();
+
+      expect(response.body.data).toEqual([
+        expect.objectContaining({
+          new_values: { status: "seated" },
+          table_id: table.table_id,
+          table_name: "#1",
+          staff_user_id: 1,
+          username: "admin",
+        }),
+        expect.objectContaining({
+          old_values: { status: "seated" },
+          new_values: { status: "finished" },
+          table_name: "#1",
+        }),
+      ]);
+    });
+
+    test("does not record an edit that changes nothing", async () => {
+      await request(app)
+        .put(`/reservations/${reservation_id}`)
+        .set("Accept", "application/json")
+        .set("If-Match", "*")
+        .send({ data });
+
+      const response = await listHistory();
+
+      expect(response.body.data).toEqual([]);
+    });
+
+    test("keeps the history of a deleted reservation under its ID, ending in its deletion", async () => {
+      await request(app)
+        .put(`/reservations/${reservation_id}/status`)
+        .set("Accept", "application/json")
+        .set("If-Match", "*")
+        .send({ data: { status: "cancelled" } });
+      await request(app)
+        .delete(`/reservations/${reservation_id}`)
+        .set("Accept", "application/json");
+
+      const events = await knex("reservation_events")
+        .where({ reservation_id })
+        .orderBy("reservation_event_id");
+
+      expect(events).toEqual([
+        expect.objectContaining({ event_type: "status", staff_user_id: 1 }),
+        expect.objectContaining({
+          event_type: "delete",
+          old_values: expect.objectContaining({
+            reservation_id,
+            reservation_date: "2050-01-05",
+            status: "cancelled",
+          }),
+          staff_user_id: 1,
+        }),
+      ]);
+    });
+
+    test("keeps the changes of a removed staff user", async () => {
+      await request(app)
+        .put(`/reservations/${reservation_id}/status`)
+        .set("Accept", "application/json")
+        .set("If-Match", "*")
+        .send({ data: { status: "cancelled" } });
+      await knex("staff_users").where({ staff_user_id: 1 }).del();
+
+      const events = await knex("reservation_events").where({ reservation_id });
+
+      expect(events).toEqual([
+        expect.objectContaining({ event_type: "status", staff_user_id: null }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Reservations - Status transitions", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  let reservation;
+  let table;
+
+  beforeEach(async () => {
+    reservation = await knex("reservations")
+      .orderBy(["reservation_date", "reservation_time"])
+      .first();
+    table = await knex("tables").where("table_name", "#1").first();
+  });
+
+  function updateStatus(status) {
+    return request(app)
+      .put(`/reservations/${reservation.reservation_id}/status`)
+      .set("Accept", "application/json")
+      .set("If-Match", "*")
+      .send({ data: { status } });
+  }
+
+  function seat() {
+    return request(app)
+      .put(`/tables/${table.table_id}/seat`)
+      .set("Accept", "application/json")
+      .send({ data: { reservation_id: reservation.reservation_id } });
+  }
+
+  describe("PUT /reservations/:reservation_id/status", () => {
+    test("follows booked, confirmed and arrived", async () => {
+      for (const status of ["confirmed", "arrived"]) {
+        const response = await updateStatus(status);
+
+        expect(response.body.error).toBeUndefined();
+        expect(response.body.data).toHaveProperty("status", status);
+      }
+    });
+
+    test.each(["seated", "finished"])(
+      "returns 400 for '%s', which only the table routes set",
+      async (status) => {
+        const response = await updateStatus(status);
+
+        expect(response.body.error).toContain("/tables/:table_id/seat");
+        expect(response.status).toBe(400);
+
+        const unchanged = await knex("reservations")
+          .where({ reservation_id: reservation.reservation_id })
+          .first();
+        expect(unchanged.status).toBe(reservation.status);
+      }
+    );
+
+    test("returns 409 listing the allowed statuses for confirmed to booked", async () => {
+      await updateStatus("confirmed");
+
+      const response = await updateStatus("booked");
+
+      expect(response.body.error).toContain(
+        "arrived, seated, cancelled, no_show"
+      );
+      expect(response.status).toBe(409);
+    });
+
+    test("returns 409 for any change of a cancelled reservation", async () => {
+      await updateStatus("cancelled");
+
+      const response = await updateStatus("confirmed");
+
+      expect(response.body.error).toContain("none");
+      expect(response.status).toBe(409);
+    });
+
+    test("returns 409 for seated to no_show", async () => {
+      await seat();
+
+      const response = await updateStatus("no_show");
+
+      expect(response.body.error).toContain("finished");
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe("PUT /reservations/:reservation_id", () => {
+    test("returns 409 if the edit changes the status illegally", async () => {
+      await updateStatus("no_show");
+
+      const response = await request(app)
+        .put(`/reservations/${reservation.reservation_id}`)
+        .set("Accept", "application/json")
+        .set("If-Match", "*")
+        .send({
+          data: {
+            first_name: "first",
+            last_name: "last",
+            mobile_number: "800-555-1212",
+            reservation_date: "2050-01-05",
+            reservation_time: "19:00",
+            people: 2,
+            status: "booked",
+          },
+        });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe("PUT /tables/:table_id/seat", () => {
+    test("seats an arrived reservation", async () => {
+      await updateStatus("arrived");
+
+      const response = await seat();
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.status).toBe(200);
+    });
+
+    test("returns 409 for a cancelled reservation", async () => {
+      await updateStatus("cancelled");
+
+      const response = await seat();
+
+      expect(response.body.error).toContain("cancelled");
+      expect(response.status).toBe(409);
+
+      const tableResponse = await request(app)
+        .get(`/tables/${table.table_id}`)
+        .set("Accept", "application/json");
+
+      expect(tableResponse.body.data.reservation_id).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Reservations - Optimistic concurrency on updates", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  let reservation;
+
+  beforeEach(async () => {
+    await knex.seed.run();
+    [reservation] = await knex("reservations")
+      .insert({
+        first_name: "Rick",
+        last_name: "Sanchez",
+        mobile_number: "202-555-0164",
+        reservation_date: "2050-01-05",
+        reservation_time: "19:00",
+        people: 2,
+      })
+      .returning("*");
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  const changes = {
+    first_name: "Morty",
+    last_name: "Smith",
+    mobile_number: "202-555-0164",
+    reservation_date: "2050-01-05",
+    reservation_time: "19:00",
+    people: 2,
+  };
+
+  function read() {
+    return request(app)
+      .get(`/reservations/${reservation.reservation_id}`)
+      .set("Accept", "application/json");
+  }
+
+  function update(data, etag) {
+    const put = request(app)
+      .put(`/reservations/${reservation.reservation_id}`)
+      .set("Accept", "application/json");
+    if (etag) put.set("If-Match", etag);
+    return put.send({ data });
+  }
+
+  test("GET returns the version as an ETag", async () => {
+    const response = await read();
+
+    expect(response.headers.etag).toBe(`"${response.body.data.updated_at}"`);
+  });
+
+  test("PUT with the current ETag updates and returns the new ETag", async () => {
+    const { headers } = await read();
+
+    const response = await update(changes, headers.etag);
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.body.data.first_name).toBe("Morty");
+    expect(response.status).toBe(200);
+    expect(response.headers.etag).toBe(`"${response.body.data.updated_at}"`);
+    expect(response.headers.etag).not.toBe(headers.etag);
+  });
+
+  test("PUT with a stale ETag returns 409 with the current reservation", async () => {
+    const { headers } = await read();
+    await update({ ...changes, first_name: "Summer" }, headers.etag);
+
+    const response = await update(changes, headers.etag);
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toContain("changed");
+    expect(response.body.data.first_name).toBe("Summer");
+
+    const stored = await knex("reservations")
+      .where({ reservation_id: reservation.reservation_id })
+      .first();
+    expect(stored.first_name).toBe("Summer");
+  });
+
+  test("PUT with a stale updated_at in the data returns 409", async () => {
+    const { body } = await read();
+    await update({
+      ...changes,
+      first_name: "Summer",
+      updated_at: body.data.updated_at,
+    });
+
+    const response = await update({
+      ...changes,
+      updated_at: body.data.updated_at,
+    });
+
+    expect(response.status).toBe(409);
+  });
+
+  test("PUT with the ETag of the conflict overwrites the changes", async () => {
+    const { headers } = await read();
+    await update({ ...changes, first_name: "Summer" }, headers.etag);
+    const conflict = await update(changes, headers.etag);
+
+    const response = await update(
+      changes,
+      `"${conflict.body.data.updated_at}"`
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.first_name).toBe("Morty");
+  });
+
+  test("status changes also bump the version", async () => {
+    const { headers } = await read();
+    await request(app)
+      .put(`/reservations/${reservation.reservation_id}/status`)
+      .set("Accept", "application/json")
+      .set("If-Match", headers.etag)
+      .send({ data: { status: "confirmed" } });
+
+    const response = await update(changes, headers.etag);
+
+    expect(response.status).toBe(409);
+  });
+
+  test("PUT without a version returns 428 and changes nothing", async () => {
+    const response = await update(changes);
+
+    expect(response.body.error).toContain("If-Match");
+    expect(response.status).toBe(428);
+
+    const stored = await knex("reservations")
+      .where({ reservation_id: reservation.reservation_id })
+      .first();
+    expect(stored.first_name).toBe(reservation.first_name);
+  });
+
+  test("status changes without a version overwrite any version", async () => {
+    await update({ ...changes, first_name: "Summer" }, "*");
+
+    const response = await request(app)
+      .put(`/reservations/${reservation.reservation_id}/status`)
+      .set("Accept", "application/json")
+      .send({ data: { status: "confirmed" } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe("confirmed");
+  });
+
+  test("PUT with If-Match: * overwrites any version", async () => {
+    await update({ ...changes, first_name: "Summer" }, "*");
+
+    const response = await update(changes, "*");
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.first_name).toBe("Morty");
+  });
+
+  test("returns 400 if updated_at is not a date", async () => {
+    const response = await update({ ...changes, updated_at: "yesterday" });
+
+    expect(response.body.error).toContain("updated_at");
+    expect(response.status).toBe(400);
+  });
+});
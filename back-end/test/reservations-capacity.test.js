@@ -0,0 +1,147 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Reservations - Capacity validation", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  const data = {
+    first_name: "first",
+    last_name: "last",
+    mobile_number: "800-555-1212",
+    reservation_date: "2050-01-05",
+    reservation_time: "19:00",
+    people: 2,
+  };
+
+  function createReservation(reservation = data) {
+    return request(app)
+      .post("/reservations")
+      .set("Accept", "application/json")
+      .send({ data: reservation });
+  }
+
+  describe("PUT /settings/capacity", () => {
+    test("returns 400 if overbooking_allowance is negative", async () => {
+      const response = await request(app)
+        .put("/settings/capacity")
+        .set("Accept", "application/json")
+        .send({ data: { overbooking_allowance: -1 } });
+
+      expect(response.body.error).toContain("overbooking_allowance");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 200 and the updated settings", async () => {
+      const response = await request(app)
+        .put("/settings/capacity")
+        .set("Accept", "application/json")
+        .send({ data: { overbooking_allowance: 2 } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual({ overbooking_allowance: 2 });
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe("POST /reservations", () => {
+    test("returns 409 once every table that fits is booked", async () => {
+      expect((await createReservation()).status).toBe(201);
+      expect((await createReservation()).status).toBe(201);
+
+      const response = await createReservation();
+
+      expect(response.body.error).toContain("19:00");
+      expect(response.status).toBe(409);
+    });
+
+    test("returns 409 if no tables can seat the party, even combined", async () => {
+      const response = await createReservation({ ...data, people: 15 });
+
+      expect(response.body.error).toContain("15");
+      expect(response.status).toBe(409);
+    });
+
+    test("returns 201 for a party that fits at combined tables", async () => {
+      const response = await createReservation({ ...data, people: 12 });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.status).toBe(201);
+    });
+
+    test("ignores cancelled reservations", async () => {
+      const first = await createReservation();
+      await createReservation();
+      await request(app)
+        .put(`/reservations/${first.body.data.reservation_id}/status`)
+        .set("Accept", "application/json")
+        .set("If-Match", "*")
+        .send({ data: { status: "cancelled" } });
+
+      const response = await createReservation();
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.status).toBe(201);
+    });
+
+    test("allows the configured overbooking allowance", async () => {
+      await request(app)
+        .put("/settings/capacity")
+        .set("Accept", "application/json")
+        .send({ data: { overbooking_allowance: 1 } });
+
+      expect((await createReservation()).status).toBe(201);
+      expect((await createReservation()).status).toBe(201);
+      expect((await createReservation()).status).toBe(201);
+      expect((await createReservation()).status).toBe(409);
+    });
+  });
+
+  describe("PUT /reservations/:reservation_id", () => {
+    test("does not count the reservation being updated", async () => {
+      await createReservation();
+      const second = await createReservation();
+      const { reservation_id } = second.body.data;
+
+      const response = await request(app)
+        .put(`/reservations/${reservation_id}`)
+        .set("Accept", "application/json")
+        .set("If-Match", "*")
+        .send({ data: { ...data, first_name: "changed" } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.status).toBe(200);
+    });
+
+    test("returns 409 if moved into an overbooked slot", async () => {
+      await createReservation();
+      await createReservation();
+      const early = await createReservation({
+        ...data,
+        reservation_time: "12:00",
+      });
+
+      const response = await request(app)
+        .put(`/reservations/${early.body.data.reservation_id}`)
+        .set("Accept", "application/json")
+        .set("If-Match", "*")
+        .send({ data });
+
+      expect(response.status).toBe(409);
+    });
+  });
+});
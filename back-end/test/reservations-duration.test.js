@@ -0,0 +1,118 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Reservations - Duration and end time", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  const data = {
+    first_name: "first",
+    last_name: "last",
+    mobile_number: "800-555-1212",
+    reservation_date: "2050-01-05",
+    reservation_time: "19:00",
+    people: 2,
+  };
+
+  function createReservation(reservation = data) {
+    return request(app)
+      .post("/reservations")
+      .set("Accept", "application/json")
+      .send({ data: reservation });
+  }
+
+  describe("POST /reservations", () => {
+    test("defaults the end_time to the turn time of the party size", async () => {
+      const response = await createReservation();
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.duration_minutes).toBeNull();
+      expect(response.body.data.end_time).toBe("20:30");
+      expect(response.status).toBe(201);
+    });
+
+    test("uses duration_minutes when given", async () => {
+      const response = await createReservation({
+        ...data,
+        duration_minutes: 120,
+      });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.duration_minutes).toBe(120);
+      expect(response.body.data.end_time).toBe("21:00");
+      expect(response.status).toBe(201);
+    });
+
+    test("returns 400 if duration_minutes is not a positive number", async () => {
+      const response = await createReservation({
+        ...data,
+        duration_minutes: -30,
+      });
+
+      expect(response.body.error).toContain("duration_minutes");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if the pre-assigned table is too small", async () => {
+      const response = await createReservation({ ...data, table_id: 1 });
+
+      expect(response.body.error).toContain("capacity");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 409 if the pre-assigned table is booked in the same window", async () => {
+      const first = await createReservation({ ...data, table_id: 3 });
+      expect(first.status).toBe(201);
+
+      const overlapping = await createReservation({
+        ...data,
+        reservation_time: "20:00",
+        table_id: 3,
+      });
+
+      expect(overlapping.body.error).toContain("19:00 to 20:30");
+      expect(overlapping.status).toBe(409);
+
+      const afterwards = await createReservation({
+        ...data,
+        reservation_time: "20:30",
+        table_id: 3,
+      });
+
+      expect(afterwards.body.error).toBeUndefined();
+      expect(afterwards.status).toBe(201);
+    });
+  });
+
+  describe("PUT /reservations/:reservation_id", () => {
+    test("keeps its own pre-assigned table when updated", async () => {
+      const created = await createReservation({ ...data, table_id: 3 });
+      const { reservation_id } = created.body.data;
+
+      const response = await request(app)
+        .put(`/reservations/${reservation_id}`)
+        .set("Accept", "application/json")
+        .set("If-Match", "*")
+        .send({ data: { ...data, reservation_time: "19:30" } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.table_id).toBe(3);
+      expect(response.body.data.end_time).toBe("21:00");
+      expect(response.status).toBe(200);
+    });
+  });
+});
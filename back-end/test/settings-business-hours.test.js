@@ -0,0 +1,158 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { RESTAURANT_TIME_ZONE } = require("../src/utils/restaurantTime");
+
+describe("Settings - Business hours", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  describe("GET /settings/hours", () => {
+    test("returns the seeded service periods", async () => {
+      const response = await request(app)
+        .get("/settings/hours")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(12);
+      expect(
+        response.body.data.some((period) => period.day_of_week === 2)
+      ).toBe(false);
+    });
+  });
+
+  describe("PUT /settings/hours", () => {
+    test("returns 400 if data is not an array", async () => {
+      const response = await request(app)
+        .put("/settings/hours")
+        .set("Accept", "application/json")
+        .send({ data: {} });
+
+      expect(response.body.error).toContain("data");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if day_of_week is out of range", async () => {
+      const data = [
+        {
+          day_of_week: 7,
+          service_name: "dinner",
+          open_time: "17:00",
+          close_time: "21:00",
+        },
+      ];
+
+      const response = await request(app)
+        .put("/settings/hours")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(response.body.error).toContain("day_of_week");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if open_time is not before close_time", async () => {
+      const data = [
+        {
+          day_of_week: 1,
+          service_name: "dinner",
+          open_time: "21:00",
+          close_time: "17:00",
+        },
+      ];
+
+      const response = await request(app)
+        .put("/settings/hours")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(response.body.error).toContain("open_time");
+      expect(response.status).toBe(400);
+    });
+
+    test("replaces the schedule used to validate reservations", async () => {
+      const data = [
+        {
+          day_of_week: 2,
+          service_name: "dinner",
+          open_time: "17:00",
+          close_time: "21:00",
+        },
+      ];
+
+      const hoursResponse = await request(app)
+        .put("/settings/hours")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(hoursResponse.body.error).toBeUndefined();
+      expect(hoursResponse.body.data).toHaveLength(1);
+      expect(hoursResponse.status).toBe(200);
+
+      const reservation = {
+        first_name: "first",
+        last_name: "last",
+        mobile_number: "800-555-1212",
+        reservation_date: "2050-01-03",
+        reservation_time: "18:00",
+        people: 2,
+      };
+
+      const mondayResponse = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({ data: reservation });
+
+      expect(mondayResponse.body.error).toContain("closed on Mondays");
+      expect(mondayResponse.status).toBe(400);
+
+      reservation.reservation_date = "2050-01-04";
+      reservation.reservation_time = "12:00";
+
+      const lunchResponse = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({ data: reservation });
+
+      expect(lunchResponse.body.error).toContain("17:00-21:00");
+      expect(lunchResponse.status).toBe(400);
+
+      reservation.reservation_time = "18:00";
+
+      const dinnerResponse = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({ data: reservation });
+
+      expect(dinnerResponse.body.error).toBeUndefined();
+      expect(dinnerResponse.status).toBe(201);
+    });
+  });
+
+  describe("GET /settings/time-zone", () => {
+    test("returns the restaurant's time zone", async () => {
+      const response = await request(app)
+        .get("/settings/time-zone")
+        .set("Accept", "application/json");
+
+      expect(response.body.data).toEqual({
+        time_zone: RESTAURANT_TIME_ZONE,
+      });
+      expect(response.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Tables - Suggestions for a reservation", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(async () => {
+    await knex.seed.run();
+    await knex("tables").insert({
+      table_name: "Patio #1",
+      capacity: 8,
+      section: "patio",
+    });
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  const booking = {
+    first_name: "Rick",
+    last_name: "Sanchez",
+    mobile_number: "202-555-0164",
+    reservation_date: "2050-01-05",
+    reservation_time: "19:00",
+    people: 2,
+  };
+
+  async function insertReservation(reservation) {
+    const [created] = await knex("reservations")
+      .insert({ ...booking, ...reservation })
+      .returning("*");
+    return created;
+  }
+
+  async function suggestedTableNames(reservation_id) {
+    const response = await request(app)
+      .get(`/reservations/${reservation_id}/table-suggestions`)
+      .set("Accept", "application/json");
+    expect(response.body.error).toBeUndefined();
+    return response.body.data.map(({ table_name }) => table_name);
+  }
+
+  test("returns 404 for non-existent reservation_id", async () => {
+    const response = await request(app)
+      .get("/reservations/99/table-suggestions")
+      .set("Accept", "application/json");
+
+    expect(response.body.error).toContain("99");
+    expect(response.status).toBe(404);
+  });
+
+  test("lists the free tables that fit, smallest first", async () => {
+    await knex("tables").where({ table_name: "#1" }).update({
+      reservation_id: 1,
+    });
+    const { reservation_id } = await insertReservation({});
+
+    expect(await suggestedTableNames(reservation_id)).toEqual([
+      "#2",
+      "Patio #1",
+    ]);
+  });
+
+  test("prefers tables in the preferred section", async () => {
+    const { reservation_id } = await insertReservation({
+      section_preference: "patio",
+    });
+
+    expect(await suggestedTableNames(reservation_id)).toEqual([
+      "Patio #1",
+      "#1",
+      "#2",
+    ]);
+  });
+
+  test("keeps a large table free for an upcoming large party", async () => {
+    await insertReservation({ reservation_time: "19:30", people: 8 });
+    const { reservation_id } = await insertReservation({
+      section_preference: "patio",
+    });
+
+    const response = await request(app)
+      .get(`/reservations/${reservation_id}/table-suggestions`)
+      .set("Accept", "application/json");
+    const patio = response.body.data.find(
+      ({ table_name }) => table_name === "Patio #1"
+    );
+
+    expect(response.body.data[0].table_name).toBe("#1");
+    expect(patio.reasons).toContain(
+      "Would leave 1 upcoming party(ies) without a table."
+    );
+  });
+
+  test("keeps a table pre-assigned to an upcoming party free", async () => {
+    const [table] = await knex("tables").where({ table_name: "#1" });
+    await insertReservation({
+      reservation_time: "20:00",
+      people: 4,
+      table_id: table.table_id,
+    });
+    const { reservation_id } = await insertReservation({});
+
+    expect(await suggestedTableNames(reservation_id)).toEqual([
+      "#2",
+      "Patio #1",
+      "#1",
+    ]);
+  });
+
+  test("puts the reservation's own pre-assigned table first", async () => {
+    const [table] = await knex("tables").where({ table_name: "Patio #1" });
+    const { reservation_id } = await insertReservation({
+      table_id: table.table_id,
+    });
+
+    expect((await suggestedTableNames(reservation_id))[0]).toBe("Patio #1");
+  });
+});
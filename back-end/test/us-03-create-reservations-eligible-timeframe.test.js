@@ -1,4 +1,4 @@
-const request = require("supertest");
+const request = require("./authenticatedRequest");
 
 const app = require("../src/app");
 const knex = require("../src/db/connection");
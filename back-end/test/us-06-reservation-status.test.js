@@ -1,4 +1,4 @@
-const request = require("supertest");
+const request = require("./authenticatedRequest");
 
 const app = require("../src/app");
 const knex = require("../src/db/connection");
@@ -124,7 +124,10 @@ describe("US-06 - Reservation status", () => {
       expect(response.status).toBe(400);
     });
 
-    test.each(["booked", "seated", "finished"])(
+    // "seated" and "finished" were set here too, but now only through
+    // /tables/:table_id/seat, which occupies and frees the table along with
+    // them (see the tests of PUT and DELETE /tables/:table_id/seat below)
+    test.each(["booked", "confirmed", "arrived"])(
       "returns 200 for status '%s'",
       async (status) => {
         expect(reservationOne).not.toBeUndefined();
@@ -138,6 +141,26 @@ describe("US-06 - Reservation status", () => {
         expect(response.status).toBe(200);
       }
     );
+
+    test.each(["seated", "finished"])(
+      "returns 400 for status '%s', which only /tables/:table_id/seat sets",
+      async (status) => {
+        expect(reservationOne).not.toBeUndefined();
+
+        const response = await request(app)
+          .put(`/reservations/${reservationOne.reservation_id}/status`)
+          .set("Accept", "application/json")
+          .send({ data: { status } });
+
+        expect(response.body.error).toContain("/tables/:table_id/seat");
+        expect(response.status).toBe(400);
+
+        const stored = await knex("reservations")
+          .where({ reservation_id: reservationOne.reservation_id })
+          .first();
+        expect(stored.status).toBe(reservationOne.status);
+      }
+    );
   });
 
   describe("PUT /tables/:table_id/seat", () => {
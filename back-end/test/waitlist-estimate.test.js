@@ -0,0 +1,149 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { zonedDateTime } = require("../src/utils/restaurantTime");
+
+describe("Waitlist - Wait estimates", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function minutesAgo(minutes) {
+    return new Date(Date.now() - minutes * 60000);
+  }
+
+  /**
+   * Seats a seeded reservation at a table `minutes` ago
+   */
+  async function seatedAgo(reservation_id, table_id, minutes, people = 2) {
+    await knex("reservations")
+      .where({ reservation_id })
+      .update({ status: "seated", people });
+    await knex("tables").where({ table_id }).update({ reservation_id });
+    await knex("reservation_events").insert({
+      reservation_id,
+      event_type: "status",
+      old_values: { status: "booked" },
+      new_values: { status: "seated" },
+      table_id,
+      created_at: minutesAgo(minutes),
+    });
+  }
+
+  function estimate(people) {
+    return request(app)
+      .get(`/waitlist/estimate?people=${people}`)
+      .set("Accept", "application/json");
+  }
+
+  test("returns 400 if people is not a positive whole number", async () => {
+    const response = await estimate(0);
+
+    expect(response.body.error).toContain("people");
+    expect(response.status).toBe(400);
+  });
+
+  test("has no wait if no tables can seat the party, even combined", async () => {
+    const response = await estimate(15);
+
+    expect(response.body.data).toEqual(
+      expect.objectContaining({ wait_minutes: null })
+    );
+    expect(response.body.data.reason).toContain("15");
+  });
+
+  test("counts on combined tables for a party larger than every table", async () => {
+    await knex("waitlist").del();
+
+    const response = await estimate(7);
+
+    expect(response.body.data.wait_minutes).toBe(0);
+  });
+
+  test("is 0 when a table that fits is free", async () => {
+    const response = await estimate(1);
+
+    expect(response.body.data).toEqual(
+      expect.objectContaining({ wait_minutes: 0, parties_ahead: 2 })
+    );
+  });
+
+  test("waits for the parties ahead on the waitlist", async () => {
+    const response = await estimate(2);
+
+    // both six-tops go to the waiting parties, the first leaves after its 90 minute turn
+    expect(response.body.data.wait_minutes).toBe(90);
+  });
+
+  test("counts how long the tables have been seated", async () => {
+    await knex("waitlist").del();
+    await seatedAgo(1, 3, 30);
+    await seatedAgo(2, 4, 60);
+
+    const response = await estimate(4);
+
+    expect(response.body.data.wait_minutes).toBe(30);
+  });
+
+  test("uses the average of recent visits of the party size", async () => {
+    await knex("waitlist").del();
+    for (const reservation_id of [1, 2, 3]) {
+      await knex("reservations")
+        .where({ reservation_id })
+        .update({ status: "finished", people: 2 });
+      await knex("reservation_events").insert([
+        {
+          reservation_id,
+          event_type: "status",
+          old_values: { status: "booked" },
+          new_values: { status: "seated" },
+          created_at: minutesAgo(24 * 60 + 50),
+        },
+        {
+          reservation_id,
+          event_type: "status",
+          old_values: { status: "seated" },
+          new_values: { status: "finished" },
+          created_at: minutesAgo(24 * 60),
+        },
+      ]);
+    }
+    await seatedAgo(4, 3, 10);
+    await seatedAgo(5, 4, 10);
+
+    const response = await estimate(2);
+
+    expect(response.body.data.wait_minutes).toBe(40);
+  });
+
+  test("keeps tables free for upcoming reservations", async () => {
+    await knex("waitlist").del();
+    await seatedAgo(1, 3, 60, 5);
+    const { date, time } = zonedDateTime(Date.now() + 30 * 60000);
+    await knex("reservations").insert({
+      first_name: "Tiger",
+      last_name: "Lion",
+      mobile_number: "808-555-0140",
+      reservation_date: date,
+      reservation_time: time,
+      people: 5,
+    });
+
+    const response = await estimate(4);
+
+    // the free six-top is booked in 30 minutes, the seated party leaves in 60
+    expect(response.body.data.wait_minutes).toBe(60);
+  });
+});
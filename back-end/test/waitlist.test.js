@@ -0,0 +1,216 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Waitlist - Walk-ins", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  const data = {
+    party_name: "Morty Smith",
+    mobile_number: "(415) 555-0100",
+    party_size: 3,
+    quoted_wait_minutes: 20,
+  };
+
+  function seat(waitlist_id, table_id) {
+    return request(app)
+      .put(`/waitlist/${waitlist_id}/seat`)
+      .set("Accept", "application/json")
+      .send({ data: { table_id } });
+  }
+
+  describe("POST /waitlist", () => {
+    test("returns 400 if party_size is not a positive whole number", async () => {
+      const response = await request(app)
+        .post("/waitlist")
+        .set("Accept", "application/json")
+        .send({ data: { ...data, party_size: "3" } });
+
+      expect(response.body.error).toContain("party_size");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if status is given", async () => {
+      const response = await request(app)
+        .post("/waitlist")
+        .set("Accept", "application/json")
+        .send({ data: { ...data, status: "seated" } });
+
+      expect(response.body.error).toContain("status");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 201 with the time the party joined", async () => {
+      const response = await request(app)
+        .post("/waitlist")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual(
+        expect.objectContaining({
+          mobile_number: "4155550100",
+          status: "waiting",
+          quoted_wait_minutes: 20,
+        })
+      );
+      expect(response.body.data.joined_at).toBeTruthy();
+      expect(response.status).toBe(201);
+    });
+  });
+
+  describe("GET /waitlist", () => {
+    test("lists the parties still waiting, first come first", async () => {
+      await knex("waitlist").where({ waitlist_id: 2 }).update({
+        status: "seated",
+      });
+      await request(app)
+        .post("/waitlist")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      const response = await request(app)
+        .get("/waitlist")
+        .set("Accept", "application/json");
+
+      expect(response.body.data.map(({ party_name }) => party_name)).toEqual([
+        "Summer Smith",
+        "Morty Smith",
+      ]);
+    });
+  });
+
+  describe("PUT /waitlist/:waitlist_id/notify", () => {
+    test("returns 404 for non-existent waitlist_id", async () => {
+      const response = await request(app)
+        .put("/waitlist/99/notify")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("99");
+      expect(response.status).toBe(404);
+    });
+
+    test("records when the party was notified", async () => {
+      const response = await request(app)
+        .put("/waitlist/1/notify")
+        .set("Accept", "application/json");
+
+      expect(response.body.data.status).toBe("notified");
+      expect(response.body.data.notified_at).toBeTruthy();
+    });
+  });
+
+  describe("PUT /waitlist/:waitlist_id/seat", () => {
+    test("returns 400 if table does not have sufficient capacity", async () => {
+      const response = await seat(1, 1);
+
+      expect(response.body.error).toContain("capacity");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if table is occupied", async () => {
+      await knex("tables").where({ table_id: 3 }).update({
+        reservation_id: 1,
+      });
+
+      const response = await seat(1, 3);
+
+      expect(response.body.error).toContain("occupied");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 404 if table does not exist", async () => {
+      const response = await seat(1, 99);
+
+      expect(response.body.error).toContain("99");
+      expect(response.status).toBe(404);
+    });
+
+    test("seats a walk-in reservation for the party", async () => {
+      const response = await seat(1, 3);
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.status).toBe("seated");
+
+      const { reservation_id } = response.body.data;
+      const reservation = await knex("reservations")
+        .where({ reservation_id })
+        .first();
+      const table = await knex("tables").where({ table_id: 3 }).first();
+
+      expect(reservation).toEqual(
+        expect.objectContaining({
+          first_name: "Summer",
+          last_name: "Smith",
+          people: 2,
+          status: "seated",
+        })
+      );
+      expect(table.reservation_id).toBe(reservation_id);
+    });
+
+    test("seats the party across the tables in table_ids", async () => {
+      const response = await request(app)
+        .put("/waitlist/1/seat")
+        .set("Accept", "application/json")
+        .send({ data: { table_id: 1, table_ids: [2] } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.status).toBe(200);
+
+      const seatedTables = await knex("tables")
+        .where({ reservation_id: response.body.data.reservation_id })
+        .orderBy("table_id");
+      expect(seatedTables.map(({ table_id }) => table_id)).toEqual([1, 2]);
+    });
+
+    test("returns 400 if the party is already seated", async () => {
+      await seat(1, 3);
+
+      const response = await seat(1, 4);
+
+      expect(response.body.error).toContain("seated");
+      expect(response.status).toBe(400);
+    });
+
+    test("seats a party seated twice at once only once", async () => {
+      const before = await knex("reservations");
+
+      const responses = await Promise.all([seat(1, 3), seat(1, 4)]);
+
+      expect(responses.map(({ status }) => status).sort()).toEqual([200, 409]);
+      const rejected = responses.find(({ status }) => status === 409);
+      expect(rejected.body.error).toContain("no longer waiting");
+
+      const after = await knex("reservations");
+      expect(after).toHaveLength(before.length + 1);
+      const occupied = await knex("tables").whereNotNull("reservation_id");
+      expect(occupied).toHaveLength(1);
+    });
+  });
+
+  describe("DELETE /waitlist/:waitlist_id", () => {
+    test("removes the party from the waitlist", async () => {
+      const response = await request(app)
+        .delete("/waitlist/1")
+        .set("Accept", "application/json");
+
+      expect(response.status).toBe(204);
+      expect(await knex("waitlist").where({ waitlist_id: 1 })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { today } = require("../src/utils/restaurantTime");
+
+describe("Walk-ins - Create and seat", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(async () => {
+    await knex.seed.run();
+    // open all day, every day, so that "now" is always during business hours
+    await knex("closures").del();
+    await knex("business_hours").del();
+    await knex("business_hours").insert(
+      [0, 1, 2, 3, 4, 5, 6].map((day_of_week) => ({
+        day_of_week,
+        service_name: "all day",
+        open_time: "00:00",
+        close_time: "23:59",
+      }))
+    );
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  const data = {
+    first_name: "Morty",
+    last_name: "Smith",
+    mobile_number: "415-555-0100",
+    people: 2,
+  };
+
+  function createWalkIn(walkIn) {
+    return request(app)
+      .post("/walk-ins")
+      .set("Accept", "application/json")
+      .send({ data: walkIn });
+  }
+
+  test("returns 400 if people is missing", async () => {
+    const response = await createWalkIn({ ...data, people: undefined });
+
+    expect(response.body.error).toContain("people");
+    expect(response.status).toBe(400);
+  });
+
+  test("returns 400 if the restaurant is closed today", async () => {
+    await knex("business_hours").del();
+
+    const response = await createWalkIn(data);
+
+    expect(response.body.error).toContain("closed");
+    expect(response.status).toBe(400);
+  });
+
+  test("returns 201 and seats a reservation for now at the chosen table", async () => {
+    const response = await createWalkIn({ ...data, table_id: 4 });
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.body.data).toEqual(
+      expect.objectContaining({
+        first_name: "Morty",
+        people: 2,
+        status: "seated",
+        table_id: 4,
+      })
+    );
+    expect(response.body.data.reservation_date).toContain(today());
+    expect(response.status).toBe(201);
+
+    const table = await knex("tables").where({ table_id: 4 }).first();
+    expect(table.reservation_id).toBe(response.body.data.reservation_id);
+  });
+
+  test("picks the smallest free table that fits the party", async () => {
+    const response = await createWalkIn({ ...data, people: 1 });
+
+    expect(response.body.data.table_id).toBe(1);
+  });
+
+  test("returns 400 if the chosen table is occupied", async () => {
+    await knex("tables").where({ table_id: 3 }).update({ reservation_id: 1 });
+
+    const response = await createWalkIn({ ...data, table_id: 3 });
+
+    expect(response.body.error).toContain("occupied");
+    expect(response.status).toBe(400);
+  });
+
+  test("returns 400 if no free tables fit the party, even combined", async () => {
+    const response = await createWalkIn({ ...data, people: 15 });
+
+    expect(response.body.error).toContain("15");
+    expect(response.status).toBe(400);
+  });
+
+  test("seats a party larger than any table at combined free tables", async () => {
+    const response = await createWalkIn({ ...data, people: 7 });
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.status).toBe(201);
+
+    const seatedTables = await knex("tables")
+      .where({ reservation_id: response.body.data.reservation_id })
+      .orderBy("capacity");
+    expect(seatedTables.map(({ capacity }) => capacity)).toEqual([1, 6]);
+  });
+
+  test("seats a party at the chosen table and the tables in table_ids", async () => {
+    const response = await createWalkIn({
+      ...data,
+      people: 12,
+      table_id: 3,
+      table_ids: [4],
+    });
+
+    expect(response.body.error).toBeUndefined();
+    expect(response.status).toBe(201);
+
+    const seatedTables = await knex("tables")
+      .where({ reservation_id: response.body.data.reservation_id })
+      .orderBy("table_id");
+    expect(seatedTables.map(({ table_id }) => table_id)).toEqual([3, 4]);
+  });
+});
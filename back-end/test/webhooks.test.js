@@ -0,0 +1,321 @@
+const http = require("http");
+const request = require("./authenticatedRequest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const webhookEvents = require("../src/webhooks/webhookEvents");
+const {
+  sign,
+  MAX_ATTEMPTS,
+} = require("../src/webhooks/webhookDeliveries.service");
+
+describe("Webhooks - Subscriptions and signed deliveries", () => {
+  // a local receiver that records every delivery and answers with the
+  // queued statuses, then with 200
+  let receiver;
+  let receiverUrl;
+  let received;
+  let statuses;
+
+  beforeAll(async () => {
+    process.env.WEBHOOK_RETRY_DELAY_MS = "10";
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = statuses.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    received = [];
+    statuses = [];
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    await webhookEvents.idle();
+    await new Promise((resolve) => receiver.close(resolve));
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  const reservation = {
+    first_name: "Rick",
+    last_name: "Sanchez",
+    mobile_number: "202-555-0164",
+    reservation_date: "2050-01-05",
+    reservation_time: "19:00",
+    people: 2,
+  };
+
+  function subscribe(data) {
+    return request(app)
+      .post("/webhooks")
+      .set("Accept", "application/json")
+      .send({ data: { url: receiverUrl, ...data } });
+  }
+
+  /**
+   * Sweeps the due deliveries until none is pending any more, as the sweeps
+   * of a running server would
+   */
+  async function deliverRetries() {
+    await webhookEvents.idle();
+    for (let sweeps = 0; sweeps < 100; sweeps++) {
+      const pending = await knex("webhook_deliveries").where({
+        status: "pending",
+      });
+      if (!pending.length) return;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      await webhookEvents.deliverDue();
+    }
+  }
+
+  function createReservation() {
+    return request(app)
+      .post("/reservations")
+      .set("Accept", "application/json")
+      .send({ data: reservation });
+  }
+
+  describe("/webhooks", () => {
+    test("POST returns 201 with the secret, which is not read back", async () => {
+      const response = await subscribe({ events: ["reservation.created"] });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.secret).toEqual(expect.any(String));
+      expect(response.body.data.active).toBe(true);
+      expect(response.status).toBe(201);
+
+      const read = await request(app).get(
+        `/webhooks/${response.body.data.webhook_id}`
+      );
+      expect(read.body.data.events).toEqual(["reservation.created"]);
+      expect(read.body.data.secret).toBeUndefined();
+    });
+
+    test("POST returns 400 for an invalid url and an unknown event", async () => {
+      const response = await subscribe({
+        url: "ftp://example.com",
+        events: ["reservation.eaten"],
+      });
+
+      expect(response.body.error).toContain("url");
+      expect(response.body.error).toContain("events");
+      expect(response.status).toBe(400);
+    });
+
+    test("GET /webhooks/:webhook_id returns 404 for a missing webhook", async () => {
+      const response = await request(app).get("/webhooks/99");
+
+      expect(response.body.error).toContain("99");
+      expect(response.status).toBe(404);
+    });
+
+    test("PUT updates the events and DELETE removes the webhook", async () => {
+      const { body } = await subscribe({ events: ["reservation.created"] });
+      const { webhook_id } = body.data;
+
+      const updated = await request(app)
+        .put(`/webhooks/${webhook_id}`)
+        .send({ data: { url: receiverUrl, events: ["reservation.seated"] } });
+      expect(updated.body.data.events).toEqual(["reservation.seated"]);
+      expect(updated.status).toBe(200);
+
+      const deleted = await request(app).delete(`/webhooks/${webhook_id}`);
+      expect(deleted.status).toBe(204);
+    });
+  });
+
+  describe("deliveries", () => {
+    test("a new reservation is delivered, signed with the secret", async () => {
+      const { body } = await subscribe({ events: ["reservation.created"] });
+      const { secret, webhook_id } = body.data;
+
+      const created = await createReservation();
+      await webhookEvents.idle();
+
+      expect(received).toHaveLength(1);
+      const [{ headers, body: sent }] = received;
+      expect(headers["x-webhook-event"]).toBe("reservation.created");
+      expect(headers["x-webhook-signature"]).toBe(
+        `sha256=${sign(secret, headers["x-webhook-timestamp"], sent)}`
+      );
+      expect(JSON.parse(sent).data.reservation.reservation_id).toBe(
+        created.body.data.reservation_id
+      );
+
+      const log = await request(app).get(`/webhooks/${webhook_id}/deliveries`);
+      expect(log.body.data).toEqual([
+        expect.objectContaining({
+          event_type: "reservation.created",
+          status: "delivered",
+          attempts: 1,
+          response_status: 200,
+        }),
+      ]);
+    });
+
+    test("only the events subscribed to are delivered", async () => {
+      await subscribe({ events: ["reservation.seated"] });
+
+      await createReservation();
+      await request(app)
+        .put("/tables/3/seat")
+        .send({ data: { reservation_id: 1 } });
+      await webhookEvents.idle();
+
+      expect(received).toHaveLength(1);
+      const { data } = JSON.parse(received[0].body);
+      expect(data.reservation.status).toBe("seated");
+      expect(data.tables).toEqual([
+        expect.objectContaining({ table_id: 3, reservation_id: 1 }),
+      ]);
+    });
+
+    test("status changes are delivered as their own events", async () => {
+      await subscribe({ events: ["reservation.cancelled"] });
+
+      await request(app)
+        .put("/reservations/1/status")
+        .set("If-Match", "*")
+        .send({ data: { status: "cancelled" } });
+      await webhookEvents.idle();
+
+      expect(received).toHaveLength(1);
+      expect(received[0].headers["x-webhook-event"]).toBe(
+        "reservation.cancelled"
+      );
+    });
+
+    test("inactive webhooks get nothing", async () => {
+      await subscribe({ events: ["reservation.created"], active: false });
+
+      await createReservation();
+      await webhookEvents.idle();
+
+      expect(received).toHaveLength(0);
+    });
+
+    test("a failed delivery is retried until it succeeds", async () => {
+      const { body } = await subscribe({ events: ["reservation.created"] });
+      statuses = [500, 503];
+
+      await createReservation();
+      await deliverRetries();
+
+      expect(received).toHaveLength(3);
+      const deliveryIds = received.map(
+        ({ headers }) => headers["x-webhook-delivery"]
+      );
+      expect(new Set(deliveryIds).size).toBe(1);
+
+      const log = await request(app).get(
+        `/webhooks/${body.data.webhook_id}/deliveries`
+      );
+      expect(log.body.data[0]).toEqual(
+        expect.objectContaining({ status: "delivered", attempts: 3 })
+      );
+    });
+
+    test("a delivery that fails every attempt is logged as failed", async () => {
+      const { body } = await subscribe({ events: ["reservation.created"] });
+      statuses = Array(MAX_ATTEMPTS).fill(500);
+
+      await createReservation();
+      await deliverRetries();
+
+      expect(received).toHaveLength(MAX_ATTEMPTS);
+      const log = await request(app).get(
+        `/webhooks/${body.data.webhook_id}/deliveries`
+      );
+      expect(log.body.data[0]).toEqual(
+        expect.objectContaining({
+          status: "failed",
+          attempts: MAX_ATTEMPTS,
+          response_status: 500,
+          last_error: expect.stringContaining("500"),
+        })
+      );
+    });
+
+    test("a failed attempt leaves the delivery pending until its retry is due", async () => {
+      await subscribe({ events: ["reservation.created"] });
+      statuses = [500];
+
+      await createReservation();
+      await webhookEvents.idle();
+
+      const [delivery] = await knex("webhook_deliveries");
+      expect(delivery).toEqual(
+        expect.objectContaining({ status: "pending", attempts: 1 })
+      );
+      expect(delivery.next_attempt_at.getTime()).toBeGreaterThan(
+        delivery.updated_at.getTime()
+      );
+      expect(received).toHaveLength(1);
+    });
+
+    test("pending deliveries left by a stopped server are resumed once due", async () => {
+      const { body } = await subscribe({ events: ["reservation.created"] });
+      const payload = { event_type: "reservation.created", data: {} };
+      await knex("webhook_deliveries").insert([
+        {
+          webhook_id: body.data.webhook_id,
+          event_type: "reservation.created",
+          payload,
+          attempts: 2,
+          next_attempt_at: new Date(Date.now() - 1000),
+        },
+        {
+          webhook_id: body.data.webhook_id,
+          event_type: "reservation.created",
+          payload,
+          attempts: 2,
+          next_attempt_at: new Date(Date.now() + 60 * 60 * 1000),
+        },
+      ]);
+
+      await webhookEvents.deliverDue();
+
+      expect(received).toHaveLength(1);
+      const deliveries = await knex("webhook_deliveries").orderBy(
+        "webhook_delivery_id"
+      );
+      expect(
+        deliveries.map(({ status, attempts }) => [status, attempts])
+      ).toEqual([
+        ["delivered", 3],
+        ["pending", 2],
+      ]);
+    });
+
+    test("a sweep on start resumes the due deliveries", async () => {
+      const { body } = await subscribe({ events: ["reservation.created"] });
+      await knex("webhook_deliveries").insert({
+        webhook_id: body.data.webhook_id,
+        event_type: "reservation.created",
+        payload: { event_type: "reservation.created", data: {} },
+        next_attempt_at: new Date(Date.now() - 1000),
+      });
+
+      const stop = webhookEvents.start();
+      await webhookEvents.idle();
+      stop();
+
+      expect(received).toHaveLength(1);
+      const [delivery] = await knex("webhook_deliveries");
+      expect(delivery.status).toBe("delivered");
+    });
+  });
+});
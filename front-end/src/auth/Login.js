@@ -0,0 +1,83 @@
+import { useState } from "react";
+import { useHistory } from "react-router-dom";
+import { login } from "../utils/api";
+import ErrorAlert from "../layout/ErrorAlert";
+
+/**
+ * Logs a staff member in, then goes to the dashboard.
+ * @returns {JSX.Element}
+ */
+export default function Login() {
+  const history = useHistory();
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+
+  async function submitHandler(event) {
+    event.preventDefault();
+    const abortController = new AbortController();
+
+    try {
+      await login({ username, password }, abortController.signal);
+    } catch (error) {
+      setError(error);
+      return;
+    }
+
+    history.push("/dashboard");
+    return () => abortController.abort();
+  }
+
+  return (
+    <div>
+      <h1>Log In</h1>
+      <div>
+        <h4>Please log in with your staff account.</h4>
+      </div>
+      <hr></hr>
+      {error && <ErrorAlert error={error} />}
+      <form onSubmit={submitHandler}>
+        <div>
+          <label
+            htmlFor="inputUsername"
+            className="form-label font-weight-bold"
+          >
+            Username
+          </label>
+          <input
+            name="username"
+            type="text"
+            className="form-control"
+            id="inputUsername"
+            autoComplete="username"
+            required={true}
+            onChange={(event) => setUsername(event.target.value)}
+          ></input>
+        </div>
+        <div>
+          <label
+            htmlFor="inputPassword"
+            className="form-label font-weight-bold"
+          >
+            Password
+          </label>
+          <input
+            name="password"
+            type="password"
+            className="form-control"
+            id="inputPassword"
+            autoComplete="current-password"
+            required={true}
+            onChange={(event) => setPassword(event.target.value)}
+          ></input>
+        </div>
+        <hr></hr>
+        <div>
+          <button type="submit" className="btn btn-primary mr-2">
+            Log In
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -1,10 +1,45 @@
 import React, { useEffect, useState } from "react";
-import { listReservations, listTables } from "../utils/api";
+import {
+  listPacing,
+  listReservations,
+  listTables,
+  listWaitlist,
+  subscribeToChanges,
+} from "../utils/api";
 import ErrorAlert from "../layout/ErrorAlert";
 import ReservationsList from "../reservations/ReservationsList";
 import TodayPrevNextButtons from "./TodayPrevNextButtons";
 import useQuery from "../utils/useQuery";
 import TablesList from "../tables/TablesList";
+import PacingLoad from "./PacingLoad";
+import WaitlistPanel from "../waitlist/WaitlistPanel";
+
+/**
+ * The rows with `row` in place of the one with the same `key`, or added
+ * if there is none, in the order of `compare`.
+ */
+function replaceRow(rows, row, key, compare) {
+  return [...rows.filter((other) => other[key] !== row[key]), row].sort(
+    compare
+  );
+}
+
+function byReservationTime(a, b) {
+  return a.reservation_time.localeCompare(b.reservation_time);
+}
+
+function byTableName(a, b) {
+  return a.table_name.localeCompare(b.table_name);
+}
+
+function byJoinedAt(a, b) {
+  return (
+    a.joined_at.localeCompare(b.joined_at) || a.waitlist_id - b.waitlist_id
+  );
+}
+
+// statuses of parties still on the waitlist
+const WAITING_STATUSES = ["waiting", "notified"];
 
 /**
  * Defines the dashboard page.
@@ -19,9 +54,68 @@ function Dashboard({ date }) {
   const dateQuery = query.get("date");
   const [tablesError, setTablesError] = useState(null);
   const [tables, setTables] = useState([]);
+  const [pacing, setPacing] = useState([]);
+  const [pacingError, setPacingError] = useState(null);
+  const [waitlist, setWaitlist] = useState([]);
+  const [waitlistError, setWaitlistError] = useState(null);
+  // counts the times everything is loaded again, e.g. after missing changes
+  const [reloads, setReloads] = useState(0);
+  // counts the reservation changes, each of which may change the pacing load
+  const [reservationChanges, setReservationChanges] = useState(0);
 
   if (dateQuery) date = dateQuery;
 
+  // Patch the reservations, tables and waitlist in place as anyone changes them
+  useEffect(() => {
+    return subscribeToChanges({
+      onReservation: (reservation) => {
+        setReservationChanges((count) => count + 1);
+        setReservations((current) =>
+          reservation.reservation_date === date
+            ? replaceRow(
+                current,
+                reservation,
+                "reservation_id",
+                byReservationTime
+              )
+            : current.filter(
+                ({ reservation_id }) =>
+                  reservation_id !== reservation.reservation_id
+              )
+        );
+      },
+      onReservationDeleted: ({ reservation_id }) => {
+        setReservationChanges((count) => count + 1);
+        setReservations((current) =>
+          current.filter(
+            (reservation) => reservation.reservation_id !== reservation_id
+          )
+        );
+      },
+      onTable: (table) =>
+        setTables((current) =>
+          replaceRow(current, table, "table_id", byTableName)
+        ),
+      onTableDeleted: ({ table_id }) =>
+        setTables((current) =>
+          current.filter((table) => table.table_id !== table_id)
+        ),
+      onWaitlist: (entry) =>
+        setWaitlist((current) =>
+          WAITING_STATUSES.includes(entry.status)
+            ? replaceRow(current, entry, "waitlist_id", byJoinedAt)
+            : current.filter(
+                ({ waitlist_id }) => waitlist_id !== entry.waitlist_id
+              )
+        ),
+      onWaitlistDeleted: ({ waitlist_id }) =>
+        setWaitlist((current) =>
+          current.filter((entry) => entry.waitlist_id !== waitlist_id)
+        ),
+      onReconnect: () => setReloads((count) => count + 1),
+    });
+  }, [date]);
+
   // Get request for an array of reservations with date query
   useEffect(() => {
     const abortController = new AbortController();
@@ -37,7 +131,24 @@ function Dashboard({ date }) {
     }
     loadReservations();
     return () => abortController.abort();
-  }, [date]);
+  }, [date, reloads]);
+
+  // Get request for the pacing load of each interval of the date
+  useEffect(() => {
+    const abortController = new AbortController();
+
+    async function loadPacing() {
+      setPacingError(null);
+      try {
+        const data = await listPacing({ date }, abortController.signal);
+        setPacing(data);
+      } catch (error) {
+        setPacingError(error);
+      }
+    }
+    loadPacing();
+    return () => abortController.abort();
+  }, [date, reloads, reservationChanges]);
 
   //Get request for all tables
   useEffect(() => {
@@ -54,7 +165,24 @@ function Dashboard({ date }) {
     }
     loadTables();
     return () => abortController.abort();
-  }, []);
+  }, [reloads]);
+
+  // Get request for the parties still waiting for a table
+  useEffect(() => {
+    const abortController = new AbortController();
+
+    async function loadWaitlist() {
+      setWaitlistError(null);
+      try {
+        const data = await listWaitlist(abortController.signal);
+        setWaitlist(data);
+      } catch (error) {
+        setWaitlistError(error);
+      }
+    }
+    loadWaitlist();
+    return () => abortController.abort();
+  }, [reloads]);
 
   const unfinishedReservations = reservations.filter(
     (reservation) => reservation.status !== "finished"
@@ -72,12 +200,32 @@ function Dashboard({ date }) {
       </div>
       <ErrorAlert error={reservationsError} />
       <TodayPrevNextButtons date={date} />
-      <div>
-        <h4>
-          <u>Reservations:</u>
-        </h4>
+      <div className="row">
+        <div className="col-lg-9">
+          <div>
+            <h4>
+              <u>Reservations:</u>
+            </h4>
+          </div>
+          <ReservationsList reservations={unfinishedReservations} />
+        </div>
+        <div className="col-lg-3">
+          <div>
+            <h4>
+              <u>Pacing:</u>
+            </h4>
+          </div>
+          <ErrorAlert error={pacingError} />
+          <PacingLoad intervals={pacing} />
+          <div>
+            <h4>
+              <u>Waitlist:</u>
+            </h4>
+          </div>
+          <ErrorAlert error={waitlistError} />
+          <WaitlistPanel entries={waitlist} tables={tables} />
+        </div>
       </div>
-      <ReservationsList reservations={unfinishedReservations} />
       <br></br>
       <hr></hr>
       <div>
@@ -0,0 +1,151 @@
+import { act, render, screen } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import "@testing-library/jest-dom/extend-expect";
+import Dashboard from "./Dashboard";
+import {
+  listPacing,
+  listReservations,
+  listTables,
+  listWaitlist,
+  subscribeToChanges,
+} from "../utils/api";
+
+jest.mock("../utils/api", () => ({
+  ...jest.requireActual("../utils/api"),
+  listPacing: jest.fn(),
+  listReservations: jest.fn(),
+  listTables: jest.fn(),
+  listWaitlist: jest.fn(),
+  subscribeToChanges: jest.fn(),
+}));
+
+const reservation = {
+  reservation_id: 1,
+  first_name: "Rick",
+  last_name: "Sanchez",
+  mobile_number: "202-555-0164",
+  reservation_date: "2050-01-05",
+  reservation_time: "19:00",
+  people: 2,
+  status: "booked",
+};
+
+const table = {
+  table_id: 1,
+  table_name: "Bar #1",
+  capacity: 2,
+  reservation_id: null,
+};
+
+/**
+ * Renders the dashboard of 2050-01-05 once everything has loaded. Resolves
+ * to the handlers it subscribed to the changes with.
+ */
+async function renderDashboard() {
+  render(
+    <MemoryRouter>
+      <Dashboard date="2050-01-05" />
+    </MemoryRouter>
+  );
+  await screen.findByText("Bar #1");
+  return subscribeToChanges.mock.calls[0][0];
+}
+
+/**
+ * The text of the row of the table on the dashboard that contains `text`
+ */
+function rowOf(text) {
+  return screen.getByText(text).closest("tr").textContent;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  listReservations.mockResolvedValue([reservation]);
+  listTables.mockResolvedValue([table]);
+  listPacing.mockResolvedValue([]);
+  listWaitlist.mockResolvedValue([]);
+  subscribeToChanges.mockReturnValue(() => {});
+});
+
+test("a pushed reservation is added to the dashboard of its date", async () => {
+  const handlers = await renderDashboard();
+
+  act(() =>
+    handlers.onReservation({
+      ...reservation,
+      reservation_id: 2,
+      first_name: "Morty",
+      reservation_time: "18:00",
+    })
+  );
+
+  expect(screen.getByText("Morty Sanchez")).toBeInTheDocument();
+  expect(screen.getByText("Rick Sanchez")).toBeInTheDocument();
+});
+
+test("a pushed reservation replaces the one with the same ID", async () => {
+  const handlers = await renderDashboard();
+
+  act(() => handlers.onReservation({ ...reservation, status: "seated" }));
+
+  expect(rowOf("Rick Sanchez")).toContain("seated");
+});
+
+test("a reservation pushed for another date leaves the dashboard", async () => {
+  const handlers = await renderDashboard();
+
+  act(() =>
+    handlers.onReservation({ ...reservation, reservation_date: "2050-01-06" })
+  );
+
+  expect(screen.queryByText("Rick Sanchez")).not.toBeInTheDocument();
+});
+
+test("a pushed table replaces the one with the same ID", async () => {
+  const handlers = await renderDashboard();
+  expect(rowOf("Bar #1")).toContain("free");
+
+  act(() => handlers.onTable({ ...table, reservation_id: 1 }));
+
+  expect(rowOf("Bar #1")).toContain("occupied");
+});
+
+test("a deleted table leaves the dashboard", async () => {
+  const handlers = await renderDashboard();
+
+  act(() => handlers.onTableDeleted({ table_id: 1 }));
+
+  expect(screen.queryByText("Bar #1")).not.toBeInTheDocument();
+});
+
+test("a reservation change reloads the pacing load", async () => {
+  const handlers = await renderDashboard();
+  expect(listPacing).toHaveBeenCalledTimes(1);
+
+  await act(async () => handlers.onReservationDeleted({ reservation_id: 1 }));
+
+  expect(listPacing).toHaveBeenCalledTimes(2);
+});
+
+test("pushed waitlist entries are added and removed", async () => {
+  const handlers = await renderDashboard();
+  const entry = {
+    waitlist_id: 1,
+    party_name: "Squanchy",
+    mobile_number: "202-555-0199",
+    party_size: 2,
+    quoted_wait_minutes: 15,
+    status: "waiting",
+    joined_at: "2050-01-05T18:00:00.000Z",
+  };
+
+  act(() => handlers.onWaitlist(entry));
+  expect(screen.getByText(/Squanchy/)).toBeInTheDocument();
+
+  act(() => handlers.onWaitlist({ ...entry, status: "seated" }));
+  expect(screen.queryByText(/Squanchy/)).not.toBeInTheDocument();
+
+  act(() => handlers.onWaitlist(entry));
+  act(() => handlers.onWaitlistDeleted({ waitlist_id: 1 }));
+  expect(screen.queryByText(/Squanchy/)).not.toBeInTheDocument();
+});
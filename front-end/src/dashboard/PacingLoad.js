@@ -0,0 +1,50 @@
+/**
+ * Shows how many parties and covers arrive in each pacing interval.
+ * @param intervals
+ *  the pacing load of each interval with arrivals.
+ * @returns {JSX.Element}
+ */
+export default function PacingLoad({ intervals = [] }) {
+  const formatLoad = (load, limit) => (limit ? `${load} / ${limit}` : load);
+  const isAtLimit = ({ parties, covers, max_parties, max_covers }) =>
+    (max_parties && parties >= max_parties) ||
+    (max_covers && covers >= max_covers);
+
+  return (
+    <div className="table-responsive">
+      <table className="table table-sm">
+        <thead>
+          <tr>
+            <th scope="col" className="align-middle text-center">
+              Interval
+            </th>
+            <th scope="col" className="align-middle text-center">
+              Parties
+            </th>
+            <th scope="col" className="align-middle text-center">
+              Covers
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {intervals.map((interval) => (
+            <tr
+              key={interval.time}
+              className={isAtLimit(interval) ? "table-danger" : ""}
+              data-pacing-interval={interval.time}
+            >
+              <td className="align-middle text-center">{interval.time}</td>
+              <td className="align-middle text-center">
+                {formatLoad(interval.parties, interval.max_parties)}
+              </td>
+              <td className="align-middle text-center">
+                {formatLoad(interval.covers, interval.max_covers)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {!intervals.length && <p className="text-muted">No arrivals.</p>}
+    </div>
+  );
+}
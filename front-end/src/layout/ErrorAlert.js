@@ -4,15 +4,35 @@ import React from "react";
  * Defines the alert message to render if the specified error is truthy.
  * @param error
  *  an instance of an object with `.message` property as a string, typically an Error instance.
+ *  The `.errors` of an invalid request are listed one field per line, and the
+ *  `.request_id` of a failed request is shown so support can find it in the logs.
  * @returns {JSX.Element}
  *  a bootstrap danger alert that contains the message string.
  */
 
 function ErrorAlert({ error }) {
+  if (!error) return null;
+
   return (
-    error && (
-      <div className="alert alert-danger m-2">Error: {error.message}</div>
-    )
+    <div className="alert alert-danger m-2">
+      {error.errors ? (
+        <>
+          Error: Invalid input(s)
+          <ul className="mb-0">
+            {error.errors.map(({ field, message }) => (
+              <li key={`${field} ${message}`}>
+                {field} {message}
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : (
+        <>Error: {error.message}</>
+      )}
+      {error.request_id && (
+        <small className="d-block">Request ID: {error.request_id}</small>
+      )}
+    </div>
   );
 }
 
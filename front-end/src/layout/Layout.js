@@ -1,26 +1,47 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
+import { useLocation } from "react-router-dom";
 import Menu from "./Menu";
 import Routes from "./Routes";
+import { readStaffUser, readTimeZone } from "../utils/api";
+import { setRestaurantTimeZone } from "../utils/date-time";
 
 import "./Layout.css";
 
 /**
  * Defines the main layout of the application.
  *
- * You will not need to make changes to this file.
+ * Once a staff user is logged in, the pages wait for the restaurant's time zone from the API, so that they tell today and now as it does.
  *
  * @returns {JSX.Element}
  */
 function Layout() {
+  // re-renders on every page, so that a login is noticed
+  useLocation();
+  const loggedIn = Boolean(readStaffUser());
+  const [timeZoneLoaded, setTimeZoneLoaded] = useState(false);
+
+  useEffect(() => {
+    if (!loggedIn) return;
+    const abortController = new AbortController();
+
+    // the pages fall back to the default zone if it cannot be read
+    readTimeZone(abortController.signal)
+      .then(({ time_zone }) => time_zone && setRestaurantTimeZone(time_zone))
+      .catch((error) => console.log(error.message))
+      .finally(() => {
+        if (!abortController.signal.aborted) setTimeZoneLoaded(true);
+      });
+
+    return () => abortController.abort();
+  }, [loggedIn]);
+
   return (
     <div className="container-fluid">
       <div className="row h-100">
         <div className="col-md-2 side-bar">
           <Menu />
         </div>
-        <div className="col">
-          <Routes />
-        </div>
+        <div className="col">{(!loggedIn || timeZoneLoaded) && <Routes />}</div>
       </div>
     </div>
   );
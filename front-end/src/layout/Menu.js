@@ -1,6 +1,7 @@
 import React from "react";
 
-import { Link } from "react-router-dom";
+import { Link, useLocation } from "react-router-dom";
+import { can, readStaffUser, logout } from "../utils/api";
 
 /**
  * Defines the menu for this application.
@@ -9,6 +10,10 @@ import { Link } from "react-router-dom";
  */
 
 function Menu() {
+  // re-read the staff user after every navigation, e.g. after logging in
+  useLocation();
+  const staffUser = readStaffUser();
+
   return (
     <nav className="navbar navbar-dark align-items-start p-0">
       <div className="container-fluid d-flex flex-column p-0">
@@ -34,18 +39,37 @@ function Menu() {
               &nbsp;Search
             </Link>
           </li>
-          <li className="nav-item">
-            <Link className="nav-link" to="/reservations/new">
-              <span className="oi oi-plus" />
-              &nbsp;New Reservation
-            </Link>
-          </li>
-          <li className="nav-item">
-            <Link className="nav-link" to="/tables/new">
-              <span className="oi oi-layers" />
-              &nbsp;New Table
-            </Link>
-          </li>
+          {can("reservations:create") && (
+            <li className="nav-item">
+              <Link className="nav-link" to="/reservations/new">
+                <span className="oi oi-plus" />
+                &nbsp;New Reservation
+              </Link>
+            </li>
+          )}
+          {can("tables:create") && (
+            <li className="nav-item">
+              <Link className="nav-link" to="/tables/new">
+                <span className="oi oi-layers" />
+                &nbsp;New Table
+              </Link>
+            </li>
+          )}
+          {staffUser ? (
+            <li className="nav-item">
+              <a className="nav-link" href="/login" onClick={logout}>
+                <span className="oi oi-account-logout" />
+                &nbsp;Log Out {staffUser.display_name}
+              </a>
+            </li>
+          ) : (
+            <li className="nav-item">
+              <Link className="nav-link" to="/login">
+                <span className="oi oi-account-login" />
+                &nbsp;Log In
+              </Link>
+            </li>
+          )}
         </ul>
         <div className="text-center d-none d-md-inline">
           <button
@@ -3,10 +3,14 @@ import React from "react";
 import { Redirect, Route, Switch } from "react-router-dom";
 import Dashboard from "../dashboard/Dashboard";
 import NotFound from "./NotFound";
+import Login from "../auth/Login";
 import { today } from "../utils/date-time";
 import NewReservation from "../reservations/NewReservation";
 import EditReservation from "../reservations/EditReservation";
+import ReservationDetail from "../reservations/ReservationDetail";
 import NewTable from "../tables/NewTable";
+import WalkIn from "../tables/WalkIn";
+import MoveTable from "../tables/MoveTable";
 import SeatReservation from "../reservations/SeatReservation";
 import SearchReservation from "../reservations/SearchReservation";
 
@@ -23,6 +27,9 @@ function Routes() {
       <Route exact={true} path="/">
         <Redirect to={"/dashboard"} />
       </Route>
+      <Route exact path="/login">
+        <Login />
+      </Route>
       <Route exact={true} path="/reservations">
         <Redirect to={"/dashboard"} />
       </Route>
@@ -35,9 +42,18 @@ function Routes() {
       <Route exact path="/reservations/:reservation_id/edit">
         <EditReservation />
       </Route>
+      <Route exact path="/reservations/:reservation_id">
+        <ReservationDetail />
+      </Route>
       <Route exact path="/tables/new">
         <NewTable />
       </Route>
+      <Route exact path="/tables/:table_id/walk-in">
+        <WalkIn />
+      </Route>
+      <Route exact path="/tables/:table_id/move">
+        <MoveTable />
+      </Route>
       <Route exact path="/reservations/:reservation_id/seat">
         <SeatReservation />
       </Route>
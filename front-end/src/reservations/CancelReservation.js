@@ -1,9 +1,12 @@
+import { useState } from "react";
 import { useHistory } from "react-router-dom";
 import { updateReservationStatus } from "../utils/api";
+import ErrorAlert from "../layout/ErrorAlert";
 
 export default function CancelReservation({ reservation }) {
   const history = useHistory();
-  const { reservation_id, reservation_date } = reservation;
+  const [error, setError] = useState(null);
+  const { reservation_id, reservation_date, updated_at } = reservation;
 
   async function cancelClickHandler() {
     const abortController = new AbortController();
@@ -17,26 +20,29 @@ export default function CancelReservation({ reservation }) {
     const updatedReservation = {
       reservation_id,
       status: "cancelled",
+      updated_at,
     };
+    setError(null);
     try {
       await updateReservationStatus(updatedReservation, abortController.signal);
     } catch (error) {
-      console.log(error.message);
+      setError(error);
     }
 
-    window.location.reload();
-
     return () => abortController.abort();
   }
 
   return (
-    <button
-      type="button"
-      className="btn btn-secondary mx-1 mb-1"
-      data-reservation-id-cancel={reservation_id}
-      onClick={() => cancelClickHandler()}
-    >
-      Cancel
-    </button>
+    <>
+      <button
+        type="button"
+        className="btn btn-secondary mx-1 mb-1"
+        data-reservation-id-cancel={reservation_id}
+        onClick={() => cancelClickHandler()}
+      >
+        Cancel
+      </button>
+      <ErrorAlert error={error} />
+    </>
   );
 }
@@ -1,9 +1,17 @@
 import ReservationForm from "./ReservationForm";
 import ErrorAlert from "../layout/ErrorAlert";
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import { useParams, useHistory } from "react-router-dom";
 import { readReservation, updateReservation } from "../utils/api";
 
+function formatDateToMMDDYYYY(originalDate) {
+  const date = originalDate.replace(/[\s-]/g, "");
+  return `${date.substring(4, 6)}${date.substring(6, 8)}${date.substring(
+    0,
+    4
+  )}`;
+}
+
 export default function EditReservation() {
   const { reservation_id } = useParams();
   const history = useHistory();
@@ -13,8 +21,24 @@ export default function EditReservation() {
   const [party, setParty] = useState(0);
   const [date, setDate] = useState("");
   const [time, setTime] = useState("");
+  const [sectionPreference, setSectionPreference] = useState("");
+  const [version, setVersion] = useState("");
+  const [conflict, setConflict] = useState(null);
   const [error, setError] = useState("");
 
+  // fills the form with a reservation as read, keeping its version
+  const fillForm = useCallback((data) => {
+    const MMDDYYYY = formatDateToMMDDYYYY(data.reservation_date);
+    setFirstName(data.first_name);
+    setLastName(data.last_name);
+    setMobileNumber(data.mobile_number);
+    setParty(data.people);
+    setDate(MMDDYYYY);
+    setTime(data.reservation_time);
+    setSectionPreference(data.section_preference || "");
+    setVersion(data.updated_at);
+  }, []);
+
   useEffect(() => {
     const abortController = new AbortController();
 
@@ -24,13 +48,7 @@ export default function EditReservation() {
           reservation_id,
           abortController.signal
         );
-        const MMDDYYYY = formatDateToMMDDYYYY(data.reservation_date);
-        setFirstName(data.first_name);
-        setLastName(data.last_name);
-        setMobileNumber(data.mobile_number);
-        setParty(data.people);
-        setDate(MMDDYYYY);
-        setTime(data.reservation_time);
+        fillForm(data);
       } catch (error) {
         return <ErrorAlert error={error} />;
       }
@@ -39,28 +57,37 @@ export default function EditReservation() {
     loadReservation();
 
     return () => abortController.abort();
-  }, [reservation_id]);
+  }, [reservation_id, fillForm]);
 
-  async function submitClickHandler(event) {
-    event.preventDefault();
+  async function saveReservation(savedVersion) {
     const abortController = new AbortController();
 
     const formattedDate = formatDate();
     const formattedTime = formatTime();
 
     const updatedReservation = {
-      reservation_id,
+      reservation_id: Number(reservation_id),
       first_name: firstName,
       last_name: lastName,
       mobile_number: mobileNumber,
       reservation_date: formattedDate,
       reservation_time: formattedTime,
       people: Number(party),
+      section_preference: sectionPreference || null,
     };
 
     try {
-      await updateReservation(updatedReservation, abortController.signal);
+      await updateReservation(
+        updatedReservation,
+        abortController.signal,
+        savedVersion
+      );
     } catch (error) {
+      if (error.status === 409) {
+        setConflict(error.data);
+        setError("");
+        return;
+      }
       setError(error);
       return;
     }
@@ -69,12 +96,22 @@ export default function EditReservation() {
     return () => abortController.abort();
   }
 
-  function formatDateToMMDDYYYY(originalDate) {
-    const date = originalDate.replace(/[\s-]/g, "");
-    return `${date.substring(4, 6)}${date.substring(6, 8)}${date.substring(
-      0,
-      4
-    )}`;
+  function submitClickHandler(event) {
+    event.preventDefault();
+    saveReservation(version);
+  }
+
+  // discards the changes in the form for the reservation as someone else saved it
+  function reloadClickHandler() {
+    fillForm(conflict);
+    setConflict(null);
+  }
+
+  // saves the changes in the form over the ones someone else saved
+  function overwriteClickHandler() {
+    setVersion(conflict.updated_at);
+    setConflict(null);
+    saveReservation(conflict.updated_at);
   }
 
   function formatDate() {
@@ -100,6 +137,34 @@ export default function EditReservation() {
         <h4>Please complete all fields to edit an existing reservation.</h4>
       </div>
       <hr></hr>
+      {conflict && (
+        <div className="alert alert-warning m-2">
+          <p>
+            {`Someone else saved this reservation while you were editing it: ${
+              conflict.first_name
+            } ${conflict.last_name}, party of ${
+              conflict.people
+            }, on ${conflict.reservation_date.slice(
+              0,
+              10
+            )} at ${conflict.reservation_time.slice(0, 5)}.`}
+          </p>
+          <button
+            type="button"
+            className="btn btn-secondary mr-2"
+            onClick={reloadClickHandler}
+          >
+            Reload
+          </button>
+          <button
+            type="button"
+            className="btn btn-danger mr-2"
+            onClick={overwriteClickHandler}
+          >
+            Overwrite
+          </button>
+        </div>
+      )}
       <ReservationForm
         submitClickHandler={submitClickHandler}
         setFirstName={setFirstName}
@@ -108,12 +173,14 @@ export default function EditReservation() {
         setParty={setParty}
         setDate={setDate}
         setTime={setTime}
+        setSectionPreference={setSectionPreference}
         firstName={firstName}
         lastName={lastName}
         mobileNumber={mobileNumber}
         party={party}
         date={date}
         time={time}
+        sectionPreference={sectionPreference}
         error={error}
       />
     </div>
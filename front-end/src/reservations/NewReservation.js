@@ -1,7 +1,7 @@
 import { useHistory } from "react-router-dom";
 import ReservationForm from "./ReservationForm";
 import { useState } from "react";
-import { createReservation } from "../utils/api";
+import { createReservation, newIdempotencyKey } from "../utils/api";
 
 export default function NewReservation() {
   const history = useHistory();
@@ -11,6 +11,9 @@ export default function NewReservation() {
   const [party, setParty] = useState(0);
   const [date, setDate] = useState("");
   const [time, setTime] = useState("");
+  const [sectionPreference, setSectionPreference] = useState("");
+  // one key for every submission of this form, see newIdempotencyKey
+  const [idempotencyKey] = useState(newIdempotencyKey);
   const [error, setError] = useState("");
 
   async function submitClickHandler(event) {
@@ -25,9 +28,14 @@ export default function NewReservation() {
       reservation_date: formattedDate,
       reservation_time: formattedTime,
       people: Number(party),
+      section_preference: sectionPreference || null,
     };
     try {
-      await createReservation(newReservation, abortController.signal);
+      await createReservation(
+        newReservation,
+        abortController.signal,
+        idempotencyKey
+      );
     } catch (error) {
       setError(error);
       return;
@@ -68,12 +76,14 @@ export default function NewReservation() {
         setParty={setParty}
         setDate={setDate}
         setTime={setTime}
+        setSectionPreference={setSectionPreference}
         firstName={firstName}
         lastName={lastName}
         mobileNumber={mobileNumber}
         party={party}
         date={date}
         time={time}
+        sectionPreference={sectionPreference}
         error={error}
       />
     </div>
@@ -0,0 +1,74 @@
+import { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import { readReservation, listReservationHistory } from "../utils/api";
+import ErrorAlert from "../layout/ErrorAlert";
+import ReservationHistory from "./ReservationHistory";
+
+export default function ReservationDetail() {
+  const { reservation_id } = useParams();
+  const [reservation, setReservation] = useState({});
+  const [events, setEvents] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const abortController = new AbortController();
+
+    async function loadReservation() {
+      setError(null);
+      try {
+        const [reservationData, eventsData] = await Promise.all([
+          readReservation(reservation_id, abortController.signal),
+          listReservationHistory(reservation_id, abortController.signal),
+        ]);
+        setReservation(reservationData);
+        setEvents(eventsData);
+      } catch (error) {
+        setError(error);
+      }
+    }
+
+    loadReservation();
+
+    return () => abortController.abort();
+  }, [reservation_id]);
+
+  const {
+    first_name,
+    last_name,
+    mobile_number,
+    reservation_date = "",
+    reservation_time = "",
+    end_time,
+    people,
+    status,
+  } = reservation;
+
+  return (
+    <div>
+      <h1>Reservation {reservation_id}</h1>
+      <ErrorAlert error={error} />
+      <hr></hr>
+      <dl className="row">
+        <dt className="col-sm-3">Name</dt>
+        <dd className="col-sm-9">
+          {first_name} {last_name}
+        </dd>
+        <dt className="col-sm-3">Mobile Number</dt>
+        <dd className="col-sm-9">{mobile_number}</dd>
+        <dt className="col-sm-3">Date</dt>
+        <dd className="col-sm-9">{reservation_date.slice(0, 10)}</dd>
+        <dt className="col-sm-3">Time</dt>
+        <dd className="col-sm-9">
+          {reservation_time.slice(0, 5)}
+          {end_time && ` - ${end_time}`}
+        </dd>
+        <dt className="col-sm-3">People</dt>
+        <dd className="col-sm-9">{people}</dd>
+        <dt className="col-sm-3">Status</dt>
+        <dd className="col-sm-9">{status}</dd>
+      </dl>
+      <h4>History</h4>
+      <ReservationHistory events={events} />
+    </div>
+  );
+}
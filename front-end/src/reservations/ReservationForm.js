@@ -1,5 +1,8 @@
+import { useEffect, useState } from "react";
 import { useHistory } from "react-router-dom";
 import ErrorAlert from "../layout/ErrorAlert";
+import { listClosures, listGuests, listTables } from "../utils/api";
+import { today } from "../utils/date-time";
 
 export default function ReservationForm({
   submitClickHandler,
@@ -9,12 +12,14 @@ export default function ReservationForm({
   setParty,
   setDate,
   setTime,
+  setSectionPreference,
   firstName,
   lastName,
   mobileNumber,
   party,
   date,
   time,
+  sectionPreference,
   error,
 }) {
   const firstNameChangeHandler = (event) => setFirstName(event.target.value);
@@ -24,10 +29,93 @@ export default function ReservationForm({
   const partyChangeHandler = (event) => setParty(event.target.value);
   const dateChangeHandler = (event) => setDate(event.target.value);
   const timeChangeHandler = (event) => setTime(event.target.value);
+  const sectionPreferenceChangeHandler = (event) =>
+    setSectionPreference(event.target.value);
 
   const history = useHistory();
   const cancelClickHandler = () => history.goBack();
 
+  const [closures, setClosures] = useState([]);
+
+  // Get request for upcoming closures so unavailable dates can be shown
+  useEffect(() => {
+    const abortController = new AbortController();
+
+    async function loadClosures() {
+      try {
+        const data = await listClosures(
+          { from: today() },
+          abortController.signal
+        );
+        setClosures(data);
+      } catch (error) {
+        setClosures([]);
+      }
+    }
+    loadClosures();
+    return () => abortController.abort();
+  }, []);
+
+  const [sections, setSections] = useState([]);
+
+  // Get request for the tables so their sections can be offered as preferences
+  useEffect(() => {
+    const abortController = new AbortController();
+
+    async function loadSections() {
+      try {
+        const data = await listTables(abortController.signal);
+        setSections(
+          [...new Set(data.map(({ section }) => section))].filter(Boolean)
+        );
+      } catch (error) {
+        setSections([]);
+      }
+    }
+    loadSections();
+    return () => abortController.abort();
+  }, []);
+
+  const [guest, setGuest] = useState(null);
+
+  // Get request for the guest profile once a full mobile number is entered
+  useEffect(() => {
+    const abortController = new AbortController();
+    setGuest(null);
+
+    async function loadGuest() {
+      try {
+        const [data] = await listGuests(
+          { mobile_number: mobileNumber },
+          abortController.signal
+        );
+        setGuest(data || null);
+      } catch (error) {
+        setGuest(null);
+      }
+    }
+    if (mobileNumber.replace(/\D/g, "").length >= 10) loadGuest();
+    return () => abortController.abort();
+  }, [mobileNumber]);
+
+  // fills in the names of a recognized guest without overwriting typed ones
+  useEffect(() => {
+    if (!guest) return;
+    setFirstName((current) => current || guest.first_name || "");
+    setLastName((current) => current || guest.last_name || "");
+  }, [guest, setFirstName, setLastName]);
+
+  // the date input is MMDDYYYY, closures use YYYY-MM-DD
+  const selectedDate = [
+    date.substring(4, 8),
+    date.substring(0, 2),
+    date.substring(2, 4),
+  ].join("-");
+  const selectedClosure = closures.find(
+    ({ start_date, end_date }) =>
+      start_date <= selectedDate && selectedDate <= end_date
+  );
+
   return (
     <>
       {error && <ErrorAlert error={error} />}
@@ -85,6 +173,14 @@ export default function ReservationForm({
             value={mobileNumber}
             onChange={mobileNumberChangeHandler}
           ></input>
+          {guest && (
+            <div
+              className="alert alert-info mt-2 mb-0"
+              data-guest-id={guest.guest_id}
+            >
+              {formatGuest(guest)}
+            </div>
+          )}
         </div>
         <div className="form-group">
           <label htmlFor="inputParty" className="form-label font-weight-bold">
@@ -115,6 +211,18 @@ export default function ReservationForm({
             value={date}
             onChange={dateChangeHandler}
           ></input>
+          {selectedClosure && (
+            <div className="alert alert-warning mt-2 mb-0">
+              {selectedDate} is unavailable: {selectedClosure.closure_name}
+              {selectedClosure.open_time &&
+                ` (open ${selectedClosure.open_time} - ${selectedClosure.close_time} only)`}
+            </div>
+          )}
+          {closures.length > 0 && (
+            <small className="form-text text-muted">
+              Unavailable dates: {closures.map(formatClosure).join("; ")}
+            </small>
+          )}
         </div>
         <div className="form-group">
           <label htmlFor="inputTime" className="form-label font-weight-bold">
@@ -131,6 +239,28 @@ export default function ReservationForm({
             onChange={timeChangeHandler}
           ></input>
         </div>
+        <div className="form-group">
+          <label
+            htmlFor="inputSectionPreference"
+            className="form-label font-weight-bold"
+          >
+            Section Preference:
+          </label>
+          <select
+            name="section_preference"
+            className="form-control"
+            id="inputSectionPreference"
+            value={sectionPreference}
+            onChange={sectionPreferenceChangeHandler}
+          >
+            <option value="">No preference</option>
+            {sections.map((section) => (
+              <option value={section} key={section}>
+                {section}
+              </option>
+            ))}
+          </select>
+        </div>
         <hr></hr>
         <div>
           <button type="submit" className="btn btn-primary mr-2">
@@ -148,3 +278,35 @@ export default function ReservationForm({
     </>
   );
 }
+
+function formatClosure({
+  closure_name,
+  start_date,
+  end_date,
+  open_time,
+  close_time,
+}) {
+  const dates =
+    start_date === end_date ? start_date : `${start_date} to ${end_date}`;
+  const hours = open_time ? `${open_time} - ${close_time} only` : "closed";
+  return `${dates} ${closure_name} (${hours})`;
+}
+
+function formatGuest({
+  first_name,
+  last_name,
+  visit_count,
+  no_show_count,
+  last_visit,
+  notes,
+}) {
+  const name = [first_name, last_name].filter(Boolean).join(" ");
+  const visits = visit_count
+    ? `${visit_count} visit(s), last on ${last_visit}`
+    : "no visits yet";
+  const noShows = no_show_count ? `, ${no_show_count} no-show(s)` : "";
+  const guestNotes = notes ? ` Notes: ${notes}` : "";
+  return `${
+    visit_count ? "Regular" : "Known guest"
+  }: ${name} (${visits}${noShows}).${guestNotes}`;
+}
@@ -0,0 +1,55 @@
+import { formatAsDateTime } from "../utils/date-time";
+
+const EVENT_LABELS = { status: "Status", move: "Moved" };
+
+/**
+ * Describes what an event changed, e.g. "booked → seated at #1".
+ */
+function describeEvent({ event_type, old_values, new_values, table_name }) {
+  if (event_type === "status") {
+    const change = `${old_values.status} → ${new_values.status}`;
+    return table_name ? `${change} at ${table_name}` : change;
+  }
+
+  if (event_type === "move") {
+    return `${old_values.table_name} → ${new_values.table_name}`;
+  }
+
+  return Object.keys(new_values)
+    .map(
+      (property) =>
+        `${property}: ${old_values[property]} → ${new_values[property]}`
+    )
+    .join(", ");
+}
+
+/**
+ * Shows the status changes and edits of a reservation as a timeline.
+ * @param events
+ *  the history of the reservation, oldest first.
+ * @returns {JSX.Element}
+ */
+export default function ReservationHistory({ events = [] }) {
+  if (!events.length) return <p className="text-muted">No changes yet.</p>;
+
+  return (
+    <ul className="list-group">
+      {events.map((event) => (
+        <li
+          key={event.reservation_event_id}
+          className="list-group-item"
+          data-reservation-event-id={event.reservation_event_id}
+        >
+          <small className="text-muted">
+            {formatAsDateTime(event.created_at)}
+            {event.username && ` by ${event.username}`}
+          </small>
+          <div>
+            <strong>{EVENT_LABELS[event.event_type] || "Edited"}</strong>{" "}
+            {describeEvent(event)}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -1,4 +1,19 @@
 import CancelReservation from "./CancelReservation";
+import { can } from "../utils/api";
+import { currentTime, today } from "../utils/date-time";
+
+// statuses of reservations still waiting for a table
+const WAITING_STATUSES = ["booked", "confirmed", "arrived"];
+
+// only managers may edit a reservation once its time has come
+function canEdit({ reservation_date, reservation_time }) {
+  if (!can("reservations:edit")) return false;
+  const started =
+    reservation_date < today() ||
+    (reservation_date === today() &&
+      reservation_time.slice(0, 5) <= currentTime());
+  return !started || can("reservations:edit-past");
+}
 
 export default function ReservationView({ reservation }) {
   const {
@@ -14,7 +29,9 @@ export default function ReservationView({ reservation }) {
 
   return (
     <tr>
-      <td className="align-middle text-center">{reservation_id}</td>
+      <td className="align-middle text-center">
+        <a href={`/reservations/${reservation_id}`}>{reservation_id}</a>
+      </td>
       <td className="align-middle text-center">
         {first_name} {last_name}
       </td>
@@ -29,22 +46,28 @@ export default function ReservationView({ reservation }) {
         {status}
       </td>
 
-      {status === "booked" ? (
+      {WAITING_STATUSES.includes(status) ? (
         <>
           <td>
-            <a
-              className="btn btn-primary mx-1 mb-1"
-              href={`/reservations/${reservation_id}/seat`}
-            >
-              Seat
-            </a>
-            <a
-              className="btn btn-secondary mx-1 mb-1"
-              href={`/reservations/${reservation_id}/edit`}
-            >
-              Edit
-            </a>
-            <CancelReservation reservation={reservation} />
+            {can("tables:seat") && (
+              <a
+                className="btn btn-primary mx-1 mb-1"
+                href={`/reservations/${reservation_id}/seat`}
+              >
+                Seat
+              </a>
+            )}
+            {canEdit(reservation) && (
+              <a
+                className="btn btn-secondary mx-1 mb-1"
+                href={`/reservations/${reservation_id}/edit`}
+              >
+                Edit
+              </a>
+            )}
+            {can("reservations:change-status") && (
+              <CancelReservation reservation={reservation} />
+            )}
           </td>
         </>
       ) : (
@@ -1,11 +1,25 @@
-import { useState } from "react";
-import { listReservations } from "../utils/api";
+import { useEffect, useState } from "react";
+import { listReservations, subscribeToChanges } from "../utils/api";
 import ReservationsList from "./ReservationsList";
 
 export default function SearchReservation() {
   const [mobileNumber, setMobileNumber] = useState("");
   const [reservations, setReservations] = useState([]);
 
+  // Patch the reservations found as anyone changes them
+  useEffect(() => {
+    return subscribeToChanges({
+      onReservation: (reservation) =>
+        setReservations((current) =>
+          current.map((found) =>
+            found.reservation_id === reservation.reservation_id
+              ? reservation
+              : found
+          )
+        ),
+    });
+  }, []);
+
   const mobileNumberChangeHandler = (event) =>
     setMobileNumber(event.target.value);
   async function findClickHandler(event) {
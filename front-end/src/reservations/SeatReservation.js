@@ -1,6 +1,12 @@
 import { useEffect, useState } from "react";
 import { useParams, useHistory } from "react-router-dom";
-import { readReservation, listTables, updateTable } from "../utils/api";
+import {
+  readReservation,
+  listTables,
+  listTableSuggestions,
+  updateTable,
+  newIdempotencyKey,
+} from "../utils/api";
 import ErrorAlert from "../layout/ErrorAlert";
 
 export default function SeatReservation() {
@@ -8,7 +14,10 @@ export default function SeatReservation() {
   console.log(reservation_id);
   const [reservation, setReservation] = useState({});
   const [tables, setTables] = useState([]);
-  const [tableId, setTableId] = useState(0);
+  const [suggestions, setSuggestions] = useState([]);
+  const [tableId, setTableId] = useState("");
+  const [combinedIds, setCombinedIds] = useState([]);
+  const [idempotencyKey] = useState(newIdempotencyKey);
   const [error, setError] = useState("");
   const history = useHistory();
 
@@ -25,6 +34,28 @@ export default function SeatReservation() {
     return () => abortController.abort();
   }, []);
 
+  // Get request for the free tables that fit, best first, pre-selecting the top one
+  useEffect(() => {
+    const abortController = new AbortController();
+
+    async function loadSuggestions() {
+      try {
+        const data = await listTableSuggestions(
+          reservation_id,
+          abortController.signal
+        );
+        setSuggestions(data);
+        if (data.length) setTableId(String(data[0].table_id));
+      } catch (error) {
+        setSuggestions([]);
+      }
+    }
+
+    loadSuggestions();
+
+    return () => abortController.abort();
+  }, [reservation_id]);
+
   useEffect(() => {
     const abortController = new AbortController();
 
@@ -46,11 +77,12 @@ export default function SeatReservation() {
 
     const abortController = new AbortController();
     const updatedTable = {
-      table_id: tableId,
+      table_id: Number(tableId),
       reservation_id: reservation.reservation_id,
+      table_ids: combinedIds.filter((id) => String(id) !== tableId),
     };
     try {
-      await updateTable(updatedTable, abortController.signal);
+      await updateTable(updatedTable, abortController.signal, idempotencyKey);
     } catch (error) {
       setError(error);
       return;
@@ -59,8 +91,38 @@ export default function SeatReservation() {
     return () => abortController.abort();
   };
 
-  // filter tables without an assigned reservation
-  const unassignedTables = tables.filter((table) => !table.reservation_id);
+  // filter tables without an assigned reservation, suggested ones first
+  const suggestedIds = suggestions.map(({ table_id }) => table_id);
+  const unassignedTables = [
+    ...suggestions,
+    ...tables.filter(
+      (table) => !table.reservation_id && !suggestedIds.includes(table.table_id)
+    ),
+  ];
+  const selectedSuggestion = suggestions.find(
+    (table) => String(table.table_id) === tableId
+  );
+
+  // other free tables that can be combined with the chosen one for a large party
+  const combinableTables = unassignedTables.filter(
+    (table) => String(table.table_id) !== tableId
+  );
+  const combinedCapacity = unassignedTables
+    .filter(
+      (table) =>
+        String(table.table_id) === tableId ||
+        combinedIds.includes(table.table_id)
+    )
+    .reduce((sum, table) => sum + table.capacity, 0);
+
+  const combineChangeHandler = ({ target }) => {
+    const table_id = Number(target.value);
+    setCombinedIds((previous) =>
+      target.checked
+        ? [...previous, table_id]
+        : previous.filter((id) => id !== table_id)
+    );
+  };
 
   return (
     <div>
@@ -76,9 +138,10 @@ export default function SeatReservation() {
           <select
             name="table_id"
             className="form-select"
+            value={tableId}
             onChange={(e) => setTableId(e.target.value)}
           >
-            <option defaultValue>Choose a table</option>
+            <option value="">Choose a table</option>
             {unassignedTables.map((table) => (
               <option
                 value={table.table_id}
@@ -86,7 +149,36 @@ export default function SeatReservation() {
               >{`${table.table_name} - ${table.capacity}`}</option>
             ))}
           </select>
+          {selectedSuggestion && (
+            <small className="form-text text-muted">
+              {selectedSuggestion.reasons.join(" ")}
+            </small>
+          )}
         </div>
+        {tableId && combinableTables.length > 0 && (
+          <div className="col-md-6">
+            <h6>Combine with</h6>
+            {combinableTables.map((table) => (
+              <div className="form-check" key={table.table_id}>
+                <input
+                  type="checkbox"
+                  className="form-check-input"
+                  id={`combine-${table.table_id}`}
+                  value={table.table_id}
+                  checked={combinedIds.includes(table.table_id)}
+                  onChange={combineChangeHandler}
+                />
+                <label
+                  className="form-check-label"
+                  htmlFor={`combine-${table.table_id}`}
+                >{`${table.table_name} - ${table.capacity}`}</label>
+              </div>
+            ))}
+            <small className="form-text text-muted">
+              {`Seats ${combinedCapacity} for a party of ${reservation.people}.`}
+            </small>
+          </div>
+        )}
         <div className="col-md-6">
           <button className="btn btn-primary" type="submit">
             Submit
@@ -1,8 +1,11 @@
+import { useState } from "react";
 import { useHistory } from "react-router-dom";
 import { deleteTableReservation } from "../utils/api";
+import ErrorAlert from "../layout/ErrorAlert";
 
 export default function FinishTable({ table_id }) {
   const history = useHistory();
+  const [error, setError] = useState(null);
 
   async function finishClickHandler(event) {
     event.preventDefault();
@@ -14,25 +17,27 @@ export default function FinishTable({ table_id }) {
 
     if (!finishTable) return history.push("/dashboard");
 
+    setError(null);
     try {
       await deleteTableReservation(table_id, abortController.signal);
     } catch (error) {
-      console.log(error.message);
+      setError(error);
     }
 
-    window.location.reload();
-
     return () => abortController.abort();
   }
 
   return (
-    <button
-      type="button"
-      className="btn btn-primary"
-      data-table-id-finish={table_id}
-      onClick={(event) => finishClickHandler(event)}
-    >
-      Finish
-    </button>
+    <>
+      <button
+        type="button"
+        className="btn btn-primary"
+        data-table-id-finish={table_id}
+        onClick={(event) => finishClickHandler(event)}
+      >
+        Finish
+      </button>
+      <ErrorAlert error={error} />
+    </>
   );
 }
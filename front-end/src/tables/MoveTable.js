@@ -0,0 +1,95 @@
+import { useEffect, useState } from "react";
+import { useHistory, useParams } from "react-router-dom";
+import { listTables, moveTable } from "../utils/api";
+import ErrorAlert from "../layout/ErrorAlert";
+
+/**
+ * Moves the party seated at the table in the URL to another free table.
+ * @returns {JSX.Element}
+ */
+export default function MoveTable() {
+  const { table_id } = useParams();
+  const history = useHistory();
+  const [tables, setTables] = useState([]);
+  const [targetTableId, setTargetTableId] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const abortController = new AbortController();
+
+    async function loadTables() {
+      const data = await listTables(abortController.signal);
+      setTables(data);
+    }
+
+    loadTables();
+
+    return () => abortController.abort();
+  }, []);
+
+  const cancelClickHandler = () => history.goBack();
+
+  async function submitHandler(event) {
+    event.preventDefault();
+    const abortController = new AbortController();
+
+    try {
+      await moveTable(table_id, Number(targetTableId), abortController.signal);
+    } catch (error) {
+      setError(error);
+      return;
+    }
+
+    history.push("/dashboard");
+    return () => abortController.abort();
+  }
+
+  const source = tables.find((table) => String(table.table_id) === table_id);
+  const freeTables = tables.filter((table) => !table.reservation_id);
+
+  return (
+    <div>
+      <h1>Move Table</h1>
+      <div>
+        <h4>
+          {source
+            ? `Move the party at ${source.table_name} to another table.`
+            : "Move the party to another table."}
+        </h4>
+      </div>
+      <hr></hr>
+      {error && <ErrorAlert error={error} />}
+      <form className="row g-3" onSubmit={submitHandler}>
+        <div className="col-md-6">
+          <select
+            name="table_id"
+            className="form-select"
+            value={targetTableId}
+            required={true}
+            onChange={(event) => setTargetTableId(event.target.value)}
+          >
+            <option value="">Choose a table</option>
+            {freeTables.map((table) => (
+              <option
+                value={table.table_id}
+                key={table.table_id}
+              >{`${table.table_name} - ${table.capacity}`}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-md-6">
+          <button className="btn btn-primary mr-2" type="submit">
+            Move
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary mr-2"
+            onClick={cancelClickHandler}
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
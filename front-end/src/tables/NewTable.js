@@ -1,16 +1,19 @@
 import { useState } from "react";
 import { useHistory } from "react-router-dom";
-import { createTable } from "../utils/api";
+import { createTable, newIdempotencyKey } from "../utils/api";
 import ErrorAlert from "../layout/ErrorAlert";
 
 export default function NewTable() {
   const history = useHistory();
   const [tableName, setTableName] = useState("");
   const [capacity, setCapacity] = useState(0);
+  const [section, setSection] = useState("");
+  const [idempotencyKey] = useState(newIdempotencyKey);
   const [error, setError] = useState("");
 
   const tableNameChangeHandler = (event) => setTableName(event.target.value);
   const capacityChangeHandler = (event) => setCapacity(event.target.value);
+  const sectionChangeHandler = (event) => setSection(event.target.value);
   const cancelClickHandler = () => history.goBack();
 
   async function submitClickHandler(event) {
@@ -19,10 +22,11 @@ export default function NewTable() {
     const newTable = {
       table_name: tableName,
       capacity: Number(capacity),
+      section: section.trim() || null,
     };
 
     try {
-      await createTable(newTable, abortController.signal);
+      await createTable(newTable, abortController.signal, idempotencyKey);
     } catch (error) {
       setError(error);
       return;
@@ -75,6 +79,19 @@ export default function NewTable() {
             onChange={capacityChangeHandler}
           ></input>
         </div>
+        <div>
+          <label htmlFor="inputSection" className="form-label font-weight-bold">
+            Section (optional)
+          </label>
+          <input
+            name="section"
+            type="text"
+            className="form-control"
+            id="inputSection"
+            placeholder="Ex: patio"
+            onChange={sectionChangeHandler}
+          ></input>
+        </div>
         <hr></hr>
         <div>
           <button type="submit" className="btn btn-primary mr-2">
@@ -1,4 +1,5 @@
 import FinishTable from "./FinishTable";
+import { can } from "../utils/api";
 
 export default function TableView({ table }) {
   const { table_id, table_name, capacity, reservation_id } = table;
@@ -14,7 +15,30 @@ export default function TableView({ table }) {
       </td>
 
       <td className="align-middle text-center">
-        {reservation_id && <FinishTable table_id={table_id} />}
+        {reservation_id ? (
+          <>
+            {can("tables:finish") && <FinishTable table_id={table_id} />}{" "}
+            {can("tables:seat") && (
+              <a
+                href={`/tables/${table_id}/move`}
+                className="btn btn-secondary"
+                data-table-id-move={table_id}
+              >
+                Move
+              </a>
+            )}
+          </>
+        ) : (
+          can("tables:seat") && (
+            <a
+              href={`/tables/${table_id}/walk-in`}
+              className="btn btn-secondary"
+              data-table-id-walk-in={table_id}
+            >
+              Walk-in
+            </a>
+          )
+        )}
       </td>
     </tr>
   );
@@ -0,0 +1,130 @@
+import { useState } from "react";
+import { useHistory, useParams } from "react-router-dom";
+import { createWalkIn } from "../utils/api";
+import ErrorAlert from "../layout/ErrorAlert";
+
+/**
+ * Books a walk-in party for now and seats it at the table in the URL.
+ * @returns {JSX.Element}
+ */
+export default function WalkIn() {
+  const { table_id } = useParams();
+  const history = useHistory();
+  const [firstName, setFirstName] = useState("");
+  const [lastName, setLastName] = useState("");
+  const [mobileNumber, setMobileNumber] = useState("");
+  const [party, setParty] = useState("");
+  const [error, setError] = useState("");
+
+  const cancelClickHandler = () => history.goBack();
+
+  async function submitClickHandler(event) {
+    event.preventDefault();
+    const abortController = new AbortController();
+    const walkIn = {
+      first_name: firstName,
+      last_name: lastName,
+      mobile_number: mobileNumber,
+      people: Number(party),
+      table_id: Number(table_id),
+    };
+
+    try {
+      await createWalkIn(walkIn, abortController.signal);
+    } catch (error) {
+      setError(error);
+      return;
+    }
+
+    history.push(`/dashboard`);
+    return () => abortController.abort();
+  }
+
+  return (
+    <div>
+      <h1>Walk-in</h1>
+      <div>
+        <h4>Seat a party without a reservation at this table now.</h4>
+      </div>
+      <hr></hr>
+      {error && <ErrorAlert error={error} />}
+      <form onSubmit={submitClickHandler}>
+        <div>
+          <label
+            htmlFor="inputFirstName"
+            className="form-label font-weight-bold"
+          >
+            First Name
+          </label>
+          <input
+            name="first_name"
+            type="text"
+            className="form-control"
+            id="inputFirstName"
+            required={true}
+            onChange={(event) => setFirstName(event.target.value)}
+          ></input>
+        </div>
+        <div>
+          <label
+            htmlFor="inputLastName"
+            className="form-label font-weight-bold"
+          >
+            Last Name
+          </label>
+          <input
+            name="last_name"
+            type="text"
+            className="form-control"
+            id="inputLastName"
+            required={true}
+            onChange={(event) => setLastName(event.target.value)}
+          ></input>
+        </div>
+        <div>
+          <label
+            htmlFor="inputMobileNumber"
+            className="form-label font-weight-bold"
+          >
+            Mobile Number
+          </label>
+          <input
+            name="mobile_number"
+            type="tel"
+            className="form-control"
+            id="inputMobileNumber"
+            required={true}
+            onChange={(event) => setMobileNumber(event.target.value)}
+          ></input>
+        </div>
+        <div>
+          <label htmlFor="inputPeople" className="form-label font-weight-bold">
+            Party Size
+          </label>
+          <input
+            name="people"
+            type="number"
+            min="1"
+            className="form-control"
+            id="inputPeople"
+            required={true}
+            onChange={(event) => setParty(event.target.value)}
+          ></input>
+        </div>
+        <hr></hr>
+        <div>
+          <button type="submit" className="btn btn-primary mr-2">
+            Seat
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary mr-2"
+            onClick={cancelClickHandler}
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
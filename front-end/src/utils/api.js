@@ -4,6 +4,7 @@
  */
 import formatReservationDate from "./format-reservation-date";
 import formatReservationTime from "./format-reservation-date";
+import formatClosureDates from "./format-closure-dates";
 
 const API_BASE_URL =
   process.env.REACT_APP_API_BASE_URL || "http://localhost:5000";
@@ -15,6 +16,56 @@ const API_BASE_URL =
 const headers = new Headers();
 headers.append("Content-Type", "application/json");
 
+/**
+ * Where the login token and the logged-in staff user are kept in the browser
+ */
+const TOKEN_KEY = "token";
+const STAFF_USER_KEY = "staffUser";
+
+/**
+ * The staff user who is logged in, or null.
+ */
+export function readStaffUser() {
+  return JSON.parse(window.localStorage.getItem(STAFF_USER_KEY));
+}
+
+/**
+ * Whether the role of the logged-in staff user has the permission, such as
+ * "tables:create". The API enforces the same permissions; this only decides
+ * which actions are shown.
+ */
+export function can(permission) {
+  const staffUser = readStaffUser();
+  return Boolean(
+    staffUser && (staffUser.permissions || []).includes(permission)
+  );
+}
+
+function forgetLogin() {
+  window.localStorage.removeItem(TOKEN_KEY);
+  window.localStorage.removeItem(STAFF_USER_KEY);
+}
+
+/**
+ * Generates a key for the Idempotency-Key header. A form keeps the same key
+ * for every submission, so that a double-click or a retry is saved only once.
+ */
+export function newIdempotencyKey() {
+  if (window.crypto && window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * The default headers along with the Idempotency-Key header
+ */
+function idempotentHeaders(idempotencyKey) {
+  const keyHeaders = new Headers(headers);
+  keyHeaders.append("Idempotency-Key", idempotencyKey);
+  return keyHeaders;
+}
+
 /**
  * Fetch `json` from the specified URL and handle error status codes and ignore `AbortError`s
  *
@@ -28,11 +79,27 @@ headers.append("Content-Type", "application/json");
  *  value to return if fetch call is aborted. Default value is undefined.
  * @returns {Promise<Error|any>}
  *  a promise that resolves to the `json` data or an error.
- *  If the response is not in the 200 - 399 range the promise is rejected.
+ *  If the response is not in the 200 - 399 range the promise is rejected,
+ *  with the invalid fields of a 400 in `errors` and the ID of the request in `request_id`.
+ *  The login token is sent along, and a 401 goes to the Login page.
  */
 async function fetchJson(url, options, onCancel) {
   try {
-    const response = await fetch(url, options);
+    const token = window.localStorage.getItem(TOKEN_KEY);
+    const authorizedHeaders = new Headers(options.headers);
+    if (token) authorizedHeaders.set("Authorization", `Bearer ${token}`);
+
+    const response = await fetch(url, {
+      ...options,
+      headers: authorizedHeaders,
+    });
+
+    // the login is missing or has expired
+    if (response.status === 401 && window.location.pathname !== "/login") {
+      forgetLogin();
+      window.location.assign("/login");
+      return onCancel;
+    }
 
     if (response.status === 204) {
       return null;
@@ -41,7 +108,13 @@ async function fetchJson(url, options, onCancel) {
     const payload = await response.json();
 
     if (payload.error) {
-      return Promise.reject({ message: payload.error });
+      return Promise.reject({
+        message: payload.error,
+        status: response.status,
+        errors: payload.errors,
+        data: payload.data,
+        request_id: payload.request_id,
+      });
     }
     return payload.data;
   } catch (error) {
@@ -53,6 +126,36 @@ async function fetchJson(url, options, onCancel) {
   }
 }
 
+/**
+ * Logs a staff member in, keeping the token for the following requests.
+ * @param credentials
+ *  must have 'username' and 'password' properties.
+ * @param signal
+ *  optional AbortController.signal
+ * @returns {Promise<staffUser>}
+ *  a promise that resolves to the logged-in staff user.
+ */
+export async function login(credentials, signal) {
+  const url = `${API_BASE_URL}/auth/login`;
+  const options = {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ data: credentials }),
+    signal,
+  };
+  const { token, staff_user } = await fetchJson(url, options, {});
+  window.localStorage.setItem(TOKEN_KEY, token);
+  window.localStorage.setItem(STAFF_USER_KEY, JSON.stringify(staff_user));
+  return staff_user;
+}
+
+/**
+ * Logs the staff member out by forgetting the token.
+ */
+export function logout() {
+  forgetLogin();
+}
+
 /**
  * Retrieves all existing reservations.
  * @returns {Promise<[reservation]>}
@@ -90,15 +193,21 @@ export async function readReservation(reservation_id, signal) {
  * Must have 'first_name', 'last_name', 'mobile_number', 'reservation_date', 'reservation_time', and 'people' properties.
  * @param signal
  * optional AbortController.signal
+ * @param idempotencyKey
+ * optional key of the form submission, see `newIdempotencyKey`. A new key is generated when missing.
  * @returns {Promise<reservation>}
  * a promise that resolves the saved reservation.
  * Adds a 'reservation_id' and 'status' property with the default value of "booked".
  */
-export async function createReservation(reservation, signal) {
+export async function createReservation(
+  reservation,
+  signal,
+  idempotencyKey = newIdempotencyKey()
+) {
   const url = `${API_BASE_URL}/reservations`;
   const options = {
     method: "POST",
-    headers,
+    headers: idempotentHeaders(idempotencyKey),
     body: JSON.stringify({ data: reservation }),
     signal,
   };
@@ -108,7 +217,9 @@ export async function createReservation(reservation, signal) {
 /**
  * Updates the status of an existing reservation
  * @param updatedReservation
- * the reservation to update, which must have a 'status' property
+ * the reservation to update, which must have a 'status' property. With the
+ * 'updated_at' it was read with, the promise is rejected with a 409 status
+ * if someone else has saved it since.
  * @param signal
  * optional AbortController.signal
  * @returns {Promise<Error>}
@@ -125,6 +236,20 @@ export async function updateReservationStatus(updatedReservation, signal) {
   return await fetchJson(url, options, updatedReservation);
 }
 
+/**
+ * Retrieves the free tables that fit a reservation, best first.
+ * @param reservation_id
+ *  the 'reservation_id' property of the reservation to seat
+ * @param signal
+ *  optional AbortController.signal
+ * @returns {Promise<[table]>}
+ *  a promise that resolves to a possibly empty array of tables, each with the 'reasons' for its rank.
+ */
+export async function listTableSuggestions(reservation_id, signal) {
+  const url = `${API_BASE_URL}/reservations/${reservation_id}/table-suggestions`;
+  return await fetchJson(url, { headers, signal }, []);
+}
+
 /**
  * Retrieves all existing tables.
  * @returns {Promise<[table]>}
@@ -156,14 +281,20 @@ export async function deleteTableReservation(table_id, signal) {
  * the reservation to save, which must have a 'reservation_id' property
  * @param signal
  * optional AbortController.signal
+ * @param version
+ * 'updated_at' of the reservation as it was read. If someone else has
+ * saved it since, the promise is rejected with a 409 status and the current
+ * reservation as 'data'.
  * @returns {Promise<Error>}
  * a promise that resolves to the updated reservation
  */
-export async function updateReservation(updatedReservation, signal) {
+export async function updateReservation(updatedReservation, signal, version) {
   const url = `${API_BASE_URL}/reservations/${updatedReservation.reservation_id}`;
+  const versionHeaders = new Headers(headers);
+  if (version) versionHeaders.append("If-Match", `"${version}"`);
   const options = {
     method: "PUT",
-    headers,
+    headers: versionHeaders,
     body: JSON.stringify({ data: updatedReservation }),
     signal,
   };
@@ -177,15 +308,21 @@ export async function updateReservation(updatedReservation, signal) {
  * Must have 'table_name' and 'capacity' properties.
  * @param signal
  * optional AbortController.signal
+ * @param idempotencyKey
+ * optional key of the form submission, see `newIdempotencyKey`. A new key is generated when missing.
  * @returns {Promise<table>}
  * a promise that resolves the saved table.
  * Adds a 'table_id'  property
  */
-export async function createTable(table, signal) {
+export async function createTable(
+  table,
+  signal,
+  idempotencyKey = newIdempotencyKey()
+) {
   const url = `${API_BASE_URL}/tables`;
   const options = {
     method: "POST",
-    headers,
+    headers: idempotentHeaders(idempotencyKey),
     body: JSON.stringify({ data: table }),
     signal,
   };
@@ -195,19 +332,325 @@ export async function createTable(table, signal) {
 /**
  * Updates an existing table
  * @param updatedTable
- *  the table to save, which must have a 'table_id' property
+ *  the table to save, which must have a 'table_id' property and may have the
+ *  'table_ids' of other tables to combine with it for a large party
  * @param signal
  *  optional AbortController.signal
+ * @param idempotencyKey
+ *  optional key of the form submission, see `newIdempotencyKey`. A new key is generated when missing.
  * @returns {Promise<Error>}
  * a pomise that resolves to the updated table and updates reservation 'status' to be "seated"
  */
-export async function updateTable(updatedTable, signal) {
+export async function updateTable(
+  updatedTable,
+  signal,
+  idempotencyKey = newIdempotencyKey()
+) {
   const url = `${API_BASE_URL}/tables/${updatedTable.table_id}/seat`;
   const options = {
     method: "PUT",
-    headers,
+    headers: idempotentHeaders(idempotencyKey),
     body: JSON.stringify({ data: updatedTable }),
     signal,
   };
   return await fetchJson(url, options, updatedTable);
 }
+
+/**
+ * Moves the party seated at a table to another free table, keeping it seated.
+ * @param table_id
+ *  the id of the table the party is seated at
+ * @param targetTableId
+ *  the id of the table to move the party to
+ * @param signal
+ *  optional AbortController.signal
+ * @returns {Promise<table>}
+ *  a promise that resolves to the table the party moved to.
+ */
+export async function moveTable(table_id, targetTableId, signal) {
+  const url = `${API_BASE_URL}/tables/${table_id}/move`;
+  const options = {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ data: { table_id: targetTableId } }),
+    signal,
+  };
+  return await fetchJson(url, options, {});
+}
+
+/**
+ * Books a walk-in party for now and seats it, in one step.
+ * @param walkIn
+ * Must have 'first_name', 'last_name', 'mobile_number' and 'people' properties.
+ * May have a 'table_id', otherwise the smallest free table that fits is picked.
+ * @param signal
+ * optional AbortController.signal
+ * @returns {Promise<reservation>}
+ * a promise that resolves the seated reservation, with the 'table_id' of its table.
+ */
+export async function createWalkIn(walkIn, signal) {
+  const url = `${API_BASE_URL}/walk-ins`;
+  const options = {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ data: walkIn }),
+    signal,
+  };
+  return await fetchJson(url, options, {});
+}
+
+/**
+ * Retrieves the restaurant's time zone, which decides what today and now are.
+ * @param signal
+ *  optional AbortController.signal
+ * @returns {Promise<{time_zone}>}
+ *  a promise that resolves to the IANA time zone as 'time_zone'.
+ */
+export async function readTimeZone(signal) {
+  const url = `${API_BASE_URL}/settings/time-zone`;
+  return await fetchJson(url, { headers, signal }, {});
+}
+
+/**
+ * Retrieves closures (holidays, private events and days with custom hours).
+ * @param params
+ *  optional query parameters, e.g. `{ from: "YYYY-MM-DD" }` to skip past closures
+ * @param signal
+ *  optional AbortController.signal
+ * @returns {Promise<[closure]>}
+ *  a promise that resolves to a possibly empty array of closures.
+ */
+export async function listClosures(params, signal) {
+  const url = new URL(`${API_BASE_URL}/closures`);
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.append(key, value.toString())
+  );
+  return await fetchJson(url, { headers, signal }, []).then(formatClosureDates);
+}
+
+/**
+ * Retrieves the pacing load (arriving parties and covers) of each interval of a date.
+ * @param params
+ *  query parameters, must include `date` as YYYY-MM-DD
+ * @param signal
+ *  optional AbortController.signal
+ * @returns {Promise<[interval]>}
+ *  a promise that resolves to a possibly empty array of intervals with arrivals.
+ */
+export async function listPacing(params, signal) {
+  const url = new URL(`${API_BASE_URL}/availability/pacing`);
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.append(key, value.toString())
+  );
+  return await fetchJson(url, { headers, signal }, []);
+}
+
+/**
+ * Retrieves the history (status changes and edits) of a reservation, oldest first.
+ * @param reservation_id
+ *  the 'reservation_id' property of the reservation
+ * @param signal
+ *  optional AbortController.signal
+ * @returns {Promise<[event]>}
+ *  a promise that resolves to a possibly empty array of events, each with 'event_type', 'old_values' and 'new_values' properties.
+ */
+export async function listReservationHistory(reservation_id, signal) {
+  const url = `${API_BASE_URL}/reservations/${reservation_id}/history`;
+  return await fetchJson(url, { headers, signal }, []);
+}
+
+/**
+ * Retrieves guest profiles, with their visit count, no-show count, last visit and notes.
+ * @param params
+ *  optional query parameters, e.g. `{ mobile_number }` to find the guest with that number in any format
+ * @param signal
+ *  optional AbortController.signal
+ * @returns {Promise<[guest]>}
+ *  a promise that resolves to a possibly empty array of guests.
+ */
+export async function listGuests(params, signal) {
+  const url = new URL(`${API_BASE_URL}/guests`);
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.append(key, value.toString())
+  );
+  return await fetchJson(url, { headers, signal }, []);
+}
+
+/**
+ * Retrieves the parties still waiting for a table, first come first.
+ * @param signal
+ *  optional AbortController.signal
+ * @returns {Promise<[entry]>}
+ *  a promise that resolves to a possibly empty array of waitlist entries.
+ */
+export async function listWaitlist(signal) {
+  const url = new URL(`${API_BASE_URL}/waitlist`);
+  return await fetchJson(url, { headers, signal }, []);
+}
+
+/**
+ * Retrieves the estimated wait of a walk-in party.
+ * @param params
+ *  query parameters, must include `people`
+ * @param signal
+ *  optional AbortController.signal
+ * @returns {Promise<estimate>}
+ *  a promise that resolves to an estimate with 'wait_minutes' (null with a 'reason' when no table fits) and 'parties_ahead'.
+ */
+export async function readWaitlistEstimate(params, signal) {
+  const url = new URL(`${API_BASE_URL}/waitlist/estimate`);
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.append(key, value.toString())
+  );
+  return await fetchJson(url, { headers, signal }, {});
+}
+
+/**
+ * Adds a walk-in party to the waitlist.
+ * @param entry
+ * Must have 'party_name', 'mobile_number' and 'party_size' properties, and may have 'quoted_wait_minutes'.
+ * @param signal
+ * optional AbortController.signal
+ * @returns {Promise<entry>}
+ * a promise that resolves the saved entry, with its 'waitlist_id', 'status' of "waiting" and 'joined_at'.
+ */
+export async function createWaitlistEntry(entry, signal) {
+  const url = `${API_BASE_URL}/waitlist`;
+  const options = {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ data: entry }),
+    signal,
+  };
+  return await fetchJson(url, options, {});
+}
+
+/**
+ * Records that a waiting party was told their table is ready.
+ * @param waitlist_id
+ * the id of the waitlist entry
+ * @param signal
+ * optional AbortController.signal
+ * @returns {Promise<entry>}
+ * a promise that resolves to the entry with a 'status' of "notified"
+ */
+export async function notifyWaitlistEntry(waitlist_id, signal) {
+  const url = `${API_BASE_URL}/waitlist/${waitlist_id}/notify`;
+  const options = { method: "PUT", headers, signal };
+  return await fetchJson(url, options, {});
+}
+
+/**
+ * Seats a waiting party at a table, as a walk-in reservation starting now.
+ * @param waitlist_id
+ * the id of the waitlist entry
+ * @param table_id
+ * the id of a free table that fits the party
+ * @param signal
+ * optional AbortController.signal
+ * @returns {Promise<entry>}
+ * a promise that resolves to the entry with a 'status' of "seated" and its 'reservation_id'
+ */
+export async function seatWaitlistEntry(waitlist_id, table_id, signal) {
+  const url = `${API_BASE_URL}/waitlist/${waitlist_id}/seat`;
+  const options = {
+    method: "PUT",
+    headers,
+    body: JSON.stringify({ data: { table_id } }),
+    signal,
+  };
+  return await fetchJson(url, options, {});
+}
+
+/**
+ * Removes a party from the waitlist.
+ * @param waitlist_id
+ * the id of the waitlist entry
+ * @param signal
+ * optional AbortController.signal
+ * @returns {Promise<null>}
+ */
+export async function deleteWaitlistEntry(waitlist_id, signal) {
+  const url = `${API_BASE_URL}/waitlist/${waitlist_id}`;
+  const options = { method: "DELETE", signal };
+  return await fetchJson(url, options);
+}
+
+/**
+ * Milliseconds before reopening an event stream the server closed, doubling
+ * after every failed try up to MAX_RECONNECT_DELAY_MS
+ */
+const RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 60000;
+
+/**
+ * Listens to the reservation, table and waitlist changes made by everyone, as
+ * they happen. The browser reconnects a dropped stream by itself, and a stream
+ * the server has closed is reopened here. Changes made while disconnected are
+ * missed, so `onReconnect` is called to load everything again. Where there is
+ * no EventSource, e.g. under jsdom, nothing is listened to.
+ * @param handlers
+ *  optional onReservation, onReservationDeleted, onTable, onTableDeleted,
+ *  onWaitlist, onWaitlistDeleted and onReconnect functions, each called with
+ *  the data of its event.
+ * @returns {function}
+ *  a function that closes the stream.
+ */
+export function subscribeToChanges(handlers) {
+  const {
+    onReservation = () => {},
+    onReservationDeleted = () => {},
+    onTable = () => {},
+    onTableDeleted = () => {},
+    onWaitlist = () => {},
+    onWaitlistDeleted = () => {},
+    onReconnect = () => {},
+  } = handlers;
+  if (typeof EventSource === "undefined") return () => {};
+
+  let source;
+  let reconnectTimeout;
+  let reconnectDelay = RECONNECT_DELAY_MS;
+  let dropped = false;
+
+  function on(event, handler) {
+    source.addEventListener(event, (message) =>
+      handler(JSON.parse(message.data))
+    );
+  }
+
+  function open() {
+    const token = window.localStorage.getItem(TOKEN_KEY) || "";
+    source = new EventSource(
+      `${API_BASE_URL}/events?access_token=${encodeURIComponent(token)}`
+    );
+
+    source.onopen = () => {
+      reconnectDelay = RECONNECT_DELAY_MS;
+      if (dropped) onReconnect();
+      dropped = false;
+    };
+    source.onerror = () => {
+      dropped = true;
+      if (source.readyState !== EventSource.CLOSED) return;
+      reconnectTimeout = setTimeout(open, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+    };
+
+    on("reservation", (reservation) =>
+      onReservation(formatReservationDate(reservation))
+    );
+    on("reservation-deleted", onReservationDeleted);
+    on("table", onTable);
+    on("table-deleted", onTableDeleted);
+    on("waitlist", onWaitlist);
+    on("waitlist-deleted", onWaitlistDeleted);
+  }
+
+  open();
+
+  return () => {
+    clearTimeout(reconnectTimeout);
+    source.close();
+  };
+}
@@ -2,7 +2,22 @@ const dateFormat = /\d\d\d\d-\d\d-\d\d/;
 const timeFormat = /\d\d:\d\d/;
 
 /**
- * Formats a Date object as YYYY-MM-DD.
+ * The restaurant's IANA time zone.
+ * The API's default until `setRestaurantTimeZone` is called with the one it serves at `/settings/time-zone`.
+ */
+let restaurantTimeZone = "America/Los_Angeles";
+
+/**
+ * Sets the restaurant's time zone, as read from the API.
+ * @param timeZone
+ *  an IANA time zone, e.g. "America/New_York"
+ */
+export function setRestaurantTimeZone(timeZone) {
+  restaurantTimeZone = timeZone;
+}
+
+/**
+ * Formats a Date object as YYYY-MM-DD in the restaurant's time zone.
  *
  * This function is *not* exported because the UI should generally avoid working directly with Date instance.
  * You may export this function if you need it.
@@ -13,9 +28,50 @@ const timeFormat = /\d\d:\d\d/;
  *  the specified Date formatted as YYYY-MM-DD
  */
 function asDateString(date) {
-  return `${date.getFullYear().toString(10)}-${(date.getMonth() + 1)
-    .toString(10)
-    .padStart(2, "0")}-${date.getDate().toString(10).padStart(2, "0")}`;
+  const { year, month, day } = new Intl.DateTimeFormat("en-US", {
+    timeZone: restaurantTimeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  })
+    .formatToParts(date)
+    .reduce((parts, { type, value }) => ({ ...parts, [type]: value }), {});
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Formats a Date object as HH:MM in the restaurant's time zone.
+ *
+ * @param date
+ *  an instance of a date object
+ * @returns {string}
+ *  the specified Date formatted as HH:MM
+ */
+function asTimeString(date) {
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone: restaurantTimeZone,
+    hourCycle: "h23",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).format(date);
+}
+
+/**
+ * Adds a number of days to a YYYY-MM-DD calendar date.
+ *
+ * The arithmetic is done in UTC so that neither the browser's time zone nor daylight saving time can shift the date.
+ *
+ * @param currentDate
+ *  a date string in YYYY-MM-DD format
+ * @param days
+ *  the number of days to add, may be negative
+ * @returns {string}
+ *  the resulting date formatted as YYYY-MM-DD
+ */
+function addDays(currentDate, days) {
+  const [year, month, day] = currentDate.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return date.toISOString().slice(0, 10);
 }
 
 /**
@@ -41,7 +97,7 @@ export function formatAsTime(timeString) {
 }
 
 /**
- * Today's date as YYYY-MM-DD.
+ * Today's date in the restaurant's time zone as YYYY-MM-DD.
  * @returns {*}
  *  the today's date formatted as YYYY-MM-DD
  */
@@ -49,6 +105,15 @@ export function today() {
   return asDateString(new Date());
 }
 
+/**
+ * The current time in the restaurant's time zone as HH:MM.
+ * @returns {string}
+ *  the current time formatted as HH:MM
+ */
+export function currentTime() {
+  return asTimeString(new Date());
+}
+
 /**
  * Subtracts one day to the specified date and return it in as YYYY-MM-DD.
  * @param currentDate
@@ -57,12 +122,7 @@ export function today() {
  *  the date one day prior to currentDate, formatted as YYYY-MM-DD
  */
 export function previous(currentDate) {
-  let [year, month, day] = currentDate.split("-");
-  month -= 1;
-  const date = new Date(year, month, day);
-  date.setMonth(date.getMonth());
-  date.setDate(date.getDate() - 1);
-  return asDateString(date);
+  return addDays(currentDate, -1);
 }
 
 /**
@@ -73,10 +133,17 @@ export function previous(currentDate) {
  *  the date one day after currentDate, formatted as YYYY-MM-DD
  */
 export function next(currentDate) {
-  let [year, month, day] = currentDate.split("-");
-  month -= 1;
-  const date = new Date(year, month, day);
-  date.setMonth(date.getMonth());
-  date.setDate(date.getDate() + 1);
-  return asDateString(date);
+  return addDays(currentDate, 1);
+}
+
+/**
+ * Format a timestamp (e.g. a `created_at` property) as YYYY-MM-DD HH:MM in the restaurant's time zone.
+ * @param timestamp
+ *  ISO-8601 timestamp string
+ * @returns {string}
+ *  the specified timestamp formatted as YYYY-MM-DD HH:MM
+ */
+export function formatAsDateTime(timestamp) {
+  const date = new Date(timestamp);
+  return `${asDateString(date)} ${asTimeString(date)}`;
 }
@@ -0,0 +1,29 @@
+import {
+  currentTime,
+  formatAsDateTime,
+  setRestaurantTimeZone,
+  today,
+} from "./date-time";
+
+beforeEach(() => {
+  jest.useFakeTimers("modern");
+  jest.setSystemTime(new Date("2050-01-05T07:30:00Z"));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  setRestaurantTimeZone("America/Los_Angeles");
+});
+
+test("today and now are told in the restaurant's time zone", () => {
+  expect(today()).toBe("2050-01-04");
+  expect(currentTime()).toBe("23:30");
+});
+
+test("the time zone read from the API replaces the default", () => {
+  setRestaurantTimeZone("Europe/Berlin");
+
+  expect(today()).toBe("2050-01-05");
+  expect(currentTime()).toBe("08:30");
+  expect(formatAsDateTime("2050-01-05T07:30:00Z")).toBe("2050-01-05 08:30");
+});
@@ -0,0 +1,22 @@
+import { formatAsDate, formatAsTime } from "./date-time";
+
+function formatClosure(closure) {
+  closure.start_date = formatAsDate(closure.start_date);
+  closure.end_date = formatAsDate(closure.end_date);
+  if (closure.open_time) closure.open_time = formatAsTime(closure.open_time);
+  if (closure.close_time) closure.close_time = formatAsTime(closure.close_time);
+  return closure;
+}
+
+/**
+ * Formats the start_date, end_date and custom hours of a closure.
+ * @param closures
+ *  a single closure, or an array of closures.
+ * @returns {[closure]|closure}
+ *  the specified closure(s) with dates formatted as YYYY-MM-DD and times as HH:MM.
+ */
+export default function formatClosureDates(closures) {
+  return Array.isArray(closures)
+    ? closures.map(formatClosure)
+    : formatClosure(closures);
+}
@@ -0,0 +1,130 @@
+import { useState } from "react";
+import {
+  can,
+  deleteWaitlistEntry,
+  notifyWaitlistEntry,
+  seatWaitlistEntry,
+} from "../utils/api";
+import { formatAsDateTime } from "../utils/date-time";
+
+/**
+ * A waiting party with its notify, seat and remove actions.
+ * @param entry
+ *  the waitlist entry.
+ * @param tables
+ *  all tables, the free ones that fit the party are offered for seating.
+ * @param setError
+ *  called with the error of a failed action.
+ * @returns {JSX.Element}
+ */
+export default function WaitlistEntry({ entry, tables = [], setError }) {
+  const {
+    waitlist_id,
+    party_name,
+    mobile_number,
+    party_size,
+    quoted_wait_minutes,
+    status,
+    joined_at,
+  } = entry;
+  const [tableId, setTableId] = useState("");
+
+  const joinedTime = formatAsDateTime(joined_at).slice(11);
+  const waitedMinutes = Math.floor(
+    (Date.now() - Date.parse(joined_at)) / 60000
+  );
+  const freeTables = tables.filter(
+    (table) => !table.reservation_id && table.capacity >= party_size
+  );
+
+  async function runAction(action) {
+    const abortController = new AbortController();
+    try {
+      await action(abortController.signal);
+    } catch (error) {
+      setError(error);
+      return;
+    }
+
+    window.location.reload();
+
+    return () => abortController.abort();
+  }
+
+  const notifyClickHandler = () =>
+    runAction((signal) => notifyWaitlistEntry(waitlist_id, signal));
+
+  const seatSubmitHandler = (event) => {
+    event.preventDefault();
+    runAction((signal) =>
+      seatWaitlistEntry(waitlist_id, Number(tableId), signal)
+    );
+  };
+
+  const removeClickHandler = () => {
+    const removeEntry = window.confirm(
+      `\nRemove ${party_name} from the waitlist? This cannot be undone.`
+    );
+    if (!removeEntry) return;
+    runAction((signal) => deleteWaitlistEntry(waitlist_id, signal));
+  };
+
+  return (
+    <li className="list-group-item" data-waitlist-id={waitlist_id}>
+      <div className="d-flex justify-content-between">
+        <strong>{`${party_name} (${party_size})`}</strong>
+        <span className="text-muted">{status}</span>
+      </div>
+      <small className="text-muted">
+        {`${mobile_number} - joined ${joinedTime}, waited ${waitedMinutes} min`}
+        {quoted_wait_minutes != null && ` of ${quoted_wait_minutes} quoted`}
+      </small>
+      {can("tables:seat") && (
+        <form className="d-flex mt-1" onSubmit={seatSubmitHandler}>
+          <select
+            name="table_id"
+            className="form-select form-select-sm"
+            value={tableId}
+            onChange={(event) => setTableId(event.target.value)}
+          >
+            <option value="">Choose a table</option>
+            {freeTables.map((table) => (
+              <option
+                value={table.table_id}
+                key={table.table_id}
+              >{`${table.table_name} - ${table.capacity}`}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            className="btn btn-sm btn-primary mx-1"
+            data-waitlist-id-seat={waitlist_id}
+            disabled={!tableId}
+          >
+            Seat
+          </button>
+        </form>
+      )}
+      {can("waitlist:edit") && (
+        <div className="mt-1">
+          <button
+            type="button"
+            className="btn btn-sm btn-secondary me-1"
+            data-waitlist-id-notify={waitlist_id}
+            onClick={notifyClickHandler}
+          >
+            Notify
+          </button>
+          <button
+            type="button"
+            className="btn btn-sm btn-danger"
+            data-waitlist-id-remove={waitlist_id}
+            onClick={removeClickHandler}
+          >
+            Remove
+          </button>
+        </div>
+      )}
+    </li>
+  );
+}
@@ -0,0 +1,143 @@
+import { useEffect, useState } from "react";
+import { createWaitlistEntry, readWaitlistEstimate } from "../utils/api";
+import ErrorAlert from "../layout/ErrorAlert";
+import WaitlistEntry from "./WaitlistEntry";
+
+/**
+ * Adds walk-in parties to the waitlist and lists the parties still waiting.
+ * @param entries
+ *  the waitlist entries, first come first.
+ * @param tables
+ *  all tables, for seating a waiting party.
+ * @returns {JSX.Element}
+ */
+export default function WaitlistPanel({ entries = [], tables = [] }) {
+  const [partyName, setPartyName] = useState("");
+  const [mobileNumber, setMobileNumber] = useState("");
+  const [partySize, setPartySize] = useState("");
+  const [quotedWait, setQuotedWait] = useState("");
+  const [error, setError] = useState(null);
+  const [estimate, setEstimate] = useState(null);
+
+  // Get request for the estimated wait once a party size is entered
+  useEffect(() => {
+    const abortController = new AbortController();
+    setEstimate(null);
+
+    async function loadEstimate() {
+      if (!(Number(partySize) > 0)) return;
+      try {
+        const data = await readWaitlistEstimate(
+          { people: Number(partySize) },
+          abortController.signal
+        );
+        setEstimate(data);
+      } catch (error) {
+        setEstimate(null);
+      }
+    }
+    loadEstimate();
+    return () => abortController.abort();
+  }, [partySize]);
+
+  const estimatedWait = estimate ? estimate.wait_minutes : null;
+
+  async function submitHandler(event) {
+    event.preventDefault();
+    const abortController = new AbortController();
+
+    const entry = {
+      party_name: partyName,
+      mobile_number: mobileNumber,
+      party_size: Number(partySize),
+    };
+    // the estimate is quoted unless the host quotes their own wait
+    if (quotedWait !== "") {
+      entry.quoted_wait_minutes = Number(quotedWait);
+    } else if (estimatedWait !== null) {
+      entry.quoted_wait_minutes = estimatedWait;
+    }
+
+    try {
+      await createWaitlistEntry(entry, abortController.signal);
+    } catch (error) {
+      setError(error);
+      return;
+    }
+
+    window.location.reload();
+
+    return () => abortController.abort();
+  }
+
+  return (
+    <div>
+      <ErrorAlert error={error} />
+      <form className="mb-2" onSubmit={submitHandler}>
+        <input
+          name="party_name"
+          className="form-control form-control-sm mb-1"
+          placeholder="Party name"
+          value={partyName}
+          onChange={(event) => setPartyName(event.target.value)}
+          required
+        />
+        <input
+          name="mobile_number"
+          type="tel"
+          className="form-control form-control-sm mb-1"
+          placeholder="Mobile number"
+          value={mobileNumber}
+          onChange={(event) => setMobileNumber(event.target.value)}
+          required
+        />
+        <div className="d-flex mb-1">
+          <input
+            name="party_size"
+            type="number"
+            min="1"
+            className="form-control form-control-sm me-1"
+            placeholder="Party size"
+            value={partySize}
+            onChange={(event) => setPartySize(event.target.value)}
+            required
+          />
+          <input
+            name="quoted_wait_minutes"
+            type="number"
+            min="0"
+            className="form-control form-control-sm"
+            placeholder={
+              estimatedWait !== null
+                ? `Quoted wait (${estimatedWait} min)`
+                : "Quoted wait (min)"
+            }
+            value={quotedWait}
+            onChange={(event) => setQuotedWait(event.target.value)}
+          />
+        </div>
+        {estimate && (
+          <p className="small text-muted mb-1" data-waitlist-estimate>
+            {estimatedWait !== null
+              ? `Estimated wait: ${estimatedWait} min (${estimate.parties_ahead} parties ahead)`
+              : estimate.reason}
+          </p>
+        )}
+        <button type="submit" className="btn btn-sm btn-primary">
+          Add to Waitlist
+        </button>
+      </form>
+      <ul className="list-group">
+        {entries.map((entry) => (
+          <WaitlistEntry
+            key={entry.waitlist_id}
+            entry={entry}
+            tables={tables}
+            setError={setError}
+          />
+        ))}
+      </ul>
+      {!entries.length && <p className="text-muted">No one is waiting.</p>}
+    </div>
+  );
+}